@@ -0,0 +1,155 @@
+/**
+ * 声音活动门限 - 在运行模型之前跳过没有声音的窗口
+ *
+ * 按短帧计算电平 (RMS) 和过零率 (ZCR), 与自适应的噪声底比较:
+ *   电平高出噪声底 thresholdDb 的帧为有声音;
+ *   过零率高于 zcrThreshold 的类噪声帧 (气流、摩擦音) 只需高出 zcrThresholdDb
+ * 噪声底跟踪帧电平的最小值: 出现更安静的帧时立即下降, 否则按 floorRiseDbPerSecond 缓慢上升,
+ * 因此环境噪声变大后门限会在几秒内跟上, 持续的风扇声等不会一直让门限打开
+ *
+ * 有声音的帧累计达到 minActiveMs 时该段音频为 active; 最后一次 active 之后 hangoverMs 内门限保持打开,
+ * 默认等于检测窗口长度, 使包含这段声音的每个重叠窗口都会被推理
+ */
+
+import { calculateRMS, calculateZeroCrossingRate } from './audioUtils.js';
+
+export const DEFAULT_GATE_OPTIONS = {
+    enabled: false,
+    frameMs: 20,
+    thresholdDb: 12,            // 高出噪声底的电平 (dB)
+    zcrThreshold: 0.3,          // 类噪声帧的过零率下限
+    zcrThresholdDb: 6,          // 类噪声帧需要高出噪声底的电平 (dB)
+    minRms: 0.001,              // 噪声底下限 (约 -60 dBFS), 数字静音时不会被极小的噪声打开
+    floorRiseDbPerSecond: 3,    // 噪声底上升速度
+    minActiveMs: 40,            // 判定为有声音所需的有声帧总时长
+    hangoverMs: 1000            // 声音结束后保持打开的时间
+};
+
+// 来自界面输入时可能为 NaN, NaN 能通过所有大小比较, 因此单独检查
+const FINITE_OPTIONS = ['thresholdDb', 'zcrThreshold', 'zcrThresholdDb', 'floorRiseDbPerSecond', 'minActiveMs', 'hangoverMs'];
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+export class ActivityGate {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_GATE_OPTIONS };
+        this.configure(options);
+        this.reset();
+    }
+
+    /**
+     * 更新门限参数, 噪声底保留
+     */
+    configure(options) {
+        const next = { ...this.options, ...options };
+
+        if (!(next.frameMs > 0)) {
+            throw new Error('Gate frame length must be positive');
+        }
+        if (!(next.minRms > 0)) {
+            throw new Error('Gate minRms must be positive');
+        }
+        FINITE_OPTIONS.forEach(name => {
+            if (!Number.isFinite(next[name])) {
+                throw new Error(`Gate option ${name} must be a finite number, got ${next[name]}`);
+            }
+        });
+        if (next.thresholdDb < 0 || next.zcrThresholdDb < 0 || next.floorRiseDbPerSecond < 0) {
+            throw new Error('Gate thresholds and floor rise rate must be non-negative');
+        }
+        if (next.minActiveMs < 0 || next.hangoverMs < 0) {
+            throw new Error('Durations must be non-negative');
+        }
+
+        this.options = next;
+    }
+
+    reset() {
+        this.noiseFloor = null;
+        this.lastTime = null;
+        this.lastActiveTime = -Infinity;
+        this.windowCount = 0;
+        this.closedCount = 0;
+    }
+
+    /**
+     * 处理一段音频
+     * time: 该段音频的结束时刻 (秒); 重叠窗口只分析上次之后的新样本。不提供时按不重叠的连续音频计时
+     * 返回: { open, active, rms, zcr, noiseFloor, snrDb, time }
+     *   open 表示应运行模型 (未启用时总为 true); active 表示这段音频本身有声音
+     */
+    process(audioData, sampleRate, time = null) {
+        const { enabled, frameMs, thresholdDb, zcrThreshold, zcrThresholdDb, minRms,
+            floorRiseDbPerSecond, minActiveMs, hangoverMs } = this.options;
+
+        const duration = audioData.length / sampleRate;
+        if (time === null) {
+            time = (this.lastTime === null ? 0 : this.lastTime) + duration;
+        }
+        const elapsed = this.lastTime === null ? duration : time - this.lastTime;
+        const newSamples = Math.max(0, Math.min(audioData.length, Math.round(elapsed * sampleRate)));
+        this.lastTime = time;
+
+        // 帧与音频末尾对齐, 新样本开头不足一帧的部分忽略
+        const frameSize = Math.max(1, Math.round(sampleRate * frameMs / 1000));
+        const frameCount = Math.floor(newSamples / frameSize);
+        const frames = [];
+        for (let i = frameCount; i > 0; i--) {
+            const end = audioData.length - (i - 1) * frameSize;
+            const frame = audioData.subarray(end - frameSize, end);
+            frames.push({ rms: calculateRMS(frame), zcr: calculateZeroCrossingRate(frame) });
+        }
+
+        if (this.noiseFloor === null && frames.length > 0) {
+            // 以最安静的 10% 帧的电平作为初始噪声底
+            const levels = frames.map(frame => frame.rms).sort((a, b) => a - b);
+            this.noiseFloor = Math.max(minRms, levels[Math.floor(levels.length * 0.1)]);
+        }
+
+        const riseFactor = dbToGain(floorRiseDbPerSecond * frameSize / sampleRate);
+        let activeFrames = 0;
+        frames.forEach(({ rms, zcr }) => {
+            const isActive = rms >= this.noiseFloor * dbToGain(thresholdDb) ||
+                (zcr >= zcrThreshold && rms >= this.noiseFloor * dbToGain(zcrThresholdDb));
+            if (isActive) {
+                activeFrames++;
+            }
+            this.noiseFloor = rms < this.noiseFloor ? Math.max(minRms, rms) : this.noiseFloor * riseFactor;
+        });
+
+        const active = frames.length > 0 && activeFrames * frameSize / sampleRate * 1000 >= minActiveMs;
+        if (active) {
+            this.lastActiveTime = time;
+        }
+        const open = !enabled || (time - this.lastActiveTime) * 1000 <= hangoverMs;
+
+        this.windowCount++;
+        if (!open) {
+            this.closedCount++;
+        }
+
+        const recent = audioData.subarray(audioData.length - newSamples);
+        const rms = recent.length > 0 ? calculateRMS(recent) : 0;
+        const noiseFloor = this.noiseFloor === null ? minRms : this.noiseFloor;
+        return {
+            open,
+            active,
+            rms,
+            zcr: recent.length > 0 ? calculateZeroCrossingRate(recent) : 0,
+            noiseFloor,
+            snrDb: rms > 0 ? 20 * Math.log10(rms / noiseFloor) : -Infinity,
+            time
+        };
+    }
+
+    /**
+     * 已处理的窗口数和其中被跳过的比例
+     */
+    getStats() {
+        return {
+            windows: this.windowCount,
+            skipped: this.closedCount,
+            skippedRatio: this.windowCount > 0 ? this.closedCount / this.windowCount : 0
+        };
+    }
+}
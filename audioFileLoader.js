@@ -0,0 +1,49 @@
+/**
+ * 音频文件解码模块 - WAV/MP3/OGG 等浏览器支持的格式
+ */
+
+import { sliceWindows } from './audioUtils.js';
+
+/**
+ * 解码音频文件, 混合为单声道并重采样到目标采样率
+ * file: File / Blob / ArrayBuffer
+ * 返回: Float32Array
+ */
+export async function decodeAudioFile(file, targetSampleRate) {
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!OfflineContext) {
+        throw new Error('OfflineAudioContext is not supported in this browser');
+    }
+
+    const arrayBuffer = file instanceof ArrayBuffer ? file : await file.arrayBuffer();
+
+    // decodeAudioData 会把音频重采样到 context 的采样率
+    const decodeContext = new OfflineContext(1, 1, targetSampleRate);
+    const decoded = await decodeContext.decodeAudioData(arrayBuffer);
+
+    // 通过离线渲染混合为单声道
+    const length = Math.ceil(decoded.duration * targetSampleRate);
+    const renderContext = new OfflineContext(1, length, targetSampleRate);
+    const source = renderContext.createBufferSource();
+    source.buffer = decoded;
+    source.connect(renderContext.destination);
+    source.start();
+
+    const rendered = await renderContext.startRendering();
+    return rendered.getChannelData(0);
+}
+
+/**
+ * 解码并切分为固定长度窗口
+ * 返回: [{ audio: Float32Array, time }] (time 为窗口起始时间, 秒)
+ */
+export async function decodeAudioFileWindows(file, sampleRate, { windowMs = 1000, hopMs = windowMs } = {}) {
+    const audioData = await decodeAudioFile(file, sampleRate);
+    const windowSize = Math.floor(sampleRate * windowMs / 1000);
+    const hopSize = Math.floor(sampleRate * hopMs / 1000);
+
+    return sliceWindows(audioData, windowSize, hopSize).map(({ audio, start }) => ({
+        audio,
+        time: start / sampleRate
+    }));
+}
@@ -2,94 +2,131 @@
  * 音频录制和数据采集模块
  */
 
+import { SlidingWindowBuffer } from './slidingWindow.js';
+import { toAudioSource } from './audioSources.js';
+import { calculateRMS, calculateSpectralCentroid, calculateZeroCrossingRate } from './audioUtils.js';
+
+const WORKLET_URL = new URL('./captureProcessor.worklet.js', import.meta.url);
+
 export class AudioRecorder {
-    constructor() {
+    /**
+     * options.createAudioContext: 创建 AudioContext 的函数, 默认使用浏览器的 AudioContext
+     * options.getUserMedia: (constraints) => Promise<MediaStream>, 替代 navigator.mediaDevices.getUserMedia
+     * 两者一起注入即可在没有浏览器的环境中运行 (测试中回放 WAV 文件代替麦克风, 见 test/helpers/fakeAudio.js)
+     */
+    constructor({ createAudioContext = createBrowserAudioContext, getUserMedia = null } = {}) {
         this.audioContext = null;
-        this.mediaStream = null;
-        this.mediaStreamSource = null;
+        this.source = null;
+        this.sourceNode = null;
+        this.inputTargets = new Set();
         this.analyser = null;
         this.dataArray = null;
         this.isRecording = false;
         this.recordedChunks = [];
+        this.captureNode = null;
+        this.windowBuffer = null;
+        this.workletLoaded = false;
+        this.createAudioContext = createAudioContext;
+        this.getUserMedia = getUserMedia;
     }
 
-    async init() {
-        try {
-            // 检查浏览器支持
-            if (!window.AudioContext && !window.webkitAudioContext) {
-                throw new Error('Web Audio API is not supported in this browser');
-            }
-
-            // 检查 getUserMedia 支持
-            if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-                // 尝试使用旧版 API
-                const getUserMedia = navigator.getUserMedia ||
-                                   navigator.webkitGetUserMedia ||
-                                   navigator.mozGetUserMedia ||
-                                   navigator.msGetUserMedia;
-
-                if (!getUserMedia) {
-                    throw new Error(
-                        'Microphone access is not available. This may be because:\n' +
-                        '1. You are accessing via HTTP instead of HTTPS\n' +
-                        '2. Your browser does not support microphone access\n' +
-                        '3. The site is not accessed from localhost or a secure origin\n\n' +
-                        'Solutions:\n' +
-                        '- Access via http://localhost:3355 instead of IP address\n' +
-                        '- Use HTTPS\n' +
-                        '- For Chrome: enable chrome://flags/#unsafely-treat-insecure-origin-as-secure'
-                    );
-                }
-
-                // 使用旧版 API
-                return new Promise((resolve, reject) => {
-                    getUserMedia.call(navigator, {
-                        audio: {
-                            echoCancellation: false,
-                            noiseSuppression: false,
-                            autoGainControl: false
-                        }
-                    }, (stream) => {
-                        this.setupAudioStream(stream);
-                        resolve(true);
-                    }, (error) => {
-                        reject(new Error('Microphone access denied: ' + error.message));
-                    });
-                });
-            }
+    /**
+     * 当前输入的 MediaStream, 输入不是 MediaStream 时为 null
+     */
+    get mediaStream() {
+        return (this.source && this.source.mediaStream) || null;
+    }
 
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            this.mediaStream = await navigator.mediaDevices.getUserMedia({
-                audio: {
-                    echoCancellation: false,
-                    noiseSuppression: false,
-                    autoGainControl: false,
-                    sampleRate: 22050
-                }
-            });
+    /**
+     * 初始化音频输入
+     * input: 可选, 音频源 (见 audioSources.js) 或外部提供的 MediaStream (WebRTC 通话等); 不提供时请求麦克风
+     */
+    async init(input = null) {
+        try {
+            const source = toAudioSource(input, { getUserMedia: this.getUserMedia });
+            this.audioContext = this.createAudioContext();
+            this.workletLoaded = false; // AudioWorklet 模块按 AudioContext 加载
+            this.sourceNode = await source.connect(this.audioContext);
+            this.source = source;
 
-            this.setupAudioStream(this.mediaStream);
-            console.log('Audio recorder initialized');
+            this.setupAnalyser();
+            console.log(`Audio recorder initialized with ${source.constructor.name}`);
             return true;
         } catch (error) {
             console.error('Failed to initialize audio recorder:', error);
+            if (this.audioContext) {
+                this.audioContext.close();
+                this.audioContext = null;
+            }
             throw error;
         }
     }
 
-    setupAudioStream(stream) {
-        this.mediaStream = stream;
-        this.mediaStreamSource = this.audioContext.createMediaStreamSource(this.mediaStream);
+    setupAnalyser() {
         this.analyser = this.audioContext.createAnalyser();
         this.analyser.fftSize = 2048;
         this.analyser.smoothingTimeConstant = 0.8;
 
-        this.mediaStreamSource.connect(this.analyser);
+        this.connectInput(this.analyser);
 
         const bufferLength = this.analyser.frequencyBinCount;
         this.dataArray = new Uint8Array(bufferLength);
     }
 
+    /**
+     * 把输入接到 node; 切换音频源时这些连接会转到新的输入上
+     */
+    connectInput(node) {
+        this.sourceNode.connect(node);
+        this.inputTargets.add(node);
+    }
+
+    disconnectInput(node) {
+        if (this.inputTargets.delete(node) && this.sourceNode) {
+            this.sourceNode.disconnect(node);
+        }
+    }
+
+    /**
+     * 不重建 AudioContext 切换音频源 (如更换麦克风), 分析器和正在进行的采集继续使用新的输入
+     * 新的音频源连接失败时保留原来的输入并抛出错误
+     * 尚未初始化或已 stop() (AudioContext 已关闭) 时重新初始化
+     */
+    async switchSource(input) {
+        if (!this.audioContext || this.audioContext.state === 'closed' || !this.source) {
+            return this.init(input);
+        }
+
+        const source = toAudioSource(input, { getUserMedia: this.getUserMedia });
+        const sourceNode = await source.connect(this.audioContext);
+
+        this.inputTargets.forEach(node => {
+            this.sourceNode.disconnect(node);
+            sourceNode.connect(node);
+        });
+        this.source.disconnect();
+        this.source = source;
+        this.sourceNode = sourceNode;
+
+        console.log(`Audio input switched to ${source.constructor.name}`);
+        return true;
+    }
+
+    /**
+     * 输入的实际设置: MediaStream 输入时为音轨的 getSettings() 和设备名称 label, 另附 AudioContext 的采样率
+     */
+    getInputSettings() {
+        if (!this.source) {
+            return null;
+        }
+        const trackSettings = this.source.getSettings ? this.source.getSettings() : null;
+        return {
+            ...trackSettings,
+            sourceType: this.source.constructor.name,
+            contextSampleRate: this.audioContext.sampleRate
+        };
+    }
+
     getWaveformData() {
         if (!this.analyser) return null;
         this.analyser.getByteTimeDomainData(this.dataArray);
@@ -121,48 +158,100 @@ export class AudioRecorder {
 
                 if (sampleIndex >= numSamples) {
                     scriptProcessor.disconnect();
-                    this.mediaStreamSource.disconnect(scriptProcessor);
+                    this.disconnectInput(scriptProcessor);
                     resolve(channelData);
                 }
             };
 
-            this.mediaStreamSource.connect(scriptProcessor);
+            this.connectInput(scriptProcessor);
             scriptProcessor.connect(this.audioContext.destination);
         });
     }
 
-    calculateRMS(audioData) {
-        let sum = 0;
-        for (let i = 0; i < audioData.length; i++) {
-            sum += audioData[i] * audioData[i];
+    /**
+     * 连续采集并输出重叠窗口
+     * 优先使用 AudioWorklet, 不支持时回退到 ScriptProcessor
+     * onWindow(audio: Float32Array, { time }) - time 为窗口结束时刻 (秒, 从开始采集计)
+     */
+    async startStreaming({ windowMs = 1000, hopMs = 250, onWindow }) {
+        if (this.captureNode) {
+            throw new Error('Streaming already started');
         }
-        return Math.sqrt(sum / audioData.length);
-    }
 
-    calculateZeroCrossingRate(audioData) {
-        let crossings = 0;
-        for (let i = 1; i < audioData.length; i++) {
-            if ((audioData[i] >= 0 && audioData[i - 1] < 0) ||
-                (audioData[i] < 0 && audioData[i - 1] >= 0)) {
-                crossings++;
+        const sampleRate = this.audioContext.sampleRate;
+        const windowSize = Math.floor(sampleRate * windowMs / 1000);
+        const hopSize = Math.floor(sampleRate * hopMs / 1000);
+        this.windowBuffer = new SlidingWindowBuffer(windowSize, hopSize);
+
+        const handleChunk = (chunk) => {
+            if (!this.windowBuffer) return;
+            this.windowBuffer.push(chunk).forEach(({ audio, endSample }) => {
+                onWindow(audio, { time: endSample / sampleRate });
+            });
+        };
+
+        if (this.audioContext.audioWorklet && typeof AudioWorkletNode !== 'undefined') {
+            if (!this.workletLoaded) {
+                await this.audioContext.audioWorklet.addModule(WORKLET_URL);
+                this.workletLoaded = true;
             }
+
+            this.captureNode = new AudioWorkletNode(this.audioContext, 'capture-processor', {
+                numberOfInputs: 1,
+                numberOfOutputs: 1,
+                channelCount: 1,
+                processorOptions: { chunkSize: 2048 }
+            });
+            this.captureNode.port.onmessage = (e) => handleChunk(e.data);
+        } else {
+            this.captureNode = this.audioContext.createScriptProcessor(2048, 1, 1);
+            this.captureNode.onaudioprocess = (e) => {
+                handleChunk(new Float32Array(e.inputBuffer.getChannelData(0)));
+            };
         }
-        return crossings / audioData.length;
+
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+
+        this.connectInput(this.captureNode);
+        this.captureNode.connect(this.audioContext.destination);
+        console.log(`Streaming started: window ${windowMs}ms, hop ${hopMs}ms`);
     }
 
-    calculateSpectralCentroid(frequencyData) {
-        let weightedSum = 0;
-        let sum = 0;
-        for (let i = 0; i < frequencyData.length; i++) {
-            weightedSum += i * frequencyData[i];
-            sum += frequencyData[i];
+    stopStreaming() {
+        if (!this.captureNode) return;
+
+        if (this.captureNode.port) {
+            this.captureNode.port.onmessage = null;
+        } else {
+            this.captureNode.onaudioprocess = null;
         }
-        return sum === 0 ? 0 : weightedSum / sum;
+        this.disconnectInput(this.captureNode);
+        this.captureNode.disconnect();
+        this.captureNode = null;
+        this.windowBuffer = null;
+    }
+
+    calculateRMS(audioData) {
+        return calculateRMS(audioData);
+    }
+
+    calculateZeroCrossingRate(audioData) {
+        return calculateZeroCrossingRate(audioData);
+    }
+
+    calculateSpectralCentroid(frequencyData) {
+        return calculateSpectralCentroid(frequencyData);
     }
 
     stop() {
-        if (this.mediaStream) {
-            this.mediaStream.getTracks().forEach(track => track.stop());
+        this.stopStreaming();
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+            this.sourceNode = null;
+            this.inputTargets.clear();
         }
         if (this.audioContext && this.audioContext.state !== 'closed') {
             this.audioContext.close();
@@ -174,3 +263,11 @@ export class AudioRecorder {
         return this.audioContext ? this.audioContext.sampleRate : 22050;
     }
 }
+
+function createBrowserAudioContext() {
+    // 检查浏览器支持
+    if (typeof window === 'undefined' || (!window.AudioContext && !window.webkitAudioContext)) {
+        throw new Error('Web Audio API is not supported in this browser');
+    }
+    return new (window.AudioContext || window.webkitAudioContext)();
+}
@@ -0,0 +1,323 @@
+/**
+ * 音频源 - AudioRecorder 的输入
+ *
+ * 音频源实现两个方法, AudioRecorder 只通过它们访问输入:
+ *   connect(audioContext): 在给定的上下文中创建输出节点并返回 (可以是 Promise)
+ *   disconnect(): 断开输出节点, 释放音频源自己创建的资源 (自己打开的麦克风等)
+ * 基于 MediaStream 的音频源还提供 mediaStream 属性和 getSettings() (音轨实际生效的设置)
+ *
+ * MicrophoneSource:  getUserMedia 麦克风 (默认)
+ * MediaStreamSource: 外部提供的 MediaStream (WebRTC 通话、屏幕共享音频等), 断开时不停止其音轨
+ * MediaElementSource: <audio> / <video> 元素
+ * BufferSource:      解码后的音频数据 (如 decodeAudioFile 的结果)
+ * GeneratorSource:   逐块生成的合成信号
+ */
+
+/**
+ * 麦克风采集选项
+ * 默认关闭浏览器的语音处理, 采集原始信号; deviceId 为空时使用系统默认设备
+ */
+export const DEFAULT_CAPTURE_OPTIONS = {
+    deviceId: null,
+    echoCancellation: false,
+    noiseSuppression: false,
+    autoGainControl: false,
+    sampleRate: 22050
+};
+
+// 会被浏览器或设备忽略、需要与实际设置对照的约束
+const CHECKED_SETTINGS = ['echoCancellation', 'noiseSuppression', 'autoGainControl', 'sampleRate'];
+
+/**
+ * 由采集选项生成 getUserMedia 约束; 指定设备时使用 exact, 设备不存在时报错而不是悄悄换成默认设备
+ */
+export function buildMicrophoneConstraints(options = {}) {
+    const { deviceId, ...audio } = { ...DEFAULT_CAPTURE_OPTIONS, ...options };
+    if (deviceId) {
+        audio.deviceId = { exact: deviceId };
+    }
+    return { audio };
+}
+
+export const DEFAULT_MICROPHONE_CONSTRAINTS = buildMicrophoneConstraints();
+
+/**
+ * 列出音频输入设备 [{ deviceId, label, groupId }]
+ * 授予麦克风权限之前浏览器不提供设备名称, label 为空字符串
+ */
+export async function listAudioInputDevices(mediaDevices = getMediaDevices()) {
+    if (!mediaDevices || !mediaDevices.enumerateDevices) {
+        return [];
+    }
+    const devices = await mediaDevices.enumerateDevices();
+    return devices
+        .filter(device => device.kind === 'audioinput')
+        .map(({ deviceId, label, groupId }) => ({ deviceId, label, groupId }));
+}
+
+/**
+ * MediaStream 第一条音轨实际生效的设置, 附带设备名称; 没有音轨时返回 null
+ */
+function getTrackSettings(mediaStream) {
+    const track = mediaStream && mediaStream.getAudioTracks()[0];
+    if (!track) {
+        return null;
+    }
+    const settings = track.getSettings ? track.getSettings() : {};
+    return { ...settings, label: track.label || '' };
+}
+
+/**
+ * 外部提供的 MediaStream, 音轨由提供方管理
+ */
+export class MediaStreamSource {
+    constructor(mediaStream) {
+        if (!mediaStream || typeof mediaStream.getAudioTracks !== 'function') {
+            throw new Error('MediaStreamSource requires a MediaStream');
+        }
+        this.mediaStream = mediaStream;
+        this.node = null;
+    }
+
+    connect(audioContext) {
+        if (this.mediaStream.getAudioTracks().length === 0) {
+            throw new Error('The MediaStream has no audio track');
+        }
+        this.node = audioContext.createMediaStreamSource(this.mediaStream);
+        return this.node;
+    }
+
+    disconnect() {
+        if (this.node) {
+            this.node.disconnect();
+            this.node = null;
+        }
+    }
+
+    getSettings() {
+        return getTrackSettings(this.mediaStream);
+    }
+}
+
+/**
+ * 麦克风输入, 断开时停止音轨
+ * options: 采集选项 (见 DEFAULT_CAPTURE_OPTIONS), 或直接给出 getUserMedia 约束 options.constraints
+ * options.getUserMedia: (constraints) => Promise<MediaStream>, 替代 navigator.mediaDevices.getUserMedia
+ */
+export class MicrophoneSource {
+    constructor({ constraints = null, getUserMedia = null, ...captureOptions } = {}) {
+        this.constraints = constraints || buildMicrophoneConstraints(captureOptions);
+        this.getUserMedia = getUserMedia || requestUserMedia;
+        this.mediaStream = null;
+        this.node = null;
+    }
+
+    async connect(audioContext) {
+        this.mediaStream = await this.getUserMedia(this.constraints);
+        this.node = audioContext.createMediaStreamSource(this.mediaStream);
+        return this.node;
+    }
+
+    disconnect() {
+        if (this.node) {
+            this.node.disconnect();
+            this.node = null;
+        }
+        if (this.mediaStream) {
+            this.mediaStream.getTracks().forEach(track => track.stop());
+            this.mediaStream = null;
+        }
+    }
+
+    getSettings() {
+        return getTrackSettings(this.mediaStream);
+    }
+
+    /**
+     * 请求的约束中未被满足的项 [{ name, requested, actual }]
+     * 例如设备或浏览器不允许关闭自动增益, 或不支持请求的采样率 (此时由 AudioContext 重采样)
+     */
+    getUnmetConstraints() {
+        const settings = this.getSettings();
+        if (!settings) {
+            return [];
+        }
+        return CHECKED_SETTINGS
+            .filter(name => this.constraints.audio[name] !== undefined && settings[name] !== undefined)
+            .map(name => ({ name, requested: this.constraints.audio[name], actual: settings[name] }))
+            .filter(({ requested, actual }) => requested !== actual);
+    }
+}
+
+/**
+ * <audio> / <video> 元素
+ * 元素的输出改由 Web Audio 播放, monitor 为 false 时静音 (只检测不播放)
+ * 浏览器限制: 一个元素只能接入一个 AudioContext, 接入后不能再用于另一个 AudioRecorder
+ */
+export class MediaElementSource {
+    constructor(element, { monitor = true } = {}) {
+        if (!element) {
+            throw new Error('MediaElementSource requires an <audio> or <video> element');
+        }
+        this.element = element;
+        this.monitor = monitor;
+        this.node = null;
+    }
+
+    connect(audioContext) {
+        this.node = audioContext.createMediaElementSource(this.element);
+        if (this.monitor) {
+            this.node.connect(audioContext.destination);
+        }
+        return this.node;
+    }
+
+    disconnect() {
+        if (this.node) {
+            this.node.disconnect();
+            this.node = null;
+        }
+    }
+}
+
+/**
+ * 解码后的单声道音频, 由 Web Audio 重采样到上下文采样率
+ * options.loop: 循环播放; 否则播放完后输出静音
+ */
+export class BufferSource {
+    constructor(audioData, sampleRate, { loop = false } = {}) {
+        if (!audioData || audioData.length === 0) {
+            throw new Error('BufferSource requires non-empty audio data');
+        }
+        this.audioData = audioData;
+        this.sampleRate = sampleRate;
+        this.loop = loop;
+        this.node = null;
+    }
+
+    connect(audioContext) {
+        const buffer = audioContext.createBuffer(1, this.audioData.length, this.sampleRate);
+        buffer.getChannelData(0).set(this.audioData);
+
+        this.node = audioContext.createBufferSource();
+        this.node.buffer = buffer;
+        this.node.loop = this.loop;
+        this.node.start();
+        return this.node;
+    }
+
+    disconnect() {
+        if (this.node) {
+            this.node.stop();
+            this.node.disconnect();
+            this.node = null;
+        }
+    }
+}
+
+/**
+ * 合成信号
+ * generate(output: Float32Array, { startFrame, sampleRate }): 填充下一块音频, startFrame 为该块首个样本的序号
+ * 使用 ScriptProcessor 生成; 它只有在连接到 destination 时才会运行, 因此经由静音的 GainNode 连接
+ */
+export class GeneratorSource {
+    constructor(generate, { bufferSize = 2048 } = {}) {
+        if (typeof generate !== 'function') {
+            throw new Error('GeneratorSource requires a generate function');
+        }
+        this.generate = generate;
+        this.bufferSize = bufferSize;
+        this.node = null;
+        this.sink = null;
+    }
+
+    connect(audioContext) {
+        const sampleRate = audioContext.sampleRate;
+        let startFrame = 0;
+
+        this.node = audioContext.createScriptProcessor(this.bufferSize, 1, 1);
+        this.node.onaudioprocess = (e) => {
+            const output = e.outputBuffer.getChannelData(0);
+            this.generate(output, { startFrame, sampleRate });
+            startFrame += output.length;
+        };
+
+        this.sink = audioContext.createGain();
+        this.sink.gain.value = 0;
+        this.node.connect(this.sink);
+        this.sink.connect(audioContext.destination);
+        return this.node;
+    }
+
+    disconnect() {
+        if (this.node) {
+            this.node.onaudioprocess = null;
+            this.node.disconnect();
+            this.sink.disconnect();
+            this.node = null;
+            this.sink = null;
+        }
+    }
+}
+
+/**
+ * 把 init 的参数统一为音频源: 空值为麦克风, MediaStream 包装为 MediaStreamSource
+ */
+export function toAudioSource(input, { getUserMedia = null } = {}) {
+    if (!input) {
+        return new MicrophoneSource({ getUserMedia });
+    }
+    if (typeof input.connect === 'function' && typeof input.disconnect === 'function') {
+        return input;
+    }
+    if (typeof input.getAudioTracks === 'function') {
+        return new MediaStreamSource(input);
+    }
+    throw new Error('Audio input must be an audio source or a MediaStream');
+}
+
+/**
+ * navigator.mediaDevices.getUserMedia, 不支持时退回旧版回调 API
+ */
+function requestUserMedia(constraints) {
+    const mediaDevices = getMediaDevices();
+    if (mediaDevices && mediaDevices.getUserMedia) {
+        return mediaDevices.getUserMedia(constraints);
+    }
+
+    const getUserMedia = typeof navigator === 'undefined' ? null : (
+        navigator.getUserMedia ||
+        navigator.webkitGetUserMedia ||
+        navigator.mozGetUserMedia ||
+        navigator.msGetUserMedia
+    );
+
+    if (!getUserMedia) {
+        return Promise.reject(new Error(
+            'Microphone access is not available. This may be because:\n' +
+            '1. You are accessing via HTTP instead of HTTPS\n' +
+            '2. Your browser does not support microphone access\n' +
+            '3. The site is not accessed from localhost or a secure origin\n\n' +
+            'Solutions:\n' +
+            '- Access via http://localhost:3355 instead of IP address\n' +
+            '- Use HTTPS\n' +
+            '- For Chrome: enable chrome://flags/#unsafely-treat-insecure-origin-as-secure'
+        ));
+    }
+
+    // 旧版 API 不支持 sampleRate 和 deviceId 约束
+    const audio = typeof constraints.audio === 'object' ? { ...constraints.audio } : constraints.audio;
+    if (typeof audio === 'object') {
+        delete audio.sampleRate;
+        delete audio.deviceId;
+    }
+    return new Promise((resolve, reject) => {
+        getUserMedia.call(navigator, { ...constraints, audio }, resolve, (error) => {
+            reject(new Error('Microphone access denied: ' + error.message));
+        });
+    });
+}
+
+function getMediaDevices() {
+    return typeof navigator === 'undefined' ? null : navigator.mediaDevices;
+}
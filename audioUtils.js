@@ -0,0 +1,84 @@
+/**
+ * 音频工具函数
+ */
+
+/**
+ * 线性插值重采样
+ */
+export function resampleLinear(audioData, fromRate, toRate) {
+    if (fromRate === toRate) {
+        return audioData;
+    }
+
+    const ratio = fromRate / toRate;
+    const length = Math.floor(audioData.length / ratio);
+    const result = new Float32Array(length);
+
+    for (let i = 0; i < length; i++) {
+        const pos = i * ratio;
+        const idx = Math.floor(pos);
+        const frac = pos - idx;
+        const a = audioData[idx];
+        const b = idx + 1 < audioData.length ? audioData[idx + 1] : a;
+        result[i] = a + (b - a) * frac;
+    }
+
+    return result;
+}
+
+/**
+ * 将音频切分为固定长度窗口
+ * 短于一个窗口的音频补零; 末尾不足一个窗口的部分丢弃
+ * 返回: [{ audio: Float32Array, start }] (start 为样本下标)
+ */
+export function sliceWindows(audioData, windowSize, hopSize = windowSize) {
+    if (audioData.length <= windowSize) {
+        const padded = new Float32Array(windowSize);
+        padded.set(audioData);
+        return [{ audio: padded, start: 0 }];
+    }
+
+    const windows = [];
+    for (let start = 0; start + windowSize <= audioData.length; start += hopSize) {
+        windows.push({ audio: audioData.slice(start, start + windowSize), start });
+    }
+    return windows;
+}
+
+/**
+ * 均方根电平
+ */
+export function calculateRMS(audioData) {
+    let sum = 0;
+    for (let i = 0; i < audioData.length; i++) {
+        sum += audioData[i] * audioData[i];
+    }
+    return Math.sqrt(sum / audioData.length);
+}
+
+/**
+ * 过零率: 每个样本的过零次数 (白噪声约 0.5, 低频浊音很小)
+ */
+export function calculateZeroCrossingRate(audioData) {
+    let crossings = 0;
+    for (let i = 1; i < audioData.length; i++) {
+        if ((audioData[i] >= 0 && audioData[i - 1] < 0) ||
+            (audioData[i] < 0 && audioData[i - 1] >= 0)) {
+            crossings++;
+        }
+    }
+    return crossings / audioData.length;
+}
+
+/**
+ * 频谱质心 (频点序号), frequencyData 为幅度谱 (如 AnalyserNode.getByteFrequencyData 的结果)
+ */
+export function calculateSpectralCentroid(frequencyData) {
+    let weightedSum = 0;
+    let sum = 0;
+    for (let i = 0; i < frequencyData.length; i++) {
+        weightedSum += i * frequencyData[i];
+        sum += frequencyData[i];
+    }
+    return sum === 0 ? 0 : weightedSum / sum;
+}
@@ -0,0 +1,134 @@
+/**
+ * 数据增强 - 原始音频和特征上的随机扰动
+ *
+ * 音频: 随机增益、时间平移、混入背景噪声、变速 (同时改变音高)
+ * 特征: SpecAugment 时间/频率遮挡
+ * 各项参数为 0 时关闭对应增强
+ */
+
+import { resampleLinear } from './audioUtils.js';
+
+export const DEFAULT_AUGMENTATION_OPTIONS = {
+    copies: 2,              // 每个训练样本额外生成的增强副本数
+    gainDb: 6,              // 随机增益范围 ±dB
+    shiftMs: 100,           // 随机平移范围 ±ms, 空出部分补零
+    noiseLabel: null,       // 背景噪声取自该类别的样本; null 时取标签集中的 not_blow, 没有时取最后一个标签
+    noiseProbability: 0.5,  // 混入噪声的概率
+    noiseSnrDb: [5, 20],    // 信噪比范围
+    speedRange: 0.1,        // 变速范围 ±10%
+    timeMasks: 2,           // SpecAugment 时间遮挡条数
+    timeMaskWidth: 4,       // 每条最多遮挡的帧数
+    freqMasks: 2,           // SpecAugment 频率遮挡条数
+    freqMaskWidth: 8        // 每条最多遮挡的特征维度
+};
+
+function uniform(random, min, max) {
+    return min + (max - min) * random();
+}
+
+/**
+ * 随机增益
+ */
+export function applyGain(audioData, gainDb) {
+    const gain = Math.pow(10, gainDb / 20);
+    return audioData.map(val => val * gain);
+}
+
+/**
+ * 时间平移 (正数向后移), 空出部分补零, 长度不变
+ */
+export function timeShift(audioData, shiftSamples) {
+    const result = new Float32Array(audioData.length);
+    if (shiftSamples >= 0) {
+        result.set(audioData.subarray(0, audioData.length - shiftSamples), shiftSamples);
+    } else {
+        result.set(audioData.subarray(-shiftSamples));
+    }
+    return result;
+}
+
+/**
+ * 按给定信噪比混入噪声; 噪声较短时循环使用
+ */
+export function mixNoise(audioData, noise, snrDb) {
+    const power = data => data.reduce((sum, val) => sum + val * val, 0) / data.length;
+    const signalPower = power(audioData);
+    const noisePower = power(noise);
+
+    if (noisePower === 0 || signalPower === 0) {
+        return Float32Array.from(audioData);
+    }
+
+    const scale = Math.sqrt(signalPower / (noisePower * Math.pow(10, snrDb / 10)));
+    return audioData.map((val, i) => val + noise[i % noise.length] * scale);
+}
+
+/**
+ * 变速 (同时改变音高), 结果裁剪或补零到原长度
+ * factor > 1 加快
+ */
+export function changeSpeed(audioData, factor) {
+    const stretched = resampleLinear(audioData, Math.round(10000 * factor), 10000);
+    const result = new Float32Array(audioData.length);
+    result.set(stretched.subarray(0, audioData.length));
+    return result;
+}
+
+/**
+ * SpecAugment: 随机将若干段连续帧和连续特征维度置零
+ * 应在归一化之后调用 (0 即均值)
+ * features: [nFrames, nFeatures]
+ */
+export function specAugment(features, options = {}, random = Math.random) {
+    const { timeMasks = 0, timeMaskWidth = 0, freqMasks = 0, freqMaskWidth = 0 } = options;
+    const result = features.map(frame => [...frame]);
+    const nFrames = result.length;
+    const nFeatures = nFrames > 0 ? result[0].length : 0;
+
+    for (let m = 0; m < timeMasks; m++) {
+        const width = Math.floor(random() * (Math.min(timeMaskWidth, nFrames) + 1));
+        const start = Math.floor(random() * (nFrames - width + 1));
+        for (let t = start; t < start + width; t++) {
+            result[t].fill(0);
+        }
+    }
+
+    for (let m = 0; m < freqMasks; m++) {
+        const width = Math.floor(random() * (Math.min(freqMaskWidth, nFeatures) + 1));
+        const start = Math.floor(random() * (nFeatures - width + 1));
+        result.forEach(frame => frame.fill(0, start, start + width));
+    }
+
+    return result;
+}
+
+/**
+ * 对一段音频依次应用随机的变速、平移、增益和噪声
+ * noisePool: 背景噪声音频数组 (与 audioData 采样率相同)
+ */
+export function augmentAudio(audioData, sampleRate, options = {}, noisePool = [], random = Math.random) {
+    const opts = { ...DEFAULT_AUGMENTATION_OPTIONS, ...options };
+    let result = audioData;
+
+    if (opts.speedRange > 0) {
+        result = changeSpeed(result, uniform(random, 1 - opts.speedRange, 1 + opts.speedRange));
+    }
+
+    if (opts.shiftMs > 0) {
+        const maxShift = Math.min(Math.floor(sampleRate * opts.shiftMs / 1000), result.length - 1);
+        result = timeShift(result, Math.round(uniform(random, -maxShift, maxShift)));
+    }
+
+    if (opts.gainDb > 0) {
+        result = applyGain(result, uniform(random, -opts.gainDb, opts.gainDb));
+    }
+
+    const candidates = noisePool.filter(noise => noise !== audioData);
+    if (candidates.length > 0 && random() < opts.noiseProbability) {
+        const noise = candidates[Math.floor(random() * candidates.length)];
+        const [minSnr, maxSnr] = opts.noiseSnrDb;
+        result = mixNoise(result, noise, uniform(random, minSnr, maxSnr));
+    }
+
+    return result === audioData ? Float32Array.from(audioData) : result;
+}
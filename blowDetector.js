@@ -0,0 +1,271 @@
+/**
+ * 无界面的吹气检测入口 - 组合录音、特征提取、模型推理和事件检测
+ *
+ * 用法:
+ *   const detector = await BlowDetector.load('/models/blow-classifier.json');
+ *   detector.on('blowstart', e => ...);
+ *   await detector.start(mediaStream);   // 或任意音频源, 如 new MediaElementSource(videoElement)
+ *
+ * 事件:
+ *   prediction { label, confidence, probabilities, time, audioData }
+ *   gate { open, active, rms, zcr, noiseFloor, snrDb, time } (每个窗口, 见 ActivityGate; 关闭时跳过推理)
+ *   blowstart / blowend (见 BlowEventDetector)
+ *   start / stop
+ *   error { error }
+ */
+
+import { AudioRecorder } from './audioRecorder.js';
+import { FeatureExtractor } from './featureExtractor.js';
+import { ModelTrainer, DEFAULT_LABELS } from './modelTrainer.js';
+import { BlowEventDetector } from './blowEventDetector.js';
+import { ActivityGate } from './activityGate.js';
+import { EventEmitter } from './eventEmitter.js';
+
+export const DEFAULT_DETECTOR_OPTIONS = {
+    sampleRate: 22050,
+    labels: DEFAULT_LABELS,
+    windowMs: 1000,
+    hopMs: 250,
+    maxQueuedWindows: 8,    // 推理跟不上时最多排队的窗口数, 超出时丢弃最旧的窗口
+    events: {},
+    gate: {}
+};
+
+export class BlowDetector extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = { ...DEFAULT_DETECTOR_OPTIONS, ...options };
+
+        this.modelTrainer = new ModelTrainer(
+            new FeatureExtractor(this.options.sampleRate),
+            this.options.labels
+        );
+        this.eventDetector = new BlowEventDetector(this.options.events);
+        this.gate = new ActivityGate({ hangoverMs: this.options.windowMs, ...this.options.gate });
+        this.audioRecorder = null;
+
+        this.isRunning = false;
+        this.windowQueue = [];
+        this.droppedWindows = 0;
+        this.lastWindowTime = 0;
+        this.isProcessingWindows = false;
+
+        this.eventDetector.on('blowstart', event => this.emit('blowstart', event));
+        this.eventDetector.on('blowend', event => this.emit('blowend', event));
+    }
+
+    /**
+     * 当前特征提取器 (加载模型后按模型保存的配置重建)
+     */
+    get featureExtractor() {
+        return this.modelTrainer.featureExtractor;
+    }
+
+    /**
+     * 创建检测器并加载模型
+     */
+    static async load(modelUrl, options = {}) {
+        const detector = new BlowDetector(options);
+        await detector.loadModel(modelUrl);
+        return detector;
+    }
+
+    /**
+     * 加载模型 (http(s)://, indexeddb://, localstorage:// 或 localstorage 中的名称)
+     */
+    async loadModel(modelUrl) {
+        const success = await this.modelTrainer.loadModel(modelUrl);
+        if (!success) {
+            const reason = this.modelTrainer.loadError;
+            throw new Error(`Failed to load model from ${modelUrl}${reason ? `: ${reason.message}` : ''}`);
+        }
+        return this.getLabels();
+    }
+
+    getLabels() {
+        return this.modelTrainer.getLabels();
+    }
+
+    /**
+     * 更新事件检测参数, 并重置当前事件状态
+     */
+    configureEvents(options) {
+        this.eventDetector.configure(options);
+        this.eventDetector.reset();
+    }
+
+    getEventOptions() {
+        return { ...this.eventDetector.options };
+    }
+
+    isEventActive() {
+        return this.eventDetector.isActive();
+    }
+
+    /**
+     * 更新声音活动门限参数 (见 ActivityGate), 如 { enabled: true, thresholdDb: 10 }
+     */
+    configureGate(options) {
+        this.gate.configure(options);
+    }
+
+    getGateOptions() {
+        return { ...this.gate.options };
+    }
+
+    /**
+     * 门限已处理的窗口数和跳过比例 { windows, skipped, skippedRatio }
+     */
+    getGateStats() {
+        return this.gate.getStats();
+    }
+
+    /**
+     * 初始化音频输入
+     * input: 可选, 音频源 (见 audioSources.js) 或 MediaStream; 不提供时请求麦克风
+     */
+    async initAudio(input = null) {
+        if (this.audioRecorder) {
+            this.audioRecorder.stop();
+        }
+
+        this.audioRecorder = new AudioRecorder();
+        await this.audioRecorder.init(input);
+        return this.audioRecorder;
+    }
+
+    /**
+     * 切换音频输入 (如换一个麦克风或修改采集选项), 检测和采集不中断
+     * 尚未初始化时等同于 initAudio
+     */
+    async switchAudioInput(input) {
+        if (!this.audioRecorder) {
+            return this.initAudio(input);
+        }
+        await this.audioRecorder.switchSource(input);
+        return this.audioRecorder;
+    }
+
+    /**
+     * 开始检测
+     * input: 可选, 提供时切换到该音频源或 MediaStream
+     */
+    async start(input = null, { hopMs = this.options.hopMs } = {}) {
+        if (this.isRunning) {
+            throw new Error('Detector already running');
+        }
+        if (!this.modelTrainer.model) {
+            throw new Error('Model not trained or loaded');
+        }
+
+        if (input || !this.audioRecorder) {
+            await this.initAudio(input);
+        }
+
+        this.isRunning = true;
+        this.windowQueue = [];
+        this.droppedWindows = 0;
+        this.lastWindowTime = 0;
+        this.eventDetector.reset();
+        this.gate.reset();
+
+        try {
+            await this.audioRecorder.startStreaming({
+                windowMs: this.options.windowMs,
+                hopMs,
+                onWindow: (audioData, { time }) => this.handleWindow(audioData, time)
+            });
+        } catch (error) {
+            this.isRunning = false;
+            throw error;
+        }
+
+        this.emit('start', { hopMs });
+    }
+
+    /**
+     * 停止检测, 保留音频输入以便再次启动
+     * 进行中的事件以最后一个窗口的时刻结束, 发出 blowend
+     */
+    stop() {
+        if (!this.isRunning) return;
+
+        this.isRunning = false;
+        this.windowQueue = [];
+        if (this.audioRecorder) {
+            this.audioRecorder.stopStreaming();
+        }
+        this.eventDetector.end(this.lastWindowTime * 1000);
+        this.emit('stop');
+    }
+
+    /**
+     * 停止检测并释放音频资源
+     */
+    dispose() {
+        this.stop();
+        if (this.audioRecorder) {
+            this.audioRecorder.stop();
+            this.audioRecorder = null;
+        }
+    }
+
+    /**
+     * 门限打开的窗口进入推理队列; 关闭时跳过推理, 并结束仍处于活动状态的事件
+     * 队列超过 maxQueuedWindows 时丢弃最旧的窗口, 慢速设备上相当于加大步长, 内存不会无限增长
+     */
+    handleWindow(audioData, time) {
+        this.lastWindowTime = time;
+        const gateState = this.gate.process(audioData, this.audioRecorder.getSampleRate(), time);
+        this.emit('gate', gateState);
+
+        this.windowQueue.push({ audioData: gateState.open ? audioData : null, time });
+
+        const excess = this.windowQueue.length - this.options.maxQueuedWindows;
+        if (excess > 0) {
+            this.windowQueue.splice(0, excess);
+            if (this.droppedWindows === 0) {
+                console.warn('Inference is falling behind, dropping the oldest queued windows');
+            }
+            this.droppedWindows += excess;
+        }
+        this.processWindowQueue();
+    }
+
+    /**
+     * 按顺序处理窗口队列, 保证预测不重叠
+     */
+    async processWindowQueue() {
+        if (this.isProcessingWindows) return;
+        this.isProcessingWindows = true;
+
+        const sampleRate = this.audioRecorder.getSampleRate();
+
+        while (this.isRunning && this.windowQueue.length > 0) {
+            const { audioData, time } = this.windowQueue.shift();
+
+            if (!audioData) {
+                // 被门限跳过的窗口按静音处理
+                this.eventDetector.process({ probabilities: this.silentProbabilities() }, time * 1000);
+                continue;
+            }
+
+            try {
+                const prediction = await this.modelTrainer.predict(audioData, sampleRate);
+
+                if (prediction) {
+                    this.emit('prediction', { ...prediction, time, audioData });
+                    this.eventDetector.process(prediction, time * 1000);
+                }
+            } catch (error) {
+                this.emit('error', { error });
+            }
+        }
+
+        this.isProcessingWindows = false;
+    }
+
+    silentProbabilities() {
+        return Object.fromEntries(this.getLabels().map(label => [label, 0]));
+    }
+}
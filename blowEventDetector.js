@@ -0,0 +1,136 @@
+/**
+ * 事件检测模块 - 将逐窗口的预测概率转换为离散的开始/结束事件
+ *
+ * 状态: idle -> pending (超过阈值, 等待最短持续时间) -> active -> idle
+ * 事件:
+ *   blowstart { label, timestamp, detectedAt, confidence }
+ *   blowend   { label, timestamp, startTime, duration, peakConfidence }
+ */
+
+import { EventEmitter } from './eventEmitter.js';
+
+export const DEFAULT_EVENT_OPTIONS = {
+    targetLabel: 'blow',
+    threshold: 0.7,         // 进入阈值
+    releaseThreshold: 0.5,  // 退出阈值 (滞回)
+    minDuration: 150,       // 最短持续时间 (ms)
+    refractoryPeriod: 500   // 事件结束后的不应期 (ms)
+};
+
+export class BlowEventDetector extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = { ...DEFAULT_EVENT_OPTIONS };
+        this.configure(options);
+        this.reset();
+    }
+
+    /**
+     * 更新检测参数
+     */
+    configure(options) {
+        const next = { ...this.options, ...options };
+
+        // 来自界面输入时可能为 NaN, NaN 能通过下面所有的大小比较
+        ['threshold', 'releaseThreshold', 'minDuration', 'refractoryPeriod'].forEach(name => {
+            if (!Number.isFinite(next[name])) {
+                throw new Error(`Event option ${name} must be a finite number, got ${next[name]}`);
+            }
+        });
+        if (next.releaseThreshold > next.threshold) {
+            throw new Error('Release threshold must not exceed the trigger threshold');
+        }
+        if (next.minDuration < 0 || next.refractoryPeriod < 0) {
+            throw new Error('Durations must be non-negative');
+        }
+
+        this.options = next;
+    }
+
+    reset() {
+        this.state = 'idle';
+        this.startTime = 0;
+        this.peakConfidence = 0;
+        this.refractoryUntil = -Infinity;
+    }
+
+    isActive() {
+        return this.state === 'active';
+    }
+
+    /**
+     * 处理一次预测结果
+     * prediction: ModelTrainer.predict 的返回值
+     * timestamp: 窗口时间 (ms)
+     */
+    process(prediction, timestamp) {
+        const { targetLabel, threshold, releaseThreshold, minDuration, refractoryPeriod } = this.options;
+        const confidence = prediction.probabilities[targetLabel];
+
+        if (confidence === undefined) {
+            return;
+        }
+
+        switch (this.state) {
+            case 'idle':
+                if (confidence >= threshold && timestamp >= this.refractoryUntil) {
+                    this.state = 'pending';
+                    this.startTime = timestamp;
+                    this.peakConfidence = confidence;
+                    this.checkMinDuration(timestamp, minDuration);
+                }
+                break;
+
+            case 'pending':
+                if (confidence < releaseThreshold) {
+                    // 持续时间不足, 丢弃
+                    this.state = 'idle';
+                    break;
+                }
+                this.peakConfidence = Math.max(this.peakConfidence, confidence);
+                this.checkMinDuration(timestamp, minDuration);
+                break;
+
+            case 'active':
+                this.peakConfidence = Math.max(this.peakConfidence, confidence);
+                if (confidence < releaseThreshold) {
+                    this.state = 'idle';
+                    this.refractoryUntil = timestamp + refractoryPeriod;
+                    this.emitEnd(timestamp);
+                }
+                break;
+        }
+    }
+
+    /**
+     * 结束当前事件并重置 (如停止检测时): 活动中的事件以 timestamp 发出 blowend, 未达到最短时长的丢弃
+     */
+    end(timestamp) {
+        if (this.state === 'active') {
+            this.emitEnd(timestamp);
+        }
+        this.reset();
+    }
+
+    emitEnd(timestamp) {
+        this.emit('blowend', {
+            label: this.options.targetLabel,
+            timestamp,
+            startTime: this.startTime,
+            duration: timestamp - this.startTime,
+            peakConfidence: this.peakConfidence
+        });
+    }
+
+    checkMinDuration(timestamp, minDuration) {
+        if (timestamp - this.startTime >= minDuration) {
+            this.state = 'active';
+            this.emit('blowstart', {
+                label: this.options.targetLabel,
+                timestamp: this.startTime,
+                detectedAt: timestamp,
+                confidence: this.peakConfidence
+            });
+        }
+    }
+}
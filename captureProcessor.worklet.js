@@ -0,0 +1,38 @@
+/**
+ * AudioWorklet 采集处理器 - 把 128 帧的渲染块聚合成固定大小的块发回主线程
+ */
+
+class CaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const processorOptions = options.processorOptions || {};
+        this.chunkSize = processorOptions.chunkSize || 2048;
+        this.buffer = new Float32Array(this.chunkSize);
+        this.offset = 0;
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        const channel = input && input[0];
+
+        if (channel) {
+            let read = 0;
+            while (read < channel.length) {
+                const count = Math.min(channel.length - read, this.chunkSize - this.offset);
+                this.buffer.set(channel.subarray(read, read + count), this.offset);
+                this.offset += count;
+                read += count;
+
+                if (this.offset === this.chunkSize) {
+                    this.port.postMessage(this.buffer, [this.buffer.buffer]);
+                    this.buffer = new Float32Array(this.chunkSize);
+                    this.offset = 0;
+                }
+            }
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('capture-processor', CaptureProcessor);
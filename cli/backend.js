@@ -0,0 +1,30 @@
+/**
+ * Node.js 命令行公共函数
+ */
+
+import { QUIET_LOGGER } from '../modelTrainer.js';
+
+/**
+ * 优先使用 tfjs-node 原生后端, 未安装时退回纯 JS 的 cpu 后端
+ */
+export async function useBestBackend() {
+    try {
+        await import('@tensorflow/tfjs-node');
+        return 'tensorflow';
+    } catch (error) {
+        const tf = await import('@tensorflow/tfjs');
+        await tf.setBackend('cpu');
+        return 'cpu';
+    }
+}
+
+/**
+ * 传给 ModelTrainer 的日志对象: 非 verbose 时屏蔽逐样本、逐 epoch 的日志, 保留警告和错误
+ */
+export function createLibraryLogger(verbose) {
+    return verbose ? console : QUIET_LOGGER;
+}
+
+export function print(message) {
+    process.stdout.write(`${message}\n`);
+}
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/**
+ * 离线评估命令行工具
+ *
+ * 用法:
+ *   node cli/evaluate.js --model ./models/blow-classifier --data ./testset [--out metrics.json]
+ *
+ * 数据目录结构与训练相同; 只评估模型标签集中存在的子目录
+ */
+
+import fs from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { FeatureExtractor } from '../featureExtractor.js';
+import { ModelTrainer } from '../modelTrainer.js';
+import { EmbeddingBackbone } from '../embeddingBackbone.js';
+import { buildEvaluationReport } from '../evaluation.js';
+import { listLabels, loadWavWindows } from './wavDataset.js';
+import { fileLoadHandler, readModelMetadata } from './modelFiles.js';
+import { useBestBackend, createLibraryLogger, print } from './backend.js';
+
+const USAGE = `Usage: node cli/evaluate.js --model <dir> --data <dir> [options]
+
+Options:
+  --model <dir>         Folder containing model.json and weights.bin
+  --data <dir>          Folder with one sub-folder of WAV files per label
+  --out <file>          Write the metrics JSON to this file (default: stdout)
+  --positive-label <l>  Label used for ROC/PR curves and threshold tuning (default: blow or first label)
+  --max-fpr <rate>      False-trigger rate allowed when recommending a threshold (default: 0.05)
+  --backbone <dir>      Folder with the pretrained backbone of a transfer-learning model
+                        (default: load it from the URL recorded in the model)
+  --sample-rate <hz>    Feature extraction sample rate for models saved without
+                        a feature config (default: 22050)
+  --window-ms <ms>      Window length (default: 1000)
+  --hop-ms <ms>         Hop between windows of one file (default: window length)
+  --verbose             Print library logs
+  --help                Show this message`;
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            model: { type: 'string' },
+            data: { type: 'string' },
+            out: { type: 'string' },
+            'positive-label': { type: 'string' },
+            backbone: { type: 'string' },
+            'max-fpr': { type: 'string', default: '0.05' },
+            'sample-rate': { type: 'string', default: '22050' },
+            'window-ms': { type: 'string', default: '1000' },
+            'hop-ms': { type: 'string' },
+            verbose: { type: 'boolean', default: false },
+            help: { type: 'boolean', default: false }
+        }
+    });
+
+    if (values.help || !values.model || !values.data) {
+        print(USAGE);
+        process.exit(values.help ? 0 : 1);
+    }
+
+    const logger = createLibraryLogger(values.verbose);
+    await useBestBackend();
+
+    const sampleRate = parseInt(values['sample-rate']);
+    const windowMs = parseInt(values['window-ms']);
+    const hopMs = values['hop-ms'] ? parseInt(values['hop-ms']) : windowMs;
+
+    const featureExtractor = new FeatureExtractor(sampleRate);
+    const modelTrainer = new ModelTrainer(featureExtractor, undefined, { logger });
+
+    // 迁移学习模型: 先从本地目录加载骨干网络, loadModel 发现配置相同时直接复用
+    if (values.backbone) {
+        const { backbone } = await readModelMetadata(values.model);
+        if (!backbone) {
+            throw new Error(`${values.model} was not trained on a pretrained backbone`);
+        }
+        modelTrainer.setBackbone(await EmbeddingBackbone.load(backbone, await fileLoadHandler(values.backbone)));
+    }
+
+    if (!await modelTrainer.loadModel(await fileLoadHandler(values.model), { source: values.model })) {
+        const reason = modelTrainer.loadError;
+        throw new Error(`Failed to load model from ${values.model}${reason ? `: ${reason.message}` : ''}`);
+    }
+
+    // 模型自带特征配置时以其采样率为准
+    const modelSampleRate = modelTrainer.featureExtractor.sampleRate;
+
+    const labels = modelTrainer.getLabels();
+    const folders = await listLabels(values.data);
+    const evalLabels = labels.filter(label => folders.includes(label));
+
+    if (evalLabels.length === 0) {
+        throw new Error(`No folders in ${values.data} match the model labels: ${labels.join(', ')}`);
+    }
+
+    const windows = await loadWavWindows(values.data, evalLabels, { sampleRate: modelSampleRate, windowMs, hopMs });
+    const actual = [];
+    const probabilities = [];
+
+    for (const { audio, label } of windows) {
+        const prediction = await modelTrainer.predict(audio, modelSampleRate);
+        if (prediction) {
+            actual.push(label);
+            probabilities.push(labels.map(l => prediction.probabilities[l]));
+        }
+    }
+
+    const positiveLabel = values['positive-label'] || (labels.includes('blow') ? 'blow' : labels[0]);
+    const metrics = {
+        createdAt: new Date().toISOString(),
+        ...buildEvaluationReport(labels, actual, probabilities, {
+            positiveLabel,
+            maxFalsePositiveRate: parseFloat(values['max-fpr'])
+        })
+    };
+
+    const json = JSON.stringify(metrics, null, 2);
+    if (values.out) {
+        await fs.writeFile(values.out, json);
+        print(`Accuracy: ${(metrics.accuracy * 100).toFixed(2)}% on ${metrics.total} windows`);
+        if (metrics.recommendedThreshold) {
+            const { threshold, falsePositiveRate } = metrics.recommendedThreshold;
+            print(`Recommended ${positiveLabel} threshold: ${threshold.toFixed(3)} (false-trigger rate ${(falsePositiveRate * 100).toFixed(2)}%)`);
+        }
+        print(`Metrics written to ${values.out}`);
+    } else {
+        print(json);
+    }
+}
+
+main().catch(error => {
+    process.stderr.write(`Error: ${error.message}\n`);
+    process.exit(1);
+});
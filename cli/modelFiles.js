@@ -0,0 +1,69 @@
+/**
+ * Node.js 模型文件读写 - model.json + weights.bin, 与 tfjs 的 HTTP 加载格式兼容
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import * as tf from '@tensorflow/tfjs';
+
+const MODEL_FILE = 'model.json';
+const WEIGHTS_FILE = 'weights.bin';
+
+/**
+ * 返回保存到目录的 IOHandler
+ */
+export function fileSaveHandler(dir) {
+    return tf.io.withSaveHandler(async (artifacts) => {
+        await fs.mkdir(dir, { recursive: true });
+
+        const weightData = tf.io.CompositeArrayBuffer.join(artifacts.weightData);
+        const modelJSON = {
+            modelTopology: artifacts.modelTopology,
+            format: artifacts.format,
+            generatedBy: artifacts.generatedBy,
+            convertedBy: artifacts.convertedBy,
+            weightsManifest: [{ paths: [`./${WEIGHTS_FILE}`], weights: artifacts.weightSpecs }]
+        };
+        if (artifacts.trainingConfig) {
+            modelJSON.trainingConfig = artifacts.trainingConfig;
+        }
+        if (artifacts.userDefinedMetadata) {
+            modelJSON.userDefinedMetadata = artifacts.userDefinedMetadata;
+        }
+
+        await fs.writeFile(path.join(dir, MODEL_FILE), JSON.stringify(modelJSON));
+        await fs.writeFile(path.join(dir, WEIGHTS_FILE), Buffer.from(weightData));
+
+        return { modelArtifactsInfo: tf.io.getModelArtifactsInfoForJSON(artifacts) };
+    });
+}
+
+/**
+ * 读取目录中 model.json 的 userDefinedMetadata
+ */
+export async function readModelMetadata(dir) {
+    const modelJSON = JSON.parse(await fs.readFile(path.join(dir, MODEL_FILE), 'utf8'));
+    return modelJSON.userDefinedMetadata || {};
+}
+
+/**
+ * 返回从目录加载的 IOHandler
+ */
+export async function fileLoadHandler(dir) {
+    const modelJSON = JSON.parse(await fs.readFile(path.join(dir, MODEL_FILE), 'utf8'));
+
+    const buffers = [];
+    for (const group of modelJSON.weightsManifest) {
+        for (const weightPath of group.paths) {
+            const data = await fs.readFile(path.join(dir, weightPath));
+            buffers.push(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+        }
+    }
+
+    const artifacts = tf.io.getModelArtifactsForJSONSync(
+        modelJSON,
+        tf.io.getWeightSpecs(modelJSON.weightsManifest),
+        tf.io.CompositeArrayBuffer.join(buffers)
+    );
+    return tf.io.fromMemory(artifacts);
+}
@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+/**
+ * 离线训练命令行工具
+ *
+ * 用法:
+ *   node cli/train.js --data ./dataset --out ./models/blow-classifier [--epochs 50] [--batch-size 32]
+ *
+ * 数据目录结构: <data>/<label>/*.wav, 默认以子目录名 (按字母排序) 作为标签集
+ * 输出: <out>/model.json, <out>/weights.bin, <out>/metrics.json (含分层测试集上的评估报告)
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { FeatureExtractor } from '../featureExtractor.js';
+import { ModelTrainer } from '../modelTrainer.js';
+import { EmbeddingBackbone } from '../embeddingBackbone.js';
+import { listLabels, loadWavWindows } from './wavDataset.js';
+import { fileSaveHandler, fileLoadHandler } from './modelFiles.js';
+import { useBestBackend, createLibraryLogger, print } from './backend.js';
+
+const USAGE = `Usage: node cli/train.js --data <dir> --out <dir> [options]
+
+Options:
+  --data <dir>          Folder with one sub-folder of WAV files per label
+  --out <dir>           Output folder for model.json, weights.bin and metrics.json
+  --labels <a,b,...>    Label set (default: sub-folder names)
+  --epochs <n>          Training epochs (default: 50)
+  --batch-size <n>      Batch size (default: 32)
+  --test-split <frac>   Stratified held-out test fraction (default: 0.2, 0 disables)
+  --val-split <frac>    Validation fraction of the remaining samples (default: 0.2)
+  --augment <copies>    Add this many augmented copies of every training sample
+                        (gain, shift, background noise from not_blow or the last
+                        label, speed, SpecAugment)
+  --early-stopping <n>  Stop after n epochs without val_loss improvement and
+                        restore the best weights
+  --reduce-lr <n>       Halve the learning rate after n epochs without improvement
+  --architecture <a>    cnn, ds-cnn, temporal-conv or stats-dense (default: cnn)
+  --backbone <dir>      Pretrained embedding model (model.json + weights.bin) used as a
+                        frozen backbone; only a small classifier head is trained
+  --backbone-url <url>  URL of the backbone recorded in the model for loading it in the
+                        browser (default: <dir>/model.json)
+  --backbone-format <f> layers or graph (default: layers)
+  --backbone-input <i>  waveform or features (default: waveform)
+  --backbone-output <n> Embedding layer / output node name (default: penultimate layer)
+  --backbone-rate <hz>  Waveform sample rate of the backbone (default: 16000)
+  --sample-rate <hz>    Feature extraction sample rate (default: 22050)
+  --features <type>     log-mel, mel or mfcc (default: log-mel)
+  --deltas <n>          Append delta (1) or delta + delta-delta (2) features (default: 0)
+  --frame-stats         Append frame-level RMS/ZCR/spectral statistics
+  --fft-size <n>        FFT size in samples, a power of two no longer than one window
+                        (default: 2048)
+  --n-mels <n>          Mel bands (default: 128)
+  --n-frames <n>        Frames per window (default: 32)
+  --fmin <hz>           Lowest mel filter frequency (default: 0)
+  --fmax <hz>           Highest mel filter frequency (default: sample rate / 2)
+  --normalization <m>   per-clip or dataset (per-feature train-set statistics)
+                        (default: per-clip)
+  --window-ms <ms>      Window length (default: 1000)
+  --hop-ms <ms>         Hop between windows of one file (default: window length)
+  --verbose             Print library logs
+  --help                Show this message`;
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            data: { type: 'string' },
+            out: { type: 'string' },
+            labels: { type: 'string' },
+            epochs: { type: 'string', default: '50' },
+            'batch-size': { type: 'string', default: '32' },
+            'test-split': { type: 'string', default: '0.2' },
+            'val-split': { type: 'string', default: '0.2' },
+            augment: { type: 'string' },
+            'early-stopping': { type: 'string' },
+            'reduce-lr': { type: 'string' },
+            architecture: { type: 'string', default: 'cnn' },
+            backbone: { type: 'string' },
+            'backbone-url': { type: 'string' },
+            'backbone-format': { type: 'string', default: 'layers' },
+            'backbone-input': { type: 'string', default: 'waveform' },
+            'backbone-output': { type: 'string' },
+            'backbone-rate': { type: 'string', default: '16000' },
+            'sample-rate': { type: 'string', default: '22050' },
+            features: { type: 'string', default: 'log-mel' },
+            deltas: { type: 'string', default: '0' },
+            'frame-stats': { type: 'boolean', default: false },
+            'fft-size': { type: 'string', default: '2048' },
+            'n-mels': { type: 'string', default: '128' },
+            'n-frames': { type: 'string', default: '32' },
+            fmin: { type: 'string', default: '0' },
+            fmax: { type: 'string' },
+            normalization: { type: 'string', default: 'per-clip' },
+            'window-ms': { type: 'string', default: '1000' },
+            'hop-ms': { type: 'string' },
+            verbose: { type: 'boolean', default: false },
+            help: { type: 'boolean', default: false }
+        }
+    });
+
+    if (values.help || !values.data || !values.out) {
+        print(USAGE);
+        process.exit(values.help ? 0 : 1);
+    }
+
+    const logger = createLibraryLogger(values.verbose);
+    const backend = await useBestBackend();
+
+    const epochs = parseInt(values.epochs);
+    const batchSize = parseInt(values['batch-size']);
+    const testSplit = parseFloat(values['test-split']);
+    const validationSplit = parseFloat(values['val-split']);
+    const augmentation = values.augment ? { copies: parseInt(values.augment) } : null;
+    const earlyStopping = values['early-stopping'] ? { patience: parseInt(values['early-stopping']) } : null;
+    const reduceLROnPlateau = values['reduce-lr'] ? { patience: parseInt(values['reduce-lr']) } : null;
+    const sampleRate = parseInt(values['sample-rate']);
+    const windowMs = parseInt(values['window-ms']);
+    const hopMs = values['hop-ms'] ? parseInt(values['hop-ms']) : windowMs;
+
+    const labels = values.labels
+        ? values.labels.split(',').map(label => label.trim())
+        : await listLabels(values.data);
+
+    print(`Backend: ${backend}`);
+    print(`Labels: ${labels.join(', ')}`);
+
+    const featureExtractor = FeatureExtractor.fromConfig({
+        sampleRate,
+        featureType: values.features,
+        deltaOrder: parseInt(values.deltas),
+        frameStats: values['frame-stats'],
+        fftSize: parseInt(values['fft-size']),
+        nMels: parseInt(values['n-mels']),
+        nFrames: parseInt(values['n-frames']),
+        fmin: parseFloat(values.fmin),
+        fmax: values.fmax ? parseFloat(values.fmax) : null,
+        normalization: values.normalization
+    });
+    print(`Features: ${values.features}, input ${featureExtractor.getFeatureShape().join(' x ')}`);
+
+    // 短于一帧 FFT 的窗口无法提取特征, 会被 addSample 全部丢弃
+    const windowSamples = Math.floor(sampleRate * windowMs / 1000);
+    if (windowSamples < featureExtractor.fftSize) {
+        throw new Error(
+            `--window-ms ${windowMs} gives ${windowSamples} samples at ${sampleRate} Hz, fewer than the FFT size ` +
+            `${featureExtractor.fftSize}; use a longer window or a smaller --fft-size`
+        );
+    }
+
+    const modelTrainer = new ModelTrainer(featureExtractor, labels, { logger });
+    modelTrainer.setArchitecture(values.architecture);
+
+    if (values.backbone) {
+        const backboneRate = parseInt(values['backbone-rate']);
+        const backbone = await EmbeddingBackbone.load({
+            url: values['backbone-url'] || path.join(values.backbone, 'model.json'),
+            format: values['backbone-format'],
+            input: values['backbone-input'],
+            output: values['backbone-output'] || null,
+            sampleRate: backboneRate,
+            inputLength: backboneRate
+        }, await fileLoadHandler(values.backbone));
+        modelTrainer.setBackbone(backbone);
+        print(`Backbone: ${values.backbone}, embedding size ${backbone.embeddingDim}`);
+    }
+
+    const windows = await loadWavWindows(values.data, labels, { sampleRate, windowMs, hopMs });
+    const rejected = windows.filter(({ audio, label }) => !modelTrainer.addSample(audio, label, { sampleRate }));
+
+    const sampleCounts = modelTrainer.getSampleCounts();
+    print(`Samples: ${labels.map(label => `${label}=${sampleCounts[label]}`).join(', ')}`);
+    if (rejected.length > 0) {
+        print(`Skipped ${rejected.length} of ${windows.length} windows shorter than the FFT size (${featureExtractor.fftSize} samples)`);
+    }
+
+    const started = Date.now();
+    const history = await modelTrainer.train(epochs, batchSize, {
+        onEpochEnd: (epoch, logs) => {
+            const validation = logs.val_loss === undefined
+                ? ''
+                : `, val_loss: ${logs.val_loss.toFixed(4)}, val_acc: ${(logs.val_acc * 100).toFixed(2)}%`;
+            print(
+                `Epoch ${epoch + 1}/${epochs} - ` +
+                `loss: ${logs.loss.toFixed(4)}, acc: ${(logs.acc * 100).toFixed(2)}%${validation}`
+            );
+        }
+    }, { testSplit, validationSplit, augmentation, earlyStopping, reduceLROnPlateau });
+
+    const summary = modelTrainer.lastTrainingSummary;
+    print(
+        `Stopped after ${summary.epochsRun}/${summary.epochs} epochs (${summary.stopReason}), ` +
+        `best epoch ${summary.bestEpoch}${summary.restoredBestWeights ? ', best weights restored' : ''}`
+    );
+
+    const evaluation = modelTrainer.lastEvaluation;
+    if (evaluation) {
+        print(`Test accuracy: ${(evaluation.accuracy * 100).toFixed(2)}%, macro F1: ${evaluation.macroF1.toFixed(4)}`);
+    }
+
+    const modelSummary = await modelTrainer.getModelSummary();
+    print(
+        `Model: ${modelSummary.architecture}, ${modelSummary.params} params (${modelSummary.sizeKB.toFixed(1)} KB), ` +
+        `${modelSummary.latencyMs.toFixed(2)} ms per inference on ${backend}`
+    );
+
+    await modelTrainer.saveModel(fileSaveHandler(values.out));
+
+    const lastEpoch = history.epoch.length - 1;
+    const metrics = {
+        createdAt: new Date().toISOString(),
+        backend,
+        labels,
+        sampleCounts,
+        featureConfig: featureExtractor.getConfig(),
+        model: modelSummary,
+        backbone: modelTrainer.backbone ? modelTrainer.backbone.getConfig() : null,
+        training: {
+            epochs, batchSize, testSplit, validationSplit, augmentation, earlyStopping, reduceLROnPlateau,
+            windowMs, hopMs, durationMs: Date.now() - started
+        },
+        summary,
+        final: Object.fromEntries(
+            Object.entries(history.history).map(([key, values]) => [key, values[lastEpoch]])
+        ),
+        history: history.history,
+        evaluation
+    };
+
+    await fs.writeFile(path.join(values.out, 'metrics.json'), JSON.stringify(metrics, null, 2));
+    print(`Model written to ${values.out}`);
+}
+
+main().catch(error => {
+    process.stderr.write(`Error: ${error.message}\n`);
+    process.exit(1);
+});
@@ -0,0 +1,51 @@
+/**
+ * Node.js 数据集读取 - <dir>/<label>/*.wav
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { decodeWav } from '../wavCodec.js';
+import { resampleLinear, sliceWindows } from '../audioUtils.js';
+
+/**
+ * 列出数据目录下的标签 (子目录名, 按字母排序)
+ */
+export async function listLabels(dataDir) {
+    const entries = await fs.readdir(dataDir, { withFileTypes: true });
+    return entries
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+        .map(entry => entry.name)
+        .sort();
+}
+
+/**
+ * 读取所有 WAV 文件并切分为窗口
+ * 返回: [{ label, file, start, audio }], 音频已重采样到 sampleRate
+ */
+export async function loadWavWindows(dataDir, labels, { sampleRate, windowMs = 1000, hopMs = windowMs }) {
+    const windowSize = Math.floor(sampleRate * windowMs / 1000);
+    const hopSize = Math.floor(sampleRate * hopMs / 1000);
+    const windows = [];
+
+    for (const label of labels) {
+        const labelDir = path.join(dataDir, label);
+        let files;
+        try {
+            files = (await fs.readdir(labelDir)).filter(name => name.toLowerCase().endsWith('.wav')).sort();
+        } catch (error) {
+            throw new Error(`Cannot read label folder ${labelDir}: ${error.message}`);
+        }
+
+        for (const name of files) {
+            const file = path.join(labelDir, name);
+            const decoded = decodeWav(await fs.readFile(file));
+            const audio = resampleLinear(decoded.audioData, decoded.sampleRate, sampleRate);
+
+            sliceWindows(audio, windowSize, hopSize).forEach(window => {
+                windows.push({ label, file, start: window.start / sampleRate, audio: window.audio });
+            });
+        }
+    }
+
+    return windows;
+}
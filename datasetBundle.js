@@ -0,0 +1,93 @@
+/**
+ * 数据集导入导出模块 - 原始 WAV 片段 + JSON manifest 打包为 ZIP
+ *
+ * 包结构:
+ *   manifest.json
+ *   clips/<label>/<id>.wav
+ */
+
+import { encodeWav, decodeWav } from './wavCodec.js';
+import { createZip, readZip } from './zipArchive.js';
+
+export const DATASET_FORMAT = 'blow-dataset';
+export const DATASET_VERSION = 1;
+
+const MANIFEST_NAME = 'manifest.json';
+
+/**
+ * 导出数据集
+ * trainingData: { [label]: [{ id, audio, sampleRate, timestamp }] }
+ * featureConfig: FeatureExtractor.getConfig()
+ * 返回: Uint8Array (ZIP)
+ */
+export function exportDatasetBundle(trainingData, featureConfig) {
+    const entries = [];
+    const samples = [];
+
+    Object.entries(trainingData).forEach(([label, labelSamples]) => {
+        labelSamples.forEach(sample => {
+            const file = `clips/${label}/${sample.id}.wav`;
+            entries.push({ name: file, data: encodeWav(sample.audio, sample.sampleRate) });
+            samples.push({
+                id: sample.id,
+                file,
+                label,
+                sampleRate: sample.sampleRate,
+                duration: sample.audio.length / sample.sampleRate,
+                timestamp: sample.timestamp
+            });
+        });
+    });
+
+    const manifest = {
+        format: DATASET_FORMAT,
+        version: DATASET_VERSION,
+        createdAt: new Date().toISOString(),
+        labels: Object.keys(trainingData),
+        featureConfig,
+        samples
+    };
+
+    const manifestBytes = new TextEncoder().encode(JSON.stringify(manifest, null, 2));
+    return createZip([{ name: MANIFEST_NAME, data: manifestBytes }, ...entries]);
+}
+
+/**
+ * 导入数据集
+ * 返回: { manifest, samples: [{ id, label, audio, sampleRate, timestamp }] }
+ */
+export function importDatasetBundle(bytes) {
+    const files = readZip(bytes);
+    const manifestBytes = files.get(MANIFEST_NAME);
+
+    if (!manifestBytes) {
+        throw new Error(`Invalid dataset bundle: ${MANIFEST_NAME} not found`);
+    }
+
+    const manifest = JSON.parse(new TextDecoder().decode(manifestBytes));
+
+    if (manifest.format !== DATASET_FORMAT) {
+        throw new Error(`Invalid dataset bundle: unknown format "${manifest.format}"`);
+    }
+    if (manifest.version > DATASET_VERSION) {
+        throw new Error(`Unsupported dataset bundle version ${manifest.version}`);
+    }
+
+    const samples = manifest.samples.map(entry => {
+        const wavBytes = files.get(entry.file);
+        if (!wavBytes) {
+            throw new Error(`Invalid dataset bundle: missing clip ${entry.file}`);
+        }
+
+        const { audioData, sampleRate } = decodeWav(wavBytes);
+        return {
+            id: entry.id,
+            label: entry.label,
+            audio: audioData,
+            sampleRate,
+            timestamp: entry.timestamp
+        };
+    });
+
+    return { manifest, samples };
+}
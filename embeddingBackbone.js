@@ -0,0 +1,259 @@
+/**
+ * 预训练音频嵌入模型 - 迁移学习时作为冻结的特征骨干网络
+ *
+ * 骨干网络把一段音频转换为固定长度的嵌入向量, ModelTrainer 只在嵌入上训练一个小型分类头,
+ * 因此几十条录音就能得到可用的检测器。支持两种输入:
+ *   waveform: 原始波形 (YAMNet 风格), 重采样到 sampleRate 后补零或截断到 inputLength
+ *   features: FeatureExtractor 输出的 [1, nFrames, nFeatures, 1] 特征 (Speech Commands 风格),
+ *             特征配置需与骨干网络训练时一致
+ * 嵌入取 output 指定的层 (layers 模型) 或节点 (graph 模型); 多帧/多通道输出按最后一维在其余维度上取平均
+ * graph 模型有多个输出时需指定 output, 除非其中恰好一个输出的名称包含 embedding (YAMNet 的第一个输出是类别得分)
+ */
+
+import * as tf from '@tensorflow/tfjs';
+import { resampleLinear } from './audioUtils.js';
+
+export const BACKBONE_FORMATS = ['layers', 'graph'];
+export const BACKBONE_INPUTS = ['waveform', 'features'];
+
+export const DEFAULT_BACKBONE_CONFIG = {
+    url: null,              // model.json 地址, 随分类头一起保存, 加载分类头时据此加载骨干网络
+    format: 'layers',       // layers: tf.loadLayersModel, graph: tf.loadGraphModel
+    input: 'waveform',      // waveform 或 features
+    sampleRate: 16000,      // waveform 输入的采样率
+    inputLength: 16000,     // waveform 输入的采样点数, 0 表示按原长度输入
+    output: null            // 嵌入层名 (layers) 或输出节点名 (graph); 为空时取倒数第二层 / 唯一的或名称含 embedding 的输出
+};
+
+/**
+ * graph 模型未指定 output 时的嵌入输出: 唯一的输出, 或唯一一个名称包含 embedding 的输出
+ */
+function selectEmbeddingOutput(outputNodes) {
+    if (outputNodes.length === 1) {
+        return outputNodes[0];
+    }
+    const matches = outputNodes.filter(name => /embedding/i.test(name));
+    return matches.length === 1 ? matches[0] : null;
+}
+
+export class EmbeddingBackbone {
+    constructor(model, config, source = model) {
+        this.model = model;
+        this.source = source; // 被截取的完整模型, 释放时一并释放
+        this.config = config;
+        this.outputNode = null; // graph 模型执行的节点
+        this.embeddingDim = 0;
+    }
+
+    /**
+     * 加载骨干网络
+     * ioHandler: 可选的 tf.io.IOHandler (如 Node.js 中从目录读取), 此时 config.url 只作记录
+     */
+    static async load(config, ioHandler = null) {
+        const options = { ...DEFAULT_BACKBONE_CONFIG, ...config };
+
+        const invalid = [];
+        if (typeof options.url !== 'string' || options.url === '') {
+            invalid.push('url');
+        }
+        if (!BACKBONE_FORMATS.includes(options.format)) {
+            invalid.push('format');
+        }
+        if (!BACKBONE_INPUTS.includes(options.input)) {
+            invalid.push('input');
+        }
+        if (!Number.isInteger(options.sampleRate) || options.sampleRate <= 0) {
+            invalid.push('sampleRate');
+        }
+        if (!Number.isInteger(options.inputLength) || options.inputLength < 0) {
+            invalid.push('inputLength');
+        }
+        if (invalid.length > 0) {
+            throw new Error(`Invalid backbone config: ${invalid.join(', ')}`);
+        }
+
+        const source = ioHandler || options.url;
+        let backbone;
+
+        if (options.format === 'graph') {
+            const model = await tf.loadGraphModel(source);
+            const outputNode = options.output || selectEmbeddingOutput(model.outputNodes);
+            if (!outputNode) {
+                model.dispose();
+                throw new Error(
+                    `Backbone graph has outputs ${model.outputNodes.join(', ')}; set output to the embedding node`
+                );
+            }
+            backbone = new EmbeddingBackbone(model, options);
+            backbone.outputNode = outputNode;
+        } else {
+            const full = await tf.loadLayersModel(source);
+            const layer = options.output
+                ? full.getLayer(options.output)
+                : full.layers[full.layers.length - 2];
+
+            if (!layer) {
+                full.dispose();
+                throw new Error('Backbone model needs at least two layers or an explicit output layer');
+            }
+            const model = tf.model({ inputs: full.inputs, outputs: layer.output });
+            backbone = new EmbeddingBackbone(model, options, full);
+        }
+
+        // 全零输入跑一次, 确定嵌入维度并预热
+        try {
+            const input = backbone.createZeroInput();
+            const embedding = backbone.runEmbedding(input);
+            backbone.embeddingDim = embedding.shape[0];
+            input.dispose();
+            embedding.dispose();
+        } catch (error) {
+            backbone.dispose();
+            throw new Error(`Backbone model could not be run: ${error.message}`);
+        }
+
+        return backbone;
+    }
+
+    /**
+     * 骨干网络期望的输入形状 (不含批次维, 未知维度为 null)
+     */
+    getInputShape() {
+        const inputs = this.model.inputs || [];
+        const shape = inputs.length > 0 && inputs[0].shape ? inputs[0].shape : null;
+        return shape ? shape.map(dim => (dim === null || dim < 0 ? null : dim)) : null;
+    }
+
+    /**
+     * 计算一段音频的嵌入向量
+     * featureExtractor: features 输入时用于提取特征
+     * 返回 Float32Array [embeddingDim], 音频过短无法提取特征时返回 null
+     */
+    embed(audioData, sampleRate, featureExtractor) {
+        const input = this.createInput(audioData, sampleRate, featureExtractor);
+        if (!input) {
+            return null;
+        }
+
+        const embedding = this.runEmbedding(input);
+        const values = embedding.dataSync();
+
+        input.dispose();
+        embedding.dispose();
+        return Float32Array.from(values);
+    }
+
+    createInput(audioData, sampleRate, featureExtractor) {
+        if (this.config.input === 'features') {
+            const features = featureExtractor.extractFeatures(
+                resampleLinear(audioData, sampleRate, featureExtractor.sampleRate)
+            );
+            if (!features) {
+                return null;
+            }
+
+            const [nFrames, nFeatures] = featureExtractor.getFeatureShape();
+            this.checkFeatureShape(nFrames, nFeatures);
+            return tf.tensor4d(featureExtractor.featuresToTensor(features), [1, nFrames, nFeatures, 1]);
+        }
+
+        const { sampleRate: rate, inputLength } = this.config;
+        let waveform = resampleLinear(audioData, sampleRate, rate);
+        if (inputLength > 0 && waveform.length !== inputLength) {
+            const fixed = new Float32Array(inputLength);
+            fixed.set(waveform.subarray(0, inputLength));
+            waveform = fixed;
+        }
+        return this.toWaveformTensor(waveform);
+    }
+
+    createZeroInput() {
+        if (this.config.input === 'features') {
+            const shape = this.getInputShape();
+            if (!shape || shape.slice(1).some(dim => dim === null)) {
+                throw new Error('Feature input backbones need a fixed input shape');
+            }
+            return tf.zeros([1, ...shape.slice(1)]);
+        }
+
+        return this.toWaveformTensor(new Float32Array(this.config.inputLength || this.config.sampleRate));
+    }
+
+    // 输入为 [batch, samples] 时加批次维, 否则按一维波形输入 (YAMNet)
+    toWaveformTensor(waveform) {
+        const shape = this.getInputShape();
+        return shape && shape.length === 2
+            ? tf.tensor2d(waveform, [1, waveform.length])
+            : tf.tensor1d(waveform);
+    }
+
+    checkFeatureShape(nFrames, nFeatures) {
+        const shape = this.getInputShape();
+        if (shape && (shape[1] !== nFrames || shape[2] !== nFeatures)) {
+            throw new Error(
+                `Backbone expects ${shape[1]}x${shape[2]} features but the feature extractor produces ` +
+                `${nFrames}x${nFeatures}; configure the features to match the backbone`
+            );
+        }
+    }
+
+    /**
+     * 运行骨干网络并平均为 [embeddingDim] 向量
+     */
+    runEmbedding(input) {
+        return tf.tidy(() => {
+            let output = this.outputNode
+                ? this.model.execute(input, this.outputNode)
+                : this.model.predict(input);
+            if (Array.isArray(output)) {
+                output = output[0];
+            }
+
+            const dim = output.shape[output.shape.length - 1];
+            return output.reshape([-1, dim]).mean(0);
+        });
+    }
+
+    /**
+     * 特征缓存键: 骨干网络或其输入配置变化时需要重新计算嵌入
+     */
+    getKey(featureExtractor) {
+        const { url, format, output, input, sampleRate, inputLength } = this.config;
+        const inputKey = input === 'features'
+            ? featureExtractor.getFeatureKey()
+            : `${sampleRate}:${inputLength}`;
+        return ['backbone', url, format, output || '', input, inputKey].join('|');
+    }
+
+    getConfig() {
+        return { ...this.config };
+    }
+
+    matchesConfig(config) {
+        const other = { ...DEFAULT_BACKBONE_CONFIG, ...config };
+        return Object.keys(DEFAULT_BACKBONE_CONFIG).every(key => this.config[key] === other[key]);
+    }
+
+    /**
+     * 测量单次嵌入的平均耗时 (毫秒), 不含特征提取和重采样
+     */
+    async measureLatency(runs = 20) {
+        const input = this.createZeroInput();
+
+        try {
+            const started = performance.now();
+            for (let i = 0; i < runs; i++) {
+                const embedding = this.runEmbedding(input);
+                await embedding.data();
+                embedding.dispose();
+            }
+            return (performance.now() - started) / runs;
+        } finally {
+            input.dispose();
+        }
+    }
+
+    dispose() {
+        this.source.dispose();
+    }
+}
@@ -0,0 +1,223 @@
+/**
+ * 模型评估模块 - 混淆矩阵和分类指标
+ */
+
+/**
+ * 计算混淆矩阵
+ * matrix[i][j]: 真实类别 labels[i] 被预测为 labels[j] 的次数
+ */
+export function confusionMatrix(labels, actual, predicted) {
+    const index = new Map(labels.map((label, i) => [label, i]));
+    const matrix = labels.map(() => labels.map(() => 0));
+
+    actual.forEach((label, k) => {
+        const i = index.get(label);
+        const j = index.get(predicted[k]);
+        if (i !== undefined && j !== undefined) {
+            matrix[i][j]++;
+        }
+    });
+
+    return matrix;
+}
+
+/**
+ * 根据混淆矩阵计算准确率和每个类别的 precision / recall / F1
+ */
+export function classificationReport(labels, matrix) {
+    let correct = 0;
+    let total = 0;
+
+    const perClass = {};
+    labels.forEach((label, i) => {
+        const tp = matrix[i][i];
+        const support = matrix[i].reduce((sum, n) => sum + n, 0);
+        const predictedCount = matrix.reduce((sum, row) => sum + row[i], 0);
+
+        const precision = predictedCount === 0 ? 0 : tp / predictedCount;
+        const recall = support === 0 ? 0 : tp / support;
+        const f1 = precision + recall === 0 ? 0 : 2 * precision * recall / (precision + recall);
+
+        perClass[label] = { precision, recall, f1, support };
+        correct += tp;
+        total += support;
+    });
+
+    const macroF1 = labels.reduce((sum, label) => sum + perClass[label].f1, 0) / labels.length;
+
+    return {
+        accuracy: total === 0 ? 0 : correct / total,
+        macroF1,
+        total,
+        perClass
+    };
+}
+
+/**
+ * 分层划分: 每个类别按相同比例抽取测试集
+ * 样本数 >= 2 的类别至少保留 1 个测试样本和 1 个训练样本
+ * data: { [label]: [item] }
+ * 返回: { train: { [label]: [item] }, test: { [label]: [item] } }
+ */
+export function stratifiedSplit(data, testFraction, random = Math.random) {
+    const train = {};
+    const test = {};
+
+    Object.entries(data).forEach(([label, items]) => {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+
+        let testCount = Math.round(shuffled.length * testFraction);
+        if (testFraction > 0 && shuffled.length >= 2) {
+            testCount = Math.min(Math.max(testCount, 1), shuffled.length - 1);
+        }
+
+        test[label] = shuffled.slice(0, testCount);
+        train[label] = shuffled.slice(testCount);
+    });
+
+    return { train, test };
+}
+
+/**
+ * 按阈值从高到低扫描得分, 返回每个阈值下的计数
+ */
+function sweepThresholds(scores, positives) {
+    const order = scores.map((score, i) => i).sort((a, b) => scores[b] - scores[a]);
+    const totalPositive = positives.filter(Boolean).length;
+    const totalNegative = positives.length - totalPositive;
+
+    const points = [];
+    let tp = 0;
+    let fp = 0;
+
+    for (let k = 0; k < order.length; k++) {
+        const i = order[k];
+        positives[i] ? tp++ : fp++;
+
+        // 相同得分合并为一个阈值
+        if (k + 1 < order.length && scores[order[k + 1]] === scores[i]) {
+            continue;
+        }
+
+        points.push({ threshold: scores[i], tp, fp, fn: totalPositive - tp, tn: totalNegative - fp });
+    }
+
+    return { points, totalPositive, totalNegative };
+}
+
+/**
+ * ROC 曲线 (一对多)
+ * 返回: { points: [{ threshold, fpr, tpr }], auc }
+ */
+export function rocCurve(scores, positives) {
+    const { points, totalPositive, totalNegative } = sweepThresholds(scores, positives);
+    // 起点表示所有样本都判为负类; 不用 Infinity, 它在 JSON (metrics.json、模型元数据) 中会变成 null
+    const roc = [{ threshold: Number.MAX_VALUE, fpr: 0, tpr: 0 }];
+
+    points.forEach(({ threshold, tp, fp }) => {
+        roc.push({
+            threshold,
+            fpr: totalNegative === 0 ? 0 : fp / totalNegative,
+            tpr: totalPositive === 0 ? 0 : tp / totalPositive
+        });
+    });
+
+    let auc = 0;
+    for (let i = 1; i < roc.length; i++) {
+        auc += (roc[i].fpr - roc[i - 1].fpr) * (roc[i].tpr + roc[i - 1].tpr) / 2;
+    }
+
+    return { points: roc, auc };
+}
+
+/**
+ * Precision-Recall 曲线 (一对多)
+ * 返回: { points: [{ threshold, precision, recall }], averagePrecision }
+ */
+export function prCurve(scores, positives) {
+    const { points, totalPositive } = sweepThresholds(scores, positives);
+    const pr = [];
+    let averagePrecision = 0;
+    let lastRecall = 0;
+
+    points.forEach(({ threshold, tp, fp }) => {
+        const precision = tp + fp === 0 ? 1 : tp / (tp + fp);
+        const recall = totalPositive === 0 ? 0 : tp / totalPositive;
+        averagePrecision += (recall - lastRecall) * precision;
+        lastRecall = recall;
+        pr.push({ threshold, precision, recall });
+    });
+
+    return { points: pr, averagePrecision };
+}
+
+/**
+ * 推荐工作阈值: 在误触发率 (FPR) 不超过 maxFalsePositiveRate 的阈值中取 F1 最高者,
+ * 没有满足约束的阈值时取 FPR 最低者
+ */
+export function recommendThreshold(scores, positives, { maxFalsePositiveRate = 0.05 } = {}) {
+    const { points, totalPositive, totalNegative } = sweepThresholds(scores, positives);
+
+    const candidates = points.map(({ threshold, tp, fp, fn }) => {
+        const precision = tp + fp === 0 ? 1 : tp / (tp + fp);
+        const recall = totalPositive === 0 ? 0 : tp / totalPositive;
+        return {
+            threshold,
+            precision,
+            recall,
+            f1: precision + recall === 0 ? 0 : 2 * precision * recall / (precision + recall),
+            falsePositiveRate: totalNegative === 0 ? 0 : fp / totalNegative,
+            missRate: totalPositive === 0 ? 0 : fn / totalPositive
+        };
+    });
+
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    const allowed = candidates.filter(c => c.falsePositiveRate <= maxFalsePositiveRate);
+    const pool = allowed.length > 0
+        ? allowed
+        : candidates.filter(c => c.falsePositiveRate === Math.min(...candidates.map(x => x.falsePositiveRate)));
+
+    const best = pool.reduce((a, b) => (b.f1 > a.f1 ? b : a));
+    return { ...best, maxFalsePositiveRate, constraintMet: allowed.length > 0 };
+}
+
+/**
+ * 生成完整评估报告
+ * actual: 真实标签数组
+ * probabilities: 每个样本的概率数组 (顺序与 labels 一致)
+ * positiveLabel: 用于 ROC/PR 和阈值推荐的目标类别
+ */
+export function buildEvaluationReport(labels, actual, probabilities, { positiveLabel = labels[0], maxFalsePositiveRate } = {}) {
+    const predicted = probabilities.map(probs => labels[probs.indexOf(Math.max(...probs))]);
+    const matrix = confusionMatrix(labels, actual, predicted);
+
+    const curves = {};
+    labels.forEach((label, i) => {
+        const scores = probabilities.map(probs => probs[i]);
+        const positives = actual.map(a => a === label);
+        curves[label] = { roc: rocCurve(scores, positives), pr: prCurve(scores, positives) };
+    });
+
+    const positiveIndex = labels.indexOf(positiveLabel);
+    const threshold = positiveIndex < 0 ? null : recommendThreshold(
+        probabilities.map(probs => probs[positiveIndex]),
+        actual.map(a => a === positiveLabel),
+        { maxFalsePositiveRate }
+    );
+
+    return {
+        labels,
+        positiveLabel,
+        confusionMatrix: matrix,
+        ...classificationReport(labels, matrix),
+        curves,
+        recommendedThreshold: threshold
+    };
+}
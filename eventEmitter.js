@@ -0,0 +1,40 @@
+/**
+ * 简单事件分发器
+ */
+
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * 订阅事件, 返回取消订阅函数
+     */
+    on(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        const set = this.listeners.get(type);
+        if (set) {
+            set.delete(listener);
+        }
+    }
+
+    emit(type, payload) {
+        const set = this.listeners.get(type);
+        if (!set) return;
+
+        [...set].forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`Error in "${type}" listener:`, error);
+            }
+        });
+    }
+}
@@ -1,8 +1,43 @@
 /**
  * 特征提取模块 - Mel-Spectrogram 和其他音频特征
+ *
+ * 模型输入由可配置的流水线生成, 形状为 [nFrames, getFeatureDim()]:
+ *   基础特征 (log-mel / mel / mfcc) + 可选的一阶、二阶差分 + 可选的逐帧统计特征
+ * Mel 和 MFCC 由 spectrogram.js 计算 (与 librosa 一致, 便于和 Python 训练脚本对齐),
+ * 逐帧统计特征由 Meyda 提取
  */
 
 import Meyda from 'meyda';
+import { frameSignal, isPowerOfTwo, melSpectrogram, mfccFromDb, powerToDb } from './spectrogram.js';
+
+// 归一化方式: 每个样本单独 z-score, 或使用训练集统计的每个特征维度的均值/标准差
+export const NORMALIZATION_MODES = ['per-clip', 'dataset'];
+
+// 基础特征类型
+export const FEATURE_TYPES = ['log-mel', 'mel', 'mfcc'];
+
+// 频谱前端: stft 为自带实现 (与 librosa 一致); meyda 为旧版实现, 加载此前训练的模型时使用
+export const FRONTENDS = ['stft', 'meyda'];
+
+// 逐帧统计特征 (Meyda 特征名)
+export const FRAME_STAT_FEATURES = [
+    'rms',
+    'zcr',
+    'energy',
+    'spectralCentroid',
+    'spectralFlatness',
+    'spectralRolloff',
+    'spectralKurtosis',
+    'spectralSkewness'
+];
+
+// 决定未归一化特征的配置项 (归一化在其后进行, 不影响存储的特征)
+const EXTRACTION_KEYS = [
+    'sampleRate', 'fftSize', 'hopLength', 'nMels', 'nFrames',
+    'featureType', 'nMfcc', 'deltaOrder', 'frameStats',
+    'frontend', 'fmin', 'fmax', 'power', 'topDb'
+];
+const INTEGER_KEYS = ['sampleRate', 'fftSize', 'hopLength', 'nMels', 'nFrames', 'nMfcc'];
 
 export class FeatureExtractor {
     constructor(sampleRate = 22050) {
@@ -11,146 +46,440 @@ export class FeatureExtractor {
         this.hopLength = 512;
         this.nMels = 128;
         this.nFrames = 32; // 固定帧数
+        this.featureType = 'log-mel';
+        this.nMfcc = 13;
+        this.deltaOrder = 0; // 0: 无差分, 1: Δ, 2: Δ + ΔΔ
+        this.frameStats = false;
+        this.frontend = 'stft';
+        this.fmin = 0;
+        this.fmax = null; // null: sampleRate / 2
+        this.power = 2; // 2: 功率谱, 1: 幅度谱
+        this.topDb = 80; // log-mel 低于最大值 topDb 的部分截断, null 不截断
+        this.normalization = 'per-clip';
+        this.normalizationStats = null; // { mean: [featureDim], std: [featureDim] }
     }
 
     /**
-     * 提取 Mel-Spectrogram
+     * 从保存的配置重建特征提取器
+     * 缺少的字段使用默认值 (兼容旧版模型)
      */
-    extractMelSpectrogram(audioData) {
-        const frames = [];
-        const step = this.hopLength;
+    static fromConfig(config = {}) {
+        const extractor = new FeatureExtractor(config.sampleRate);
+        EXTRACTION_KEYS.forEach(key => {
+            if (key !== 'sampleRate' && config[key] !== undefined) {
+                extractor[key] = config[key];
+            }
+        });
+
+        const invalid = INTEGER_KEYS.filter(key =>
+            !Number.isInteger(extractor[key]) || extractor[key] <= 0
+        );
+        if (!FEATURE_TYPES.includes(extractor.featureType)) {
+            invalid.push('featureType');
+        }
+        if (![0, 1, 2].includes(extractor.deltaOrder)) {
+            invalid.push('deltaOrder');
+        }
+        if (typeof extractor.frameStats !== 'boolean') {
+            invalid.push('frameStats');
+        }
+        if (extractor.featureType === 'mfcc' && (extractor.nMfcc > extractor.nMels || extractor.nMfcc > 40)) {
+            invalid.push('nMfcc');
+        }
+        if (!isPowerOfTwo(extractor.fftSize)) {
+            invalid.push('fftSize');
+        }
+        if (!FRONTENDS.includes(extractor.frontend)) {
+            invalid.push('frontend');
+        }
+        if (!Number.isFinite(extractor.fmin) || extractor.fmin < 0) {
+            invalid.push('fmin');
+        }
+        if (extractor.fmax !== null
+            && !(extractor.fmax > extractor.fmin && extractor.fmax <= extractor.sampleRate / 2)) {
+            invalid.push('fmax');
+        }
+        if (![1, 2].includes(extractor.power)) {
+            invalid.push('power');
+        }
+        if (extractor.topDb !== null && !(extractor.topDb > 0)) {
+            invalid.push('topDb');
+        }
+        if (invalid.length > 0) {
+            throw new Error(`Invalid feature config: ${invalid.join(', ')}`);
+        }
 
-        // 分帧处理
-        for (let i = 0; i + this.fftSize <= audioData.length; i += step) {
-            const frame = audioData.slice(i, i + this.fftSize);
-            frames.push(frame);
+        extractor.setNormalization(config.normalization || 'per-clip');
+        if (config.normalizationStats) {
+            extractor.setNormalizationStats(config.normalizationStats);
         }
+        return extractor;
+    }
+
+    /**
+     * 判断另一份配置是否会产生相同的 (未归一化) 特征
+     */
+    matchesConfig(config) {
+        return EXTRACTION_KEYS.every(key => this[key] === config[key]);
+    }
+
+    /**
+     * 未归一化特征的标识, 样本据此判断保存的特征是否需要重新提取
+     */
+    getFeatureKey() {
+        return EXTRACTION_KEYS.map(key => this[key]).join('/');
+    }
+
+    /**
+     * 每帧特征维度
+     */
+    getFeatureDim() {
+        return this.getFeatureLayout().reduce((dim, block) => dim + block.size, 0);
+    }
 
-        // 确保有足够的帧
-        if (frames.length === 0) {
+    /**
+     * 模型输入形状 [nFrames, featureDim]
+     */
+    getFeatureShape() {
+        return [this.nFrames, this.getFeatureDim()];
+    }
+
+    /**
+     * 特征列的分块布局
+     * perColumn: 单样本归一化时逐列标准化 (各列量纲不同)
+     */
+    getFeatureLayout() {
+        const baseSize = this.featureType === 'mfcc' ? this.nMfcc : this.nMels;
+        const layout = [{ name: this.featureType, size: baseSize, perColumn: false }];
+
+        if (this.deltaOrder >= 1) {
+            layout.push({ name: 'delta', size: baseSize, perColumn: false });
+        }
+        if (this.deltaOrder >= 2) {
+            layout.push({ name: 'delta2', size: baseSize, perColumn: false });
+        }
+        if (this.frameStats) {
+            layout.push({ name: 'stats', size: FRAME_STAT_FEATURES.length, perColumn: true });
+        }
+        return layout;
+    }
+
+    /**
+     * 设置归一化方式 ('per-clip' 或 'dataset')
+     */
+    setNormalization(mode) {
+        if (!NORMALIZATION_MODES.includes(mode)) {
+            throw new Error(`Unknown normalization mode: ${mode}`);
+        }
+        this.normalization = mode;
+    }
+
+    /**
+     * 设置数据集归一化统计量
+     */
+    setNormalizationStats(stats) {
+        const dim = this.getFeatureDim();
+        if (!stats || stats.mean.length !== dim || stats.std.length !== dim) {
+            throw new Error(`Normalization statistics must contain ${dim} feature columns`);
+        }
+        this.normalizationStats = {
+            mean: Array.from(stats.mean),
+            std: Array.from(stats.std)
+        };
+    }
+
+    /**
+     * 获取特征提取配置
+     */
+    getConfig() {
+        const config = {
+            sampleRate: this.sampleRate,
+            fftSize: this.fftSize,
+            hopLength: this.hopLength,
+            nMels: this.nMels,
+            nFrames: this.nFrames,
+            featureType: this.featureType,
+            nMfcc: this.nMfcc,
+            deltaOrder: this.deltaOrder,
+            frameStats: this.frameStats,
+            frontend: this.frontend,
+            fmin: this.fmin,
+            fmax: this.fmax,
+            power: this.power,
+            topDb: this.topDb,
+            normalization: this.normalization
+        };
+        if (this.normalization === 'dataset' && this.normalizationStats) {
+            config.normalizationStats = this.normalizationStats;
+        }
+        return config;
+    }
+
+    /**
+     * 配置 Meyda 全局参数
+     * Meyda.extract 只读取全局配置, 且仅在 Mel 带数变化时重建滤波器组,
+     * 因此采样率或 FFT 大小变化时需要手动清除缓存;
+     * 滤波器个数取 max(melBands, MFCC 系数个数), MFCC 系数不能多于 Mel 带数
+     */
+    configureMeyda() {
+        if (Meyda.sampleRate !== this.sampleRate || Meyda.bufferSize !== this.fftSize) {
+            Meyda.melFilterBank = undefined;
+        }
+        Meyda.sampleRate = this.sampleRate;
+        Meyda.bufferSize = this.fftSize;
+        Meyda.melBands = this.nMels;
+        Meyda.numberOfMFCCCoefficients = Math.min(this.nMfcc, this.nMels);
+    }
+
+    /**
+     * 分帧并对每帧提取一组 Meyda 特征
+     * 分帧方式与基础特征相同 (stft 前端两端补零), 帧数一致
+     * 返回: 每帧一个 { [featureName]: value } 对象; 音频短于一帧时返回 null
+     */
+    extractFrames(audioData, featureNames) {
+        if (audioData.length < this.fftSize) {
             return null;
         }
 
-        // 对每一帧提取 Mel 频谱
-        const melSpectrograms = frames.map(frame => {
-            const melBands = Meyda.extract('melBands', frame, {
-                sampleRate: this.sampleRate,
-                bufferSize: this.fftSize,
-                numberOfMelBands: this.nMels
-            });
-            return melBands || new Array(this.nMels).fill(0);
+        this.configureMeyda();
+        return frameSignal(audioData, this.fftSize, this.hopLength, this.frontend === 'stft')
+            .map(frame => Meyda.extract(featureNames, Float32Array.from(frame)) || {});
+    }
+
+    /**
+     * 逐帧提取基础特征 (未统一帧数)
+     * stft 前端: 自带的 STFT + Mel 滤波器组, log-mel 为 dB, MFCC 为 dB Mel 的 DCT (与 librosa 一致)
+     * meyda 前端: 旧版实现, 仅用于加载此前训练的模型
+     * 返回: [帧数][特征维度]; 音频短于一帧时返回 null
+     */
+    extractBaseFrames(audioData, featureType = this.featureType) {
+        if (audioData.length < this.fftSize) {
+            return null;
+        }
+        if (this.frontend === 'meyda') {
+            return this.extractMeydaBaseFrames(audioData, featureType);
+        }
+
+        const mel = melSpectrogram(audioData, {
+            sampleRate: this.sampleRate,
+            nFft: this.fftSize,
+            hopLength: this.hopLength,
+            nMels: this.nMels,
+            fmin: this.fmin,
+            fmax: this.fmax,
+            power: this.power
         });
+        if (featureType === 'mel') {
+            return mel;
+        }
 
-        // 标准化到固定帧数
-        const normalized = this.normalizeFrames(melSpectrograms, this.nFrames);
+        // 幅度谱先平方, 与 librosa.amplitude_to_db 相同
+        const db = powerToDb(
+            this.power === 1 ? mel.map(frame => frame.map(val => val * val)) : mel,
+            { topDb: this.topDb }
+        );
+        return featureType === 'mfcc' ? mfccFromDb(db, this.nMfcc) : db;
+    }
 
-        return normalized;
+    extractMeydaBaseFrames(audioData, featureType) {
+        const name = featureType === 'mfcc' ? 'mfcc' : 'melBands';
+        const size = featureType === 'mfcc' ? this.nMfcc : this.nMels;
+        const frames = this.extractFrames(audioData, [name]);
+
+        if (!frames) {
+            return null;
+        }
+
+        return frames.map(frame => {
+            const values = frame[name];
+            if (!values) {
+                return new Array(size).fill(0);
+            }
+            return featureType === 'log-mel'
+                ? Array.from(values, val => Math.log(Math.max(val, 1e-10)))
+                : Array.from(values, finiteOrZero);
+        });
+    }
+
+    /**
+     * 提取 Mel-Spectrogram
+     */
+    extractMelSpectrogram(audioData) {
+        const frames = this.extractBaseFrames(audioData, 'mel');
+        return frames && this.normalizeFrames(frames, this.nFrames);
     }
 
     /**
-     * 标准化帧数 - 通过插值或截断
+     * 标准化帧数 - 沿时间轴线性插值, 首尾帧对齐
+     * 旧版 (meyda 前端) 模型沿用均匀抽取 / 从头重复填充
      */
     normalizeFrames(frames, targetFrames) {
         if (frames.length === targetFrames) {
             return frames;
         }
+        if (this.frontend === 'meyda') {
+            return resampleFramesLegacy(frames, targetFrames);
+        }
 
-        if (frames.length > targetFrames) {
-            // 均匀采样
-            const result = [];
-            const step = frames.length / targetFrames;
-            for (let i = 0; i < targetFrames; i++) {
-                const idx = Math.floor(i * step);
-                result.push(frames[idx]);
-            }
-            return result;
-        } else {
-            // 重复填充
-            const result = [...frames];
-            while (result.length < targetFrames) {
-                const fillFrames = frames.slice(0, targetFrames - result.length);
-                result.push(...fillFrames);
-            }
-            return result;
+        const result = [];
+        const scale = targetFrames > 1 ? (frames.length - 1) / (targetFrames - 1) : 0;
+        for (let i = 0; i < targetFrames; i++) {
+            const pos = i * scale;
+            const idx = Math.floor(pos);
+            const frac = pos - idx;
+            const a = frames[idx];
+            const b = idx + 1 < frames.length ? frames[idx + 1] : a;
+            result.push(frac === 0 ? Array.from(a) : Array.from(a, (val, j) => val + (b[j] - val) * frac));
         }
+        return result;
     }
 
     /**
      * 提取 MFCC 特征
      */
     extractMFCC(audioData) {
-        const mfccs = [];
-        const step = this.hopLength;
-
-        for (let i = 0; i + this.fftSize <= audioData.length; i += step) {
-            const frame = audioData.slice(i, i + this.fftSize);
-            const mfcc = Meyda.extract('mfcc', frame, {
-                sampleRate: this.sampleRate,
-                bufferSize: this.fftSize,
-                numberOfMFCCCoefficients: 13
-            });
-            mfccs.push(mfcc || new Array(13).fill(0));
-        }
-
-        return this.normalizeFrames(mfccs, this.nFrames);
+        const frames = this.extractBaseFrames(audioData, 'mfcc');
+        return frames && this.normalizeFrames(frames, this.nFrames);
     }
 
     /**
-     * 提取统计特征
+     * 提取逐帧统计特征
+     * 返回格式: [nFrames, FRAME_STAT_FEATURES.length]
      */
     extractStatisticalFeatures(audioData) {
-        const features = Meyda.extract([
-            'rms',
-            'zcr',
-            'energy',
-            'spectralCentroid',
-            'spectralFlatness',
-            'spectralRolloff',
-            'spectralKurtosis',
-            'spectralSkewness'
-        ], audioData, {
-            sampleRate: this.sampleRate,
-            bufferSize: this.fftSize
-        });
+        const frames = this.extractFrames(audioData, FRAME_STAT_FEATURES);
 
-        return [
-            features.rms || 0,
-            features.zcr || 0,
-            features.energy || 0,
-            features.spectralCentroid || 0,
-            features.spectralFlatness || 0,
-            features.spectralRolloff || 0,
-            features.spectralKurtosis || 0,
-            features.spectralSkewness || 0
-        ];
+        if (!frames) {
+            return null;
+        }
+
+        return this.normalizeFrames(
+            frames.map(frame => FRAME_STAT_FEATURES.map(name => finiteOrZero(frame[name]))),
+            this.nFrames
+        );
     }
 
     /**
-     * 提取完整特征向量
-     * 返回格式: [nFrames, nMels]
+     * 提取完整特征向量 (已归一化)
+     * 返回格式: [nFrames, featureDim]
      */
     extractFeatures(audioData) {
-        const melSpec = this.extractMelSpectrogram(audioData);
+        const raw = this.extractRawFeatures(audioData);
 
-        if (!melSpec) {
+        if (!raw) {
             return null;
         }
 
-        // 转换为 2D 数组并归一化
-        const normalized = this.normalizeSpectrogram(melSpec);
+        return this.normalizeFeatures(raw);
+    }
 
-        return normalized;
+    /**
+     * 按流水线配置提取未归一化的特征
+     * 训练样本保存这一形式, 归一化在送入模型前进行
+     * 差分在原始帧序列上计算, 之后才统一到 nFrames 帧
+     */
+    extractRawFeatures(audioData) {
+        const base = this.extractBaseFrames(audioData);
+
+        if (!base) {
+            return null;
+        }
+
+        const blocks = [base];
+        for (let order = 1; order <= this.deltaOrder; order++) {
+            blocks.push(computeDeltas(blocks[order - 1]));
+        }
+        if (this.frameStats) {
+            // 与基础特征使用相同的分帧, 帧数一致
+            const frames = this.extractFrames(audioData, FRAME_STAT_FEATURES);
+            blocks.push(frames.map(frame => FRAME_STAT_FEATURES.map(name => finiteOrZero(frame[name]))));
+        }
+
+        const combined = base.map((_, t) => blocks.flatMap(block => block[t]));
+        return this.normalizeFrames(combined, this.nFrames);
     }
 
     /**
-     * 归一化 Spectrogram (对数刻度 + 标准化)
+     * 按当前归一化方式处理未归一化特征
      */
-    normalizeSpectrogram(spectrogram) {
-        // 转换为对数刻度
-        const logSpec = spectrogram.map(frame =>
-            frame.map(val => Math.log(Math.max(val, 1e-10)))
+    normalizeFeatures(features) {
+        if (this.normalization === 'per-clip') {
+            return this.normalizePerClip(features);
+        }
+
+        if (!this.normalizationStats) {
+            throw new Error('Dataset normalization statistics are not available; train or load a model first');
+        }
+
+        const { mean, std } = this.normalizationStats;
+        return features.map(frame =>
+            frame.map((val, column) => (val - mean[column]) / (std[column] + 1e-8))
+        );
+    }
+
+    /**
+     * 单样本归一化: 每个特征块整体标准化, 统计特征逐列标准化
+     */
+    normalizePerClip(features) {
+        const result = features.map(frame => new Array(frame.length));
+        let offset = 0;
+
+        this.getFeatureLayout().forEach(({ size, perColumn }) => {
+            const ranges = perColumn
+                ? Array.from({ length: size }, (_, i) => [offset + i, offset + i + 1])
+                : [[offset, offset + size]];
+
+            ranges.forEach(([start, end]) => {
+                const block = features.map(frame => frame.slice(start, end));
+                this.normalizeSpectrogram(block).forEach((frame, t) => {
+                    frame.forEach((val, i) => {
+                        result[t][start + i] = val;
+                    });
+                });
+            });
+            offset += size;
+        });
+
+        return result;
+    }
+
+    /**
+     * 统计训练集每个特征维度的均值和标准差
+     * featuresList: 未归一化特征数组
+     */
+    computeNormalizationStats(featuresList) {
+        const dim = this.getFeatureDim();
+        const sum = new Float64Array(dim);
+        const sumSquares = new Float64Array(dim);
+        let count = 0;
+
+        featuresList.forEach(features => {
+            features.forEach(frame => {
+                frame.forEach((val, column) => {
+                    sum[column] += val;
+                    sumSquares[column] += val * val;
+                });
+                count++;
+            });
+        });
+
+        if (count === 0) {
+            throw new Error('Cannot compute normalization statistics without samples');
+        }
+
+        const mean = Array.from(sum, total => total / count);
+        const std = Array.from(sumSquares, (total, column) =>
+            Math.sqrt(Math.max(total / count - mean[column] * mean[column], 0))
         );
 
+        return { mean, std };
+    }
+
+    /**
+     * 单个样本标准化 (z-score)
+     * 会抹去绝对响度信息
+     */
+    normalizeSpectrogram(logSpec) {
         // 计算全局均值和标准差
         let sum = 0;
         let count = 0;
@@ -243,7 +572,7 @@ export class FeatureExtractor {
         ctx.fillStyle = 'white';
         ctx.font = '12px monospace';
         ctx.fillText(`Frames: ${nFrames}`, 10, 20);
-        ctx.fillText(`Mel Bins: ${nMels}`, 10, 35);
+        ctx.fillText(`Feature Bins: ${nMels}`, 10, 35);
     }
 
     /**
@@ -275,3 +604,49 @@ export class FeatureExtractor {
         return `rgb(${r}, ${g}, ${b})`;
     }
 }
+
+// Meyda 在静音帧上可能返回 NaN (如谱峰度)
+function finiteOrZero(value) {
+    return Number.isFinite(value) ? value : 0;
+}
+
+/**
+ * 差分特征 (回归公式, 左右各 2 帧, 边界帧重复)
+ */
+function computeDeltas(frames, width = 2) {
+    const last = frames.length - 1;
+    let denominator = 0;
+    for (let n = 1; n <= width; n++) {
+        denominator += 2 * n * n;
+    }
+
+    return frames.map((frame, t) =>
+        frame.map((_, i) => {
+            let numerator = 0;
+            for (let n = 1; n <= width; n++) {
+                const next = frames[Math.min(t + n, last)][i];
+                const prev = frames[Math.max(t - n, 0)][i];
+                numerator += n * (next - prev);
+            }
+            return numerator / denominator;
+        })
+    );
+}
+
+// 旧版帧数统一方式: 帧数过多时均匀抽取, 不足时从头重复填充
+function resampleFramesLegacy(frames, targetFrames) {
+    if (frames.length > targetFrames) {
+        const result = [];
+        const step = frames.length / targetFrames;
+        for (let i = 0; i < targetFrames; i++) {
+            result.push(frames[Math.floor(i * step)]);
+        }
+        return result;
+    }
+
+    const result = [...frames];
+    while (result.length < targetFrames) {
+        result.push(...frames.slice(0, targetFrames - result.length));
+    }
+    return result;
+}
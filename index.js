@@ -0,0 +1,27 @@
+/**
+ * 库入口
+ */
+
+export { BlowDetector, DEFAULT_DETECTOR_OPTIONS } from './blowDetector.js';
+export { BlowEventDetector, DEFAULT_EVENT_OPTIONS } from './blowEventDetector.js';
+export { ActivityGate, DEFAULT_GATE_OPTIONS } from './activityGate.js';
+export { AudioRecorder } from './audioRecorder.js';
+export {
+    MicrophoneSource,
+    MediaStreamSource,
+    MediaElementSource,
+    BufferSource,
+    GeneratorSource,
+    DEFAULT_CAPTURE_OPTIONS,
+    DEFAULT_MICROPHONE_CONSTRAINTS,
+    buildMicrophoneConstraints,
+    listAudioInputDevices
+} from './audioSources.js';
+export { FeatureExtractor, FEATURE_TYPES, FRAME_STAT_FEATURES, FRONTENDS, NORMALIZATION_MODES } from './featureExtractor.js';
+export { ModelTrainer, DEFAULT_LABELS, QUIET_LOGGER, normalizeLabels } from './modelTrainer.js';
+export { MODEL_ARCHITECTURES } from './modelArchitectures.js';
+export { EmbeddingBackbone, DEFAULT_BACKBONE_CONFIG } from './embeddingBackbone.js';
+export { EventEmitter } from './eventEmitter.js';
+export { exportDatasetBundle, importDatasetBundle } from './datasetBundle.js';
+export { DEFAULT_AUGMENTATION_OPTIONS } from './augmentation.js';
+export { ModelRegistry, summarizeEvaluation } from './modelRegistry.js';
@@ -1,20 +1,55 @@
 /**
- * 主应用程序 - 整合所有模块
+ * 主应用程序 - 演示页面, 基于 BlowDetector 完成采集、训练和检测
  */
 
-import { AudioRecorder } from './audioRecorder.js';
-import { FeatureExtractor } from './featureExtractor.js';
-import { ModelTrainer } from './modelTrainer.js';
+import {
+    BlowDetector,
+    DEFAULT_LABELS,
+    normalizeLabels,
+    DEFAULT_CAPTURE_OPTIONS,
+    MicrophoneSource,
+    listAudioInputDevices,
+    ActivityGate,
+    FeatureExtractor,
+    EmbeddingBackbone,
+    exportDatasetBundle,
+    importDatasetBundle
+} from './index.js';
+import { SampleStore } from './sampleStore.js';
+import { BlowEventDetector } from './blowEventDetector.js';
+import { decodeAudioFileWindows } from './audioFileLoader.js';
+import { calculateSpectralCentroid } from './audioUtils.js';
+import { TrainingWorkerClient } from './trainingClient.js';
+import { ModelRegistry, summarizeEvaluation } from './modelRegistry.js';
+
+const LABELS_STORAGE_KEY = 'blow-classifier-labels';
+const CAPTURE_STORAGE_KEY = 'blow-classifier-capture';
+
+// 常用标签的显示名称
+const LABEL_NAMES = {
+    blow: '吹气声',
+    not_blow: '非吹气声',
+    sniff: '吸气声',
+    cough: '咳嗽声',
+    speech: '说话声',
+    silence: '静音'
+};
+
+const LABEL_COLORS = ['#28a745', '#dc3545', '#667eea', '#fd7e14', '#20c997', '#6f42c1', '#e83e8c', '#17a2b8'];
+
+function getLabelName(label) {
+    return LABEL_NAMES[label] ? `${LABEL_NAMES[label]} (${label})` : label;
+}
 
 class BlowClassifierApp {
     constructor() {
+        this.detector = null;
         this.audioRecorder = null;
-        this.featureExtractor = null;
         this.modelTrainer = null;
         this.isRecording = false;
         this.isInferencing = false;
         this.recordingInterval = null;
-        this.inferenceInterval = null;
+        this.recordingGate = null;
         this.trainingHistory = { loss: [], accuracy: [], val_loss: [], val_accuracy: [] };
 
         this.initUI();
@@ -25,30 +60,109 @@ class BlowClassifierApp {
         this.startRecordBtn = document.getElementById('start-record');
         this.stopRecordBtn = document.getElementById('stop-record');
         this.clearDataBtn = document.getElementById('clear-data');
-        this.blowCountEl = document.getElementById('blow-count');
-        this.notBlowCountEl = document.getElementById('not-blow-count');
+        this.exportDataBtn = document.getElementById('export-data');
+        this.importDataBtn = document.getElementById('import-data');
+        this.importDataInput = document.getElementById('import-data-input');
+        this.labelSetInput = document.getElementById('label-set');
+        this.applyLabelsBtn = document.getElementById('apply-labels');
+        this.labelSelectionEl = document.getElementById('label-selection');
+        this.captureOptionsEl = document.getElementById('capture-options');
+        this.audioDeviceSelect = document.getElementById('audio-device');
+        this.echoCancellationInput = document.getElementById('echo-cancellation');
+        this.noiseSuppressionInput = document.getElementById('noise-suppression');
+        this.autoGainInput = document.getElementById('auto-gain');
+        this.inputSettingsEl = document.getElementById('input-settings');
+        this.autoRecordInput = document.getElementById('auto-record');
+        this.sampleStatsEl = document.getElementById('sample-stats');
+        this.countEls = {};
         this.waveformCanvas = document.getElementById('waveform-canvas');
+        this.sampleListEl = document.getElementById('sample-list');
+        this.collectionDropEl = document.getElementById('collection-drop');
 
         // 训练控件
         this.trainModelBtn = document.getElementById('train-model');
         this.saveModelBtn = document.getElementById('save-model');
+        this.exportModelBtn = document.getElementById('export-model');
+        this.modelNameInput = document.getElementById('model-name');
+
+        // 模型库控件
+        this.compareModelsBtn = document.getElementById('compare-models');
+        this.registryTable = document.getElementById('model-registry');
+        this.modelCompareEl = document.getElementById('model-compare');
         this.epochsInput = document.getElementById('epochs');
         this.batchSizeInput = document.getElementById('batch-size');
         this.trainingStatus = document.getElementById('training-status');
         this.accuracyEl = document.getElementById('accuracy');
         this.lossEl = document.getElementById('loss');
         this.trainingChart = document.getElementById('training-chart');
+        this.testSplitInput = document.getElementById('test-split');
+        this.maxFprInput = document.getElementById('max-fpr');
+        this.augmentInput = document.getElementById('augment');
+        this.augmentCopiesInput = document.getElementById('augment-copies');
+        this.trainInWorkerInput = document.getElementById('train-in-worker');
+        this.architectureSelect = document.getElementById('model-architecture');
+        this.backboneUrlInput = document.getElementById('backbone-url');
+        this.backboneFormatSelect = document.getElementById('backbone-format');
+        this.backboneInputSelect = document.getElementById('backbone-input');
+        this.backboneRateInput = document.getElementById('backbone-rate');
+        this.backboneOutputInput = document.getElementById('backbone-output');
+        this.loadBackboneBtn = document.getElementById('load-backbone');
+        this.clearBackboneBtn = document.getElementById('clear-backbone');
+        this.backboneStatusEl = document.getElementById('backbone-status');
+        this.modelParamsEl = document.getElementById('model-params');
+        this.modelLatencyEl = document.getElementById('model-latency');
+        this.pauseTrainingBtn = document.getElementById('pause-training');
+        this.stopTrainingBtn = document.getElementById('stop-training');
+        this.earlyStoppingInput = document.getElementById('early-stopping');
+        this.patienceInput = document.getElementById('patience');
+        this.restoreBestInput = document.getElementById('restore-best');
+        this.reduceLrInput = document.getElementById('reduce-lr');
+        if (!TrainingWorkerClient.isSupported()) {
+            this.trainInWorkerInput.checked = false;
+            this.trainInWorkerInput.disabled = true;
+        }
+        this.normalizationSelect = document.getElementById('normalization');
+        this.featureOptionsEl = document.getElementById('feature-options');
+        this.featureTypeSelect = document.getElementById('feature-type');
+        this.deltaOrderSelect = document.getElementById('delta-order');
+        this.frameStatsInput = document.getElementById('frame-stats');
+        this.nMelsInput = document.getElementById('n-mels');
+        this.nFramesInput = document.getElementById('n-frames');
+        this.fminInput = document.getElementById('fmin');
+        this.fmaxInput = document.getElementById('fmax');
+        this.featureShapeEl = document.getElementById('feature-shape');
+        this.rocChart = document.getElementById('roc-chart');
+        this.evaluationReportEl = document.getElementById('evaluation-report');
 
         // 推理控件
         this.loadModelBtn = document.getElementById('load-model');
+        this.loadModelFilesBtn = document.getElementById('load-model-files');
+        this.loadModelInput = document.getElementById('load-model-input');
+        this.modelUrlInput = document.getElementById('model-url');
+        this.loadModelUrlBtn = document.getElementById('load-model-url');
         this.startInferenceBtn = document.getElementById('start-inference');
         this.stopInferenceBtn = document.getElementById('stop-inference');
+        this.hopMsInput = document.getElementById('hop-ms');
         this.predictionLabel = document.getElementById('prediction-label');
-        this.blowConfidence = document.getElementById('blow-confidence');
-        this.notBlowConfidence = document.getElementById('not-blow-confidence');
-        this.blowPercent = document.getElementById('blow-percent');
-        this.notBlowPercent = document.getElementById('not-blow-percent');
+        this.confidenceBarsEl = document.getElementById('confidence-bars');
+        this.confidenceEls = {};
+        this.eventOptionsEl = document.getElementById('event-options');
+        this.gateOptionsEl = document.getElementById('gate-options');
+        this.gateEnabledInput = document.getElementById('gate-enabled');
+        this.gateThresholdInput = document.getElementById('gate-threshold');
+        this.gateZcrInput = document.getElementById('gate-zcr');
+        this.gateHangoverInput = document.getElementById('gate-hangover');
+        this.gateStatusEl = document.getElementById('gate-status');
+        this.eventLabelSelect = document.getElementById('event-label');
+        this.eventThresholdInput = document.getElementById('event-threshold');
+        this.eventReleaseInput = document.getElementById('event-release');
+        this.eventMinDurationInput = document.getElementById('event-min-duration');
+        this.eventRefractoryInput = document.getElementById('event-refractory');
+        this.eventCountEl = document.getElementById('event-count');
+        this.eventLogEl = document.getElementById('event-log');
         this.spectrogramCanvas = document.getElementById('spectrogram-canvas');
+        this.inferenceDropEl = document.getElementById('inference-drop');
+        this.timelineCanvas = document.getElementById('timeline-canvas');
 
         this.bindEvents();
     }
@@ -57,23 +171,103 @@ class BlowClassifierApp {
         this.startRecordBtn.addEventListener('click', () => this.startRecording());
         this.stopRecordBtn.addEventListener('click', () => this.stopRecording());
         this.clearDataBtn.addEventListener('click', () => this.clearData());
+        this.applyLabelsBtn.addEventListener('click', () => this.applyLabels());
+        this.captureOptionsEl.addEventListener('change', () => this.applyCaptureOptions());
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.refreshAudioDevices());
+        }
+        this.exportDataBtn.addEventListener('click', () => this.exportDataset());
+        this.importDataBtn.addEventListener('click', () => this.importDataInput.click());
+        this.sampleListEl.addEventListener('click', (e) => this.handleSampleListClick(e));
+        this.importDataInput.addEventListener('change', () => {
+            const file = this.importDataInput.files[0];
+            this.importDataInput.value = '';
+            if (file) {
+                this.importDataset(file);
+            }
+        });
         this.trainModelBtn.addEventListener('click', () => this.trainModel());
+        this.pauseTrainingBtn.addEventListener('click', () => this.togglePauseTraining());
+        this.stopTrainingBtn.addEventListener('click', () => this.stopTraining());
+        this.loadBackboneBtn.addEventListener('click', () => this.loadBackbone());
+        this.clearBackboneBtn.addEventListener('click', () => this.clearBackbone());
+        this.featureOptionsEl.addEventListener('change', () => this.updateFeatureShape());
         this.saveModelBtn.addEventListener('click', () => this.saveModel());
+        this.exportModelBtn.addEventListener('click', () => this.exportModel());
+        this.compareModelsBtn.addEventListener('click', () => this.compareModels());
+        this.registryTable.addEventListener('click', (e) => this.handleRegistryClick(e));
         this.loadModelBtn.addEventListener('click', () => this.loadModel());
+        this.loadModelFilesBtn.addEventListener('click', () => this.loadModelInput.click());
+        this.loadModelInput.addEventListener('change', () => {
+            const files = [...this.loadModelInput.files];
+            this.loadModelInput.value = '';
+            if (files.length > 0) {
+                this.loadModelFromFiles(files);
+            }
+        });
+        this.loadModelUrlBtn.addEventListener('click', () => this.loadModelFromUrl());
         this.startInferenceBtn.addEventListener('click', () => this.startInference());
         this.stopInferenceBtn.addEventListener('click', () => this.stopInference());
+        this.eventOptionsEl.addEventListener('change', () => this.applyEventOptions());
+        this.gateOptionsEl.addEventListener('change', () => this.applyGateOptions());
+        this.evaluationReportEl.addEventListener('click', (e) => {
+            if (e.target.closest('.apply-threshold')) {
+                this.applyRecommendedThreshold();
+            }
+        });
+        this.bindDropZone(this.collectionDropEl, (files) => this.addSamplesFromFiles(files));
+        this.bindDropZone(this.inferenceDropEl, (files) => this.predictFiles(files));
+    }
+
+    /**
+     * 文件拖放区域, 点击时打开文件选择框
+     */
+    bindDropZone(zone, onFiles) {
+        const input = zone.querySelector('input[type="file"]');
+
+        zone.addEventListener('click', () => input.click());
+        input.addEventListener('click', (e) => e.stopPropagation());
+        input.addEventListener('change', () => {
+            const files = [...input.files];
+            input.value = '';
+            if (files.length > 0) {
+                onFiles(files);
+            }
+        });
+
+        zone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            zone.classList.add('drag-over');
+        });
+        zone.addEventListener('dragleave', () => zone.classList.remove('drag-over'));
+        zone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            zone.classList.remove('drag-over');
+            const files = [...e.dataTransfer.files];
+            if (files.length > 0) {
+                onFiles(files);
+            }
+        });
     }
 
     async init() {
         try {
             this.log('Initializing audio recorder...');
-            this.audioRecorder = new AudioRecorder();
-            await this.audioRecorder.init();
-
-            const sampleRate = this.audioRecorder.getSampleRate();
-            this.featureExtractor = new FeatureExtractor(sampleRate);
-            this.modelTrainer = new ModelTrainer(this.featureExtractor);
+            try {
+                this.audioRecorder = await this.detector.initAudio(this.createMicrophoneSource());
+            } catch (error) {
+                // 上次选择的设备已拔出
+                if (error.name !== 'OverconstrainedError' || !this.captureOptions.deviceId) {
+                    throw error;
+                }
+                this.log('Selected input device is not available, using the default device', true);
+                this.captureOptions.deviceId = null;
+                this.saveCaptureOptions();
+                this.audioRecorder = await this.detector.initAudio(this.createMicrophoneSource());
+            }
 
+            await this.refreshAudioDevices();
+            this.showInputSettings();
             this.log('Application initialized successfully!');
             this.updateSampleCounts();
 
@@ -84,16 +278,404 @@ class BlowClassifierApp {
         }
     }
 
-    initWithoutAudio() {
+    /**
+     * 加载模型后特征提取器会按模型配置重建, 因此总是从 modelTrainer 读取
+     */
+    get featureExtractor() {
+        return this.modelTrainer.featureExtractor;
+    }
+
+    async initWithoutAudio() {
         // 初始化不需要麦克风的功能
-        const sampleRate = 22050; // 默认采样率
-        this.featureExtractor = new FeatureExtractor(sampleRate);
-        this.modelTrainer = new ModelTrainer(this.featureExtractor);
+        this.detector = new BlowDetector({ labels: this.loadLabelSet() });
+        this.modelTrainer = this.detector.modelTrainer;
+        this.captureOptions = this.loadCaptureOptions();
+        this.showCaptureOptions();
+        this.refreshAudioDevices();
+        this.initDetectorEvents();
+        this.applyGateOptions();
+        this.renderLabels();
         this.updateSampleCounts();
+        this.updateFeatureShape();
         this.log('Application ready. Click "Start Recording" or "Start Detection" to request microphone access.');
 
         // 检查是否支持麦克风
         this.checkMicrophoneSupport();
+
+        await this.restoreSession();
+
+        this.registry = new ModelRegistry();
+        this.renderRegistry();
+        if (this.registry.getActive()) {
+            await this.loadModel();
+        }
+    }
+
+    async restoreSession() {
+        try {
+            this.sampleStore = new SampleStore();
+            this.modelTrainer.setSampleStore(this.sampleStore);
+            const restored = await this.modelTrainer.restoreSamples();
+
+            if (restored > 0) {
+                this.updateSampleCounts();
+                this.log(`Restored ${restored} samples from previous sessions`);
+            }
+        } catch (error) {
+            this.modelTrainer.setSampleStore(null);
+            this.log(`Sample storage unavailable, samples will not persist: ${error.message}`, true);
+        }
+    }
+
+    initDetectorEvents() {
+        this.eventCount = 0;
+
+        this.detector.on('prediction', (prediction) => {
+            this.updatePrediction(prediction);
+
+            // 可视化频谱
+            const features = this.modelTrainer.extractFeatures(
+                prediction.audioData,
+                this.audioRecorder.getSampleRate()
+            );
+            if (features) {
+                this.featureExtractor.drawSpectrogram(this.spectrogramCanvas, features);
+            }
+        });
+
+        this.detector.on('gate', (state) => this.updateGateStatus(state));
+
+        this.detector.on('error', ({ error }) => {
+            console.error('Inference error:', error);
+        });
+
+        this.detector.on('blowstart', (event) => {
+            this.eventCount++;
+            this.eventCountEl.textContent = this.eventCount;
+            this.predictionLabel.classList.add('event-active');
+            this.appendEventLog(
+                `▶ ${event.label} start @ ${(event.timestamp / 1000).toFixed(2)}s ` +
+                `(confidence ${(event.confidence * 100).toFixed(1)}%)`
+            );
+        });
+
+        this.detector.on('blowend', (event) => {
+            this.predictionLabel.classList.remove('event-active');
+            this.appendEventLog(
+                `■ ${event.label} end @ ${(event.timestamp / 1000).toFixed(2)}s, ` +
+                `duration ${event.duration.toFixed(0)}ms, peak ${(event.peakConfidence * 100).toFixed(1)}%`
+            );
+        });
+    }
+
+    applyEventOptions() {
+        try {
+            this.detector.configureEvents({
+                targetLabel: this.eventLabelSelect.value,
+                threshold: parseFloat(this.eventThresholdInput.value),
+                releaseThreshold: parseFloat(this.eventReleaseInput.value),
+                minDuration: parseInt(this.eventMinDurationInput.value),
+                refractoryPeriod: parseInt(this.eventRefractoryInput.value)
+            });
+        } catch (error) {
+            this.log(`Event option error: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * 声音活动门限的选项; 采集时的自动录制也使用这些阈值
+     */
+    getGateOptions() {
+        return {
+            enabled: this.gateEnabledInput.checked,
+            thresholdDb: parseFloat(this.gateThresholdInput.value),
+            zcrThreshold: parseFloat(this.gateZcrInput.value),
+            hangoverMs: parseInt(this.gateHangoverInput.value)
+        };
+    }
+
+    applyGateOptions() {
+        try {
+            this.detector.configureGate(this.getGateOptions());
+        } catch (error) {
+            this.log(`Gate option error: ${error.message}`, true);
+        }
+    }
+
+    updateGateStatus(state) {
+        const toDb = (value) => value > 0 ? `${(20 * Math.log10(value)).toFixed(1)} dB` : '-∞ dB';
+        const { skippedRatio } = this.detector.getGateStats();
+
+        // 频谱质心取自分析器的实时频谱
+        let centroid = '';
+        const frequencyData = this.audioRecorder.getFrequencyData();
+        if (frequencyData) {
+            const binHz = this.audioRecorder.getSampleRate() / 2 / frequencyData.length;
+            centroid = `, 频谱质心 ${Math.round(calculateSpectralCentroid(frequencyData) * binHz)} Hz`;
+        }
+
+        this.gateStatusEl.textContent =
+            `${state.open ? '推理中' : '无声音, 已跳过'} | 电平 ${toDb(state.rms)}, 噪声底 ${toDb(state.noiseFloor)}, ` +
+            `过零率 ${state.zcr.toFixed(2)}${centroid} | 跳过 ${(skippedRatio * 100).toFixed(0)}%`;
+        this.gateStatusEl.classList.toggle('gate-closed', !state.open);
+
+        if (!state.open && !this.detector.isEventActive()) {
+            this.predictionLabel.textContent = '无声音';
+            this.predictionLabel.className = 'result-label';
+        }
+    }
+
+    appendEventLog(text) {
+        const item = document.createElement('li');
+        item.textContent = text;
+        this.eventLogEl.prepend(item);
+
+        while (this.eventLogEl.children.length > 50) {
+            this.eventLogEl.lastChild.remove();
+        }
+    }
+
+    // 已保存的标签集和标签编辑器使用同一校验, 无效时退回默认标签
+    loadLabelSet() {
+        const stored = localStorage.getItem(LABELS_STORAGE_KEY);
+        if (stored === null) {
+            return DEFAULT_LABELS;
+        }
+        try {
+            return normalizeLabels(JSON.parse(stored));
+        } catch (error) {
+            console.warn('Invalid stored label set, using the default labels:', error);
+            localStorage.removeItem(LABELS_STORAGE_KEY);
+            return DEFAULT_LABELS;
+        }
+    }
+
+    loadCaptureOptions() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CAPTURE_STORAGE_KEY));
+            if (stored && typeof stored === 'object') {
+                return { ...DEFAULT_CAPTURE_OPTIONS, ...stored };
+            }
+        } catch (error) {
+            console.warn('Invalid stored capture options:', error);
+        }
+        return { ...DEFAULT_CAPTURE_OPTIONS };
+    }
+
+    saveCaptureOptions() {
+        localStorage.setItem(CAPTURE_STORAGE_KEY, JSON.stringify(this.captureOptions));
+    }
+
+    showCaptureOptions() {
+        this.audioDeviceSelect.value = this.captureOptions.deviceId || '';
+        this.echoCancellationInput.checked = this.captureOptions.echoCancellation;
+        this.noiseSuppressionInput.checked = this.captureOptions.noiseSuppression;
+        this.autoGainInput.checked = this.captureOptions.autoGainControl;
+    }
+
+    createMicrophoneSource() {
+        return new MicrophoneSource(this.captureOptions);
+    }
+
+    /**
+     * 刷新输入设备列表; 授权麦克风之前浏览器不提供设备名称和 ID
+     */
+    async refreshAudioDevices() {
+        let devices;
+        try {
+            devices = (await listAudioInputDevices()).filter(device => device.deviceId && device.deviceId !== 'default');
+        } catch (error) {
+            this.log(`Failed to list input devices: ${error.message}`, true);
+            return;
+        }
+
+        const selected = this.captureOptions.deviceId;
+        while (this.audioDeviceSelect.options.length > 1) {
+            this.audioDeviceSelect.lastChild.remove();
+        }
+        devices.forEach((device, i) => {
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label || `麦克风 ${i + 1}`;
+            this.audioDeviceSelect.appendChild(option);
+        });
+
+        if (!selected) {
+            this.audioDeviceSelect.value = '';
+        } else if (devices.some(device => device.deviceId === selected)) {
+            this.audioDeviceSelect.value = selected;
+        } else if (devices.length > 0) {
+            // 正在使用的设备被拔出时切换到系统默认设备
+            this.log('Selected input device was removed, switching to the default device', true);
+            this.audioDeviceSelect.value = '';
+            await this.applyCaptureOptions();
+        } else {
+            // 未授权时列表为空, 保留选择以便授权后使用
+            const option = document.createElement('option');
+            option.value = selected;
+            option.textContent = '上次选择的设备';
+            this.audioDeviceSelect.appendChild(option);
+            this.audioDeviceSelect.value = selected;
+        }
+    }
+
+    /**
+     * 保存采集选项; 麦克风已打开时立即切换, 录制和检测不中断
+     */
+    async applyCaptureOptions() {
+        const previous = this.captureOptions;
+        this.captureOptions = {
+            ...previous,
+            deviceId: this.audioDeviceSelect.value || null,
+            echoCancellation: this.echoCancellationInput.checked,
+            noiseSuppression: this.noiseSuppressionInput.checked,
+            autoGainControl: this.autoGainInput.checked
+        };
+        this.saveCaptureOptions();
+
+        if (!this.audioRecorder) {
+            return;
+        }
+
+        this.captureOptionsEl.querySelectorAll('select, input').forEach(el => { el.disabled = true; });
+        try {
+            await this.detector.switchAudioInput(this.createMicrophoneSource());
+            this.log('Audio input switched');
+        } catch (error) {
+            this.log(`Failed to switch audio input: ${error.message}`, true);
+            this.captureOptions = previous;
+            this.saveCaptureOptions();
+            this.showCaptureOptions();
+        } finally {
+            this.captureOptionsEl.querySelectorAll('select, input').forEach(el => { el.disabled = false; });
+        }
+        this.showInputSettings();
+    }
+
+    /**
+     * 显示音轨实际生效的设置; 浏览器或设备未满足的选项标红并写入日志
+     */
+    showInputSettings() {
+        const settings = this.audioRecorder && this.audioRecorder.getInputSettings();
+        if (!settings) {
+            this.inputSettingsEl.textContent = '未连接麦克风';
+            this.inputSettingsEl.classList.remove('mismatch');
+            return;
+        }
+
+        const onOff = (value) => value === undefined ? '?' : (value ? '开' : '关');
+        const trackRate = settings.sampleRate ? `${settings.sampleRate} Hz → ` : '';
+        this.inputSettingsEl.textContent =
+            `${settings.label || settings.sourceType} | ${trackRate}${settings.contextSampleRate} Hz | ` +
+            `回声消除 ${onOff(settings.echoCancellation)}, 降噪 ${onOff(settings.noiseSuppression)}, ` +
+            `自动增益 ${onOff(settings.autoGainControl)}`;
+
+        const source = this.audioRecorder.source;
+        const unmet = source instanceof MicrophoneSource ? source.getUnmetConstraints() : [];
+        unmet.forEach(({ name, requested, actual }) => {
+            this.log(`Input setting ${name}: requested ${requested}, got ${actual}`, true);
+        });
+        // 采样率不同只是由 AudioContext 重采样, 不标红
+        this.inputSettingsEl.classList.toggle('mismatch', unmet.some(({ name }) => name !== 'sampleRate'));
+        this.inputSettingsEl.title = unmet.map(({ name, requested, actual }) => `${name}: ${requested} → ${actual}`).join('\n');
+    }
+
+    applyLabels() {
+        const labels = this.labelSetInput.value.split(',').map(label => label.trim()).filter(Boolean);
+        const counts = this.modelTrainer.getSampleCounts();
+        const dropped = this.modelTrainer.getLabels().filter(label => !labels.includes(label) && counts[label] > 0);
+
+        if (dropped.length > 0 &&
+            !confirm(`Samples of ${dropped.join(', ')} will be hidden until the label is added back. Continue?`)) {
+            return;
+        }
+
+        try {
+            this.modelTrainer.setLabels(labels);
+        } catch (error) {
+            this.log(`Label error: ${error.message}`, true);
+            alert(error.message);
+            return;
+        }
+
+        localStorage.setItem(LABELS_STORAGE_KEY, JSON.stringify(this.modelTrainer.getLabels()));
+        this.renderLabels();
+        this.updateSampleCounts();
+
+        if (!this.modelTrainer.model) {
+            this.startInferenceBtn.disabled = true;
+            this.saveModelBtn.disabled = true;
+            this.exportModelBtn.disabled = true;
+        }
+        this.log(`Labels set to: ${this.modelTrainer.getLabels().join(', ')}`);
+    }
+
+    renderLabels() {
+        const labels = this.modelTrainer.getLabels();
+        const selected = this.getSelectedLabel();
+        this.labelSetInput.value = labels.join(',');
+
+        // 采集用单选按钮
+        this.labelSelectionEl.replaceChildren(...labels.map(label => {
+            const wrapper = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.name = 'label';
+            input.value = label;
+            input.checked = label === selected;
+            wrapper.append(input, ` ${getLabelName(label)}`);
+            return wrapper;
+        }));
+        if (!this.getSelectedLabel()) {
+            this.labelSelectionEl.querySelector('input').checked = true;
+        }
+
+        // 样本计数
+        this.countEls = {};
+        this.sampleStatsEl.replaceChildren(...labels.map(label => {
+            const item = document.createElement('div');
+            item.className = 'stat-item';
+            const name = document.createElement('span');
+            name.className = 'stat-label';
+            name.textContent = `${getLabelName(label)}样本:`;
+            const value = document.createElement('span');
+            value.className = 'stat-value';
+            value.textContent = '0';
+            item.append(name, value);
+            this.countEls[label] = value;
+            return item;
+        }));
+
+        // 事件检测类别, 默认选中 blow
+        const eventLabel = this.detector.getEventOptions().targetLabel;
+        this.eventLabelSelect.replaceChildren(...labels.map(label => new Option(getLabelName(label), label)));
+        this.eventLabelSelect.value = labels.includes(eventLabel) ? eventLabel : labels[0];
+        this.applyEventOptions();
+
+        // 置信度条
+        this.confidenceEls = {};
+        this.confidenceBarsEl.replaceChildren(...labels.map((label, i) => {
+            const item = document.createElement('div');
+            item.className = 'confidence-item';
+            const name = document.createElement('span');
+            name.textContent = `${getLabelName(label)}:`;
+            const bar = document.createElement('div');
+            bar.className = 'confidence-bar';
+            const fill = document.createElement('div');
+            fill.className = 'confidence-fill';
+            fill.style.background = LABEL_COLORS[i % LABEL_COLORS.length];
+            bar.append(fill);
+            const percent = document.createElement('span');
+            percent.textContent = '0%';
+            item.append(name, bar, percent);
+            this.confidenceEls[label] = { fill, percent };
+            return item;
+        }));
+    }
+
+    getSelectedLabel() {
+        const checked = this.labelSelectionEl.querySelector('input[name="label"]:checked');
+        return checked ? checked.value : null;
     }
 
     checkMicrophoneSupport() {
@@ -113,18 +695,37 @@ class BlowClassifierApp {
             await this.init();
         }
 
+        // 自动录制: 用门限判断每段音频, 只保留有声音的样本
+        let gate = null;
+        if (this.autoRecordInput.checked) {
+            try {
+                gate = new ActivityGate({ ...this.getGateOptions(), enabled: true, hangoverMs: 0 });
+            } catch (error) {
+                this.log(`Gate option error: ${error.message}`, true);
+                return;
+            }
+        }
+
         this.isRecording = true;
         this.startRecordBtn.disabled = true;
         this.stopRecordBtn.disabled = false;
+        this.applyLabelsBtn.disabled = true;
 
-        const label = document.querySelector('input[name="label"]:checked').value;
-        this.log(`Recording ${label} samples...`);
+        const label = this.getSelectedLabel();
+        this.recordingGate = gate;
+        this.log(`Recording ${label} samples${gate ? ' when sound is present' : ''}...`);
 
         // 定期采集样本
         this.recordingInterval = setInterval(async () => {
             try {
                 const audioData = await this.audioRecorder.captureAudioSample(1000);
-                const success = this.modelTrainer.addSample(audioData, label);
+                const sampleRate = this.audioRecorder.getSampleRate();
+                if (gate && !gate.process(audioData, sampleRate).active) {
+                    this.drawWaveform(audioData);
+                    return;
+                }
+
+                const success = this.modelTrainer.addSample(audioData, label, { sampleRate });
 
                 if (success) {
                     this.updateSampleCounts();
@@ -140,27 +741,175 @@ class BlowClassifierApp {
         this.isRecording = false;
         this.startRecordBtn.disabled = false;
         this.stopRecordBtn.disabled = true;
+        this.applyLabelsBtn.disabled = false;
 
         if (this.recordingInterval) {
             clearInterval(this.recordingInterval);
             this.recordingInterval = null;
         }
 
+        if (this.recordingGate) {
+            const { windows, skipped } = this.recordingGate.getStats();
+            this.log(`Auto record kept ${windows - skipped} of ${windows} captures`);
+            this.recordingGate = null;
+        }
         this.log('Recording stopped');
     }
 
-    clearData() {
+    async clearData() {
         if (confirm('Are you sure you want to clear all collected data?')) {
-            this.modelTrainer.clearData();
+            try {
+                await this.modelTrainer.clearData();
+                this.log('All data cleared');
+            } catch (error) {
+                this.log(`Clear error: ${error.message}`, true);
+            }
             this.updateSampleCounts();
-            this.log('All data cleared');
         }
     }
 
+    async handleSampleListClick(e) {
+        const item = e.target.closest('[data-sample-id]');
+        if (!item) return;
+
+        const { sampleId, label } = item.dataset;
+
+        if (e.target.closest('.sample-delete')) {
+            try {
+                await this.modelTrainer.deleteSample(label, sampleId);
+                this.updateSampleCounts();
+                this.log(`Deleted ${label} sample`);
+            } catch (error) {
+                this.log(`Delete error: ${error.message}`, true);
+            }
+            return;
+        }
+
+        const sample = this.modelTrainer.getSamples()[label].find(s => s.id === sampleId);
+        if (sample) {
+            this.drawWaveform(sample.audio);
+        }
+    }
+
+    renderSampleList() {
+        const samples = Object.entries(this.modelTrainer.getSamples())
+            .flatMap(([label, list]) => list.map(sample => ({ label, sample })))
+            .sort((a, b) => b.sample.timestamp - a.sample.timestamp);
+
+        this.sampleListEl.replaceChildren(...samples.map(({ label, sample }) => {
+            const item = document.createElement('li');
+            item.dataset.sampleId = sample.id;
+            item.dataset.label = label;
+
+            const text = document.createElement('span');
+            text.textContent = `${label} · ${new Date(sample.timestamp).toLocaleString()}`;
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'sample-delete';
+            deleteBtn.title = '删除样本';
+            deleteBtn.textContent = '×';
+
+            item.append(text, deleteBtn);
+            return item;
+        }));
+    }
+
+    async addSamplesFromFiles(files) {
+        const label = this.getSelectedLabel();
+        const sampleRate = this.featureExtractor.sampleRate;
+        let added = 0;
+
+        for (const file of files) {
+            try {
+                const windows = await decodeAudioFileWindows(file, sampleRate);
+                windows.forEach(({ audio }) => {
+                    if (this.modelTrainer.addSample(audio, label, { sampleRate })) {
+                        added++;
+                    }
+                });
+                if (windows.length > 0) {
+                    this.drawWaveform(windows[windows.length - 1].audio);
+                }
+                this.log(`${file.name}: ${windows.length} windows added as ${label}`);
+            } catch (error) {
+                this.log(`Failed to decode ${file.name}: ${error.message}`, true);
+            }
+        }
+
+        this.updateSampleCounts();
+        this.log(`Added ${added} ${label} samples from ${files.length} file(s)`);
+    }
+
+    exportDataset() {
+        const counts = this.modelTrainer.getSampleCounts();
+        if (counts.total === 0) {
+            alert('No samples to export');
+            return;
+        }
+
+        const bundle = exportDatasetBundle(
+            this.modelTrainer.getSamples(),
+            this.getFeatureSummary()
+        );
+        const filename = `blow-dataset-${new Date().toISOString().replace(/[:.]/g, '-')}.zip`;
+        this.downloadFile(bundle, filename, 'application/zip');
+        this.log(`Exported ${counts.total} samples to ${filename}`);
+    }
+
+    async importDataset(file) {
+        try {
+            this.log(`Importing dataset from ${file.name}...`);
+            const { samples } = importDatasetBundle(await file.arrayBuffer());
+            const knownLabels = Object.keys(this.modelTrainer.getSamples());
+
+            let imported = 0;
+            let skipped = 0;
+            let duplicates = 0;
+            samples.forEach(sample => {
+                if (!knownLabels.includes(sample.label)) {
+                    skipped++;
+                    return;
+                }
+                // 重复导入同一个数据包时不产生重复样本
+                if (this.modelTrainer.hasSample(sample.id)) {
+                    duplicates++;
+                    return;
+                }
+
+                const success = this.modelTrainer.addSample(sample.audio, sample.label, {
+                    id: sample.id,
+                    sampleRate: sample.sampleRate,
+                    timestamp: sample.timestamp
+                });
+                success ? imported++ : skipped++;
+            });
+
+            this.updateSampleCounts();
+            this.log(
+                `Imported ${imported} samples` +
+                (skipped ? `, skipped ${skipped}` : '') +
+                (duplicates ? `, ${duplicates} already present` : '')
+            );
+        } catch (error) {
+            this.log(`Import error: ${error.message}`, true);
+        }
+    }
+
+    downloadFile(data, filename, type) {
+        const url = URL.createObjectURL(new Blob([data], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
     updateSampleCounts() {
         const counts = this.modelTrainer.getSampleCounts();
-        this.blowCountEl.textContent = counts.blow;
-        this.notBlowCountEl.textContent = counts.not_blow;
+        Object.entries(this.countEls).forEach(([label, el]) => {
+            el.textContent = counts[label];
+        });
+        this.renderSampleList();
     }
 
     drawWaveform(audioData) {
@@ -196,22 +945,66 @@ class BlowClassifierApp {
     async trainModel() {
         const counts = this.modelTrainer.getSampleCounts();
 
-        if (counts.blow < 10 || counts.not_blow < 10) {
+        if (this.modelTrainer.getLabels().some(label => counts[label] < 10)) {
             alert('Please collect at least 10 samples for each class');
             return;
         }
 
         this.trainModelBtn.disabled = true;
         this.saveModelBtn.disabled = true;
+        this.exportModelBtn.disabled = true;
         this.trainingHistory = { loss: [], accuracy: [], val_loss: [], val_accuracy: [] };
 
         const epochs = parseInt(this.epochsInput.value);
         const batchSize = parseInt(this.batchSizeInput.value);
-
-        this.log(`Training model: ${epochs} epochs, batch size ${batchSize}...`);
+        const testSplit = parseFloat(this.testSplitInput.value);
+        const maxFalsePositiveRate = parseFloat(this.maxFprInput.value);
+        const featureOptions = this.getFeatureOptions();
+        // 增强作用于原始音频 (增益、平移、not_blow 噪声、变速) 和特征 (SpecAugment), 其余参数用默认值
+        const augmentation = this.augmentInput.checked
+            ? { copies: parseInt(this.augmentCopiesInput.value) }
+            : null;
+
+        const patience = parseInt(this.patienceInput.value);
+        const earlyStopping = this.earlyStoppingInput.checked
+            ? { patience, restoreBestWeights: this.restoreBestInput.checked }
+            : null;
+        const reduceLROnPlateau = this.reduceLrInput.checked
+            ? { patience: Math.max(1, Math.floor(patience / 2)) }
+            : null;
+
+        this.evaluationReportEl.replaceChildren();
+        const architecture = this.architectureSelect.value;
+        this.lastTrainingOptions = { epochs, batchSize, testSplit, augmentation, earlyStopping, reduceLROnPlateau };
+        this.log(
+            `Training model: ${epochs} epochs, batch size ${batchSize}, test split ${testSplit}` +
+            `${augmentation ? `, ${augmentation.copies} augmented copies per sample` : ''}...`
+        );
 
         try {
-            await this.modelTrainer.train(epochs, batchSize, {
+            if (this.modelTrainer.configureFeatures(featureOptions)) {
+                const [nFrames, nFeatures] = this.featureExtractor.getFeatureShape();
+                this.log(`Feature pipeline changed, model input is now ${nFrames} x ${nFeatures}`);
+            }
+            if (this.modelTrainer.setArchitecture(architecture)) {
+                this.log(`Model architecture changed to ${architecture}, training from scratch`);
+            }
+
+            // 后台线程训练时主线程只接收进度, 训练结束后载入权重
+            let trainer = this.modelTrainer;
+            if (this.trainInWorkerInput.checked) {
+                this.trainingClient = this.trainingClient || new TrainingWorkerClient();
+                trainer = {
+                    train: (...args) => this.trainingClient.train(this.modelTrainer, ...args)
+                };
+                this.log('Training in a background worker...');
+            }
+            this.activeTrainer = this.trainInWorkerInput.checked ? this.trainingClient : this.modelTrainer;
+            this.pauseTrainingBtn.disabled = false;
+            this.pauseTrainingBtn.textContent = '暂停';
+            this.stopTrainingBtn.disabled = false;
+
+            await trainer.train(epochs, batchSize, {
                 onEpochEnd: (epoch, logs) => {
                     this.trainingHistory.loss.push(logs.loss);
                     this.trainingHistory.accuracy.push(logs.acc);
@@ -226,25 +1019,363 @@ class BlowClassifierApp {
                         `loss: ${logs.loss.toFixed(4)}, ` +
                         `acc: ${(logs.acc * 100).toFixed(2)}%, ` +
                         `val_loss: ${logs.val_loss.toFixed(4)}, ` +
-                        `val_acc: ${(logs.val_acc * 100).toFixed(2)}%`
+                        `val_acc: ${(logs.val_acc * 100).toFixed(2)}%, ` +
+                        `lr: ${logs.lr}`
                     );
 
                     this.drawTrainingChart();
                 },
-                onTrainEnd: () => {
-                    this.log('Training completed!');
+                onTrainEnd: (summary) => {
+                    this.logTrainingSummary(summary);
                     this.trainModelBtn.disabled = false;
                     this.saveModelBtn.disabled = false;
+                    this.exportModelBtn.disabled = false;
                     this.startInferenceBtn.disabled = false;
                 }
+            }, {
+                testSplit,
+                maxFalsePositiveRate,
+                augmentation,
+                earlyStopping,
+                reduceLROnPlateau,
+                positiveLabel: this.eventLabelSelect.value
             });
 
+            const evaluation = this.modelTrainer.lastEvaluation;
+            if (evaluation) {
+                this.log(
+                    `Test set: accuracy ${(evaluation.accuracy * 100).toFixed(2)}%, ` +
+                    `macro F1 ${evaluation.macroF1.toFixed(4)} (${evaluation.total} samples)`
+                );
+                this.renderEvaluation(evaluation);
+            }
+
+            await this.showModelSummary();
         } catch (error) {
             this.log(`Training error: ${error.message}`, true);
             this.trainModelBtn.disabled = false;
+        } finally {
+            this.activeTrainer = null;
+            this.pauseTrainingBtn.disabled = true;
+            this.pauseTrainingBtn.textContent = '暂停';
+            this.stopTrainingBtn.disabled = true;
+        }
+    }
+
+    togglePauseTraining() {
+        if (!this.activeTrainer) return;
+
+        if (this.activeTrainer.isPaused()) {
+            this.activeTrainer.resumeTraining();
+            this.pauseTrainingBtn.textContent = '暂停';
+            this.log('Training resumed');
+        } else {
+            this.activeTrainer.pauseTraining();
+            this.pauseTrainingBtn.textContent = '继续';
+            this.log('Training paused');
         }
     }
 
+    stopTraining() {
+        if (!this.activeTrainer) return;
+
+        this.activeTrainer.stopTraining();
+        this.stopTrainingBtn.disabled = true;
+        this.pauseTrainingBtn.disabled = true;
+        this.log('Stopping training after the current batch...');
+    }
+
+    logTrainingSummary(summary) {
+        if (!summary) {
+            this.log('Training completed!');
+            return;
+        }
+
+        const reasons = {
+            completed: 'completed',
+            'early-stopping': 'early stopping',
+            stopped: 'stopped by user'
+        };
+        let message = `Training ${reasons[summary.stopReason]} at epoch ${summary.epochsRun}/${summary.epochs}`;
+        if (summary.bestEpoch > 0) {
+            message += `, best epoch ${summary.bestEpoch} (${summary.monitor} ${summary.bestValue.toFixed(4)})`;
+        }
+        if (summary.restoredBestWeights) {
+            message += ', restored best weights';
+        }
+        this.log(`${message}, final learning rate ${summary.learningRate}`);
+    }
+
+    /**
+     * 加载预训练骨干网络, 之后训练只更新其上的分类头
+     */
+    async loadBackbone() {
+        const url = this.backboneUrlInput.value.trim();
+        if (!url) {
+            this.log('Enter the URL of a pretrained model.json', true);
+            return;
+        }
+
+        const sampleRate = parseInt(this.backboneRateInput.value);
+        this.loadBackboneBtn.disabled = true;
+
+        try {
+            // 记录绝对地址, Worker 和以后加载分类头时都能找到骨干网络
+            const backbone = await EmbeddingBackbone.load({
+                url: new URL(url, location.href).href,
+                format: this.backboneFormatSelect.value,
+                input: this.backboneInputSelect.value,
+                output: this.backboneOutputInput.value.trim() || null,
+                sampleRate,
+                inputLength: sampleRate
+            });
+            this.replaceBackbone(backbone);
+            this.log(`Backbone loaded, embedding size ${backbone.embeddingDim}; training updates only the classifier head`);
+        } catch (error) {
+            this.log(`Failed to load backbone: ${error.message}`, true);
+        } finally {
+            this.loadBackboneBtn.disabled = false;
+        }
+    }
+
+    clearBackbone() {
+        this.replaceBackbone(null);
+        this.log('Backbone removed, the next training starts from scratch');
+    }
+
+    // 更换骨干网络后原模型的输入不再匹配, 需要重新训练
+    replaceBackbone(backbone) {
+        if (this.isInferencing) {
+            this.stopInference();
+        }
+        this.modelTrainer.setBackbone(backbone);
+        this.startInferenceBtn.disabled = true;
+        this.saveModelBtn.disabled = true;
+        this.exportModelBtn.disabled = true;
+        this.modelParamsEl.textContent = '-';
+        this.modelLatencyEl.textContent = '-';
+        this.showBackbone();
+    }
+
+    showBackbone() {
+        const backbone = this.modelTrainer.backbone;
+        this.clearBackboneBtn.disabled = !backbone;
+        this.architectureSelect.disabled = Boolean(backbone);
+        this.backboneStatusEl.textContent = backbone
+            ? `嵌入维度 ${backbone.embeddingDim}, 仅训练分类头`
+            : '未使用骨干网络';
+
+        if (backbone) {
+            const config = backbone.getConfig();
+            this.backboneUrlInput.value = config.url;
+            this.backboneFormatSelect.value = config.format;
+            this.backboneInputSelect.value = config.input;
+            this.backboneRateInput.value = config.sampleRate;
+            this.backboneOutputInput.value = config.output || '';
+        }
+    }
+
+    /**
+     * 显示模型结构、参数量和单次推理耗时
+     */
+    async showModelSummary() {
+        const summary = await this.modelTrainer.getModelSummary();
+        if (!summary) {
+            return;
+        }
+
+        this.modelParamsEl.textContent = `${summary.params.toLocaleString()} (${summary.sizeKB.toFixed(1)} KB)`;
+        this.modelLatencyEl.textContent = `${summary.latencyMs.toFixed(2)} ms`;
+        this.log(
+            `Model: ${summary.architecture}, ${summary.params} params (${summary.sizeKB.toFixed(1)} KB), ` +
+            `${summary.latencyMs.toFixed(2)} ms per inference`
+        );
+    }
+
+    /**
+     * 读取特征流水线设置
+     */
+    getFeatureOptions() {
+        return {
+            featureType: this.featureTypeSelect.value,
+            deltaOrder: parseInt(this.deltaOrderSelect.value),
+            frameStats: this.frameStatsInput.checked,
+            nMels: parseInt(this.nMelsInput.value),
+            nFrames: parseInt(this.nFramesInput.value),
+            fmin: parseFloat(this.fminInput.value) || 0,
+            fmax: this.fmaxInput.value ? parseFloat(this.fmaxInput.value) : null,
+            normalization: this.normalizationSelect.value
+        };
+    }
+
+    /**
+     * 将特征流水线设置同步到界面
+     */
+    showFeatureOptions(config) {
+        this.featureTypeSelect.value = config.featureType;
+        this.deltaOrderSelect.value = String(config.deltaOrder);
+        this.frameStatsInput.checked = config.frameStats;
+        this.nMelsInput.value = config.nMels;
+        this.nFramesInput.value = config.nFrames;
+        this.fminInput.value = config.fmin;
+        this.fmaxInput.value = config.fmax === null ? '' : config.fmax;
+        this.normalizationSelect.value = config.normalization;
+        this.updateFeatureShape();
+    }
+
+    /**
+     * 显示当前设置对应的模型输入形状
+     */
+    updateFeatureShape() {
+        try {
+            const { normalizationStats, ...current } = this.featureExtractor.getConfig();
+            const extractor = FeatureExtractor.fromConfig({ ...current, ...this.getFeatureOptions() });
+            const [nFrames, nFeatures] = extractor.getFeatureShape();
+            this.featureShapeEl.textContent = `输入: ${nFrames} × ${nFeatures}`;
+        } catch (error) {
+            this.featureShapeEl.textContent = error.message;
+        }
+    }
+
+    /**
+     * 显示测试集评估报告: 混淆矩阵、每类指标、推荐阈值
+     */
+    renderEvaluation(evaluation) {
+        const { labels, confusionMatrix, perClass, positiveLabel, curves, recommendedThreshold } = evaluation;
+        const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+        const table = (header, rows) => {
+            const el = document.createElement('table');
+            const headRow = el.createTHead().insertRow();
+            header.forEach(text => {
+                const th = document.createElement('th');
+                th.textContent = text;
+                headRow.append(th);
+            });
+            const body = el.createTBody();
+            rows.forEach(cells => {
+                const row = body.insertRow();
+                cells.forEach(({ text, className }) => {
+                    const td = row.insertCell();
+                    td.textContent = text;
+                    if (className) td.className = className;
+                });
+            });
+            return el;
+        };
+
+        const heading = (text) => {
+            const el = document.createElement('h3');
+            el.textContent = text;
+            return el;
+        };
+
+        const matrixTable = table(['真实 \\ 预测', ...labels], labels.map((label, i) => [
+            { text: label },
+            ...confusionMatrix[i].map((count, j) => ({ text: String(count), className: i === j ? 'diagonal' : '' }))
+        ]));
+
+        const classTable = table(['类别', 'Precision', 'Recall', 'F1', '样本数'], labels.map(label => [
+            { text: label },
+            { text: percent(perClass[label].precision) },
+            { text: percent(perClass[label].recall) },
+            { text: perClass[label].f1.toFixed(3) },
+            { text: String(perClass[label].support) }
+        ]));
+
+        const summary = document.createElement('p');
+        const positive = curves[positiveLabel];
+        summary.textContent =
+            `准确率 ${percent(evaluation.accuracy)}, 宏平均 F1 ${evaluation.macroF1.toFixed(3)}` +
+            (positive ? `, ${positiveLabel} ROC AUC ${positive.roc.auc.toFixed(3)}, AP ${positive.pr.averagePrecision.toFixed(3)}` : '');
+
+        const children = [heading(`测试集评估 (${evaluation.total} 个样本)`), summary, matrixTable, classTable];
+
+        if (recommendedThreshold) {
+            const { threshold, precision, recall, falsePositiveRate, constraintMet, maxFalsePositiveRate } = recommendedThreshold;
+            const advice = document.createElement('p');
+            advice.textContent =
+                `推荐 ${positiveLabel} 阈值: ${threshold.toFixed(3)} — 误触发率 ${percent(falsePositiveRate)}, ` +
+                `召回率 ${percent(recall)}, 精确率 ${percent(precision)}` +
+                (constraintMet ? '' : ` (没有阈值能把误触发率控制在 ${percent(maxFalsePositiveRate)} 以内)`);
+
+            const applyBtn = document.createElement('button');
+            applyBtn.className = 'btn btn-secondary apply-threshold';
+            applyBtn.textContent = '应用到事件检测';
+            children.push(advice, applyBtn);
+        }
+
+        this.evaluationReportEl.replaceChildren(...children);
+        this.drawEvaluationCurves(evaluation);
+    }
+
+    applyRecommendedThreshold() {
+        const evaluation = this.modelTrainer.lastEvaluation;
+        if (!evaluation || !evaluation.recommendedThreshold) return;
+
+        const threshold = Math.min(1, Math.max(0, evaluation.recommendedThreshold.threshold));
+        this.eventLabelSelect.value = evaluation.positiveLabel;
+        this.eventThresholdInput.value = threshold.toFixed(2);
+        this.eventReleaseInput.value = Math.min(parseFloat(this.eventReleaseInput.value), threshold).toFixed(2);
+        this.applyEventOptions();
+        this.log(`Event threshold for ${evaluation.positiveLabel} set to ${threshold.toFixed(2)}`);
+    }
+
+    /**
+     * 绘制目标类别的 ROC 和 PR 曲线
+     */
+    drawEvaluationCurves(evaluation) {
+        const canvas = this.rocChart;
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+
+        ctx.clearRect(0, 0, width, height);
+
+        const curves = evaluation.curves[evaluation.positiveLabel];
+        if (!curves) return;
+
+        const padding = 40;
+        const chartWidth = width - 2 * padding;
+        const chartHeight = height - 2 * padding;
+        const toX = (v) => padding + v * chartWidth;
+        const toY = (v) => padding + chartHeight - v * chartHeight;
+
+        // 坐标轴和随机分类器对角线
+        ctx.strokeStyle = '#ddd';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(padding, padding);
+        ctx.lineTo(padding, height - padding);
+        ctx.lineTo(width - padding, height - padding);
+        ctx.moveTo(toX(0), toY(0));
+        ctx.lineTo(toX(1), toY(1));
+        ctx.stroke();
+
+        const plot = (points, xKey, yKey, color) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            points.forEach((point, i) => {
+                const x = toX(point[xKey]);
+                const y = toY(point[yKey]);
+                i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+        };
+
+        plot(curves.roc.points, 'fpr', 'tpr', '#667eea');
+        plot(curves.pr.points, 'recall', 'precision', '#fd7e14');
+
+        ctx.font = '12px monospace';
+        ctx.fillStyle = '#667eea';
+        ctx.fillText(`ROC (AUC ${curves.roc.auc.toFixed(3)})`, padding + 10, padding + 20);
+        ctx.fillStyle = '#fd7e14';
+        ctx.fillText(`PR (AP ${curves.pr.averagePrecision.toFixed(3)})`, padding + 10, padding + 35);
+        ctx.fillStyle = '#666';
+        ctx.fillText(evaluation.positiveLabel, width - padding - 80, padding + 20);
+    }
+
     drawTrainingChart() {
         const canvas = this.trainingChart;
         const ctx = canvas.getContext('2d');
@@ -306,24 +1437,201 @@ class BlowClassifierApp {
     }
 
     async saveModel() {
+        const name = this.modelNameInput.value.trim() || 'blow-classifier';
+
         try {
-            await this.modelTrainer.saveModel('blow-classifier');
-            this.log('Model saved successfully!');
-            alert('Model saved to browser storage');
+            const entry = await this.registry.save(this.modelTrainer, name, {
+                labels: this.modelTrainer.getLabels(),
+                sampleCounts: this.modelTrainer.getSampleCounts(),
+                featureConfig: this.getFeatureSummary(),
+                architecture: this.modelTrainer.architecture,
+                params: this.modelTrainer.model.countParams(),
+                training: this.lastTrainingOptions || null,
+                evaluation: summarizeEvaluation(this.modelTrainer.lastEvaluation)
+            });
+
+            // 第一个保存的模型自动设为活动模型
+            if (!this.registry.getActive()) {
+                this.registry.setActive(entry.id);
+            }
+
+            this.renderRegistry();
+            this.log(`Model saved to registry as ${entry.id}`);
         } catch (error) {
             this.log(`Save error: ${error.message}`, true);
         }
     }
 
+    /**
+     * 特征配置摘要 (不含归一化统计量, 统计量已随模型保存)
+     */
+    getFeatureSummary() {
+        const { normalizationStats, ...config } = this.featureExtractor.getConfig();
+        return config;
+    }
+
+    renderRegistry() {
+        const entries = this.registry.list();
+        const active = this.registry.getActive();
+
+        if (entries.length === 0) {
+            this.registryTable.replaceChildren();
+            return;
+        }
+
+        const header = document.createElement('tr');
+        ['', '名称', '版本', '保存时间', '标签', '样本数', '测试准确率', 'F1', ''].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            header.append(th);
+        });
+
+        const button = (action, text, className) => {
+            const btn = document.createElement('button');
+            btn.className = `btn ${className}`;
+            btn.dataset.action = action;
+            btn.textContent = text;
+            return btn;
+        };
+
+        const rows = entries.map(entry => {
+            const { metadata } = entry;
+            const evaluation = metadata.evaluation;
+            const row = document.createElement('tr');
+            row.dataset.id = entry.id;
+            row.classList.toggle('active', active && active.id === entry.id);
+
+            const select = document.createElement('input');
+            select.type = 'checkbox';
+            select.className = 'compare-select';
+
+            const cells = [
+                select,
+                entry.name,
+                `v${entry.version}`,
+                new Date(entry.createdAt).toLocaleString(),
+                (metadata.labels || []).join(', '),
+                metadata.sampleCounts ? String(metadata.sampleCounts.total) : '-',
+                evaluation ? `${(evaluation.accuracy * 100).toFixed(1)}%` : '-',
+                evaluation ? evaluation.macroF1.toFixed(3) : '-'
+            ];
+            cells.forEach(content => {
+                const td = row.insertCell();
+                td.append(content);
+            });
+
+            const actions = row.insertCell();
+            actions.append(
+                button('load', '加载', 'btn-primary'),
+                ' ',
+                button('activate', active && active.id === entry.id ? '活动中' : '设为活动', 'btn-success'),
+                ' ',
+                button('delete', '删除', 'btn-danger')
+            );
+            return row;
+        });
+
+        this.registryTable.replaceChildren(header, ...rows);
+    }
+
+    async handleRegistryClick(e) {
+        const btn = e.target.closest('button[data-action]');
+        if (!btn) return;
+
+        const { id } = btn.closest('tr').dataset;
+
+        try {
+            switch (btn.dataset.action) {
+                case 'load':
+                    this.log(`Loading ${id}...`);
+                    if (await this.registry.load(this.modelTrainer, id)) {
+                        this.onModelLoaded();
+                    } else {
+                        this.log(`Failed to load ${id}: ${this.describeLoadError()}`, true);
+                    }
+                    break;
+
+                case 'activate':
+                    this.registry.setActive(id);
+                    this.log(`${id} is now the active model`);
+                    if (await this.registry.load(this.modelTrainer, id)) {
+                        this.onModelLoaded();
+                    }
+                    break;
+
+                case 'delete':
+                    if (confirm(`Delete ${id}?`)) {
+                        await this.registry.remove(id);
+                        this.log(`Deleted ${id}`);
+                    }
+                    break;
+            }
+        } catch (error) {
+            this.log(`Registry error: ${error.message}`, true);
+        }
+
+        this.renderRegistry();
+    }
+
+    compareModels() {
+        const ids = [...this.registryTable.querySelectorAll('.compare-select:checked')]
+            .map(input => input.closest('tr').dataset.id);
+
+        if (ids.length < 2) {
+            alert('Please select at least two versions to compare');
+            return;
+        }
+
+        const rows = this.registry.compare(ids);
+        const table = document.createElement('table');
+        const header = table.createTHead().insertRow();
+        ['', ...ids].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            header.append(th);
+        });
+
+        const body = table.createTBody();
+        rows.forEach(({ key, values }) => {
+            const row = body.insertRow();
+            row.insertCell().textContent = key;
+            values.forEach(value => {
+                row.insertCell().textContent = typeof value === 'number'
+                    ? (Number.isInteger(value) ? String(value) : value.toFixed(4))
+                    : (value === null ? '-' : String(value));
+            });
+        });
+
+        this.modelCompareEl.replaceChildren(table);
+    }
+
+    async exportModel() {
+        try {
+            await this.modelTrainer.exportModel('blow-classifier');
+            this.log('Model exported as blow-classifier.json + blow-classifier.weights.bin');
+        } catch (error) {
+            this.log(`Export error: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * 加载活动模型; 模型库为空时尝试旧版 localstorage 中的模型
+     */
     async loadModel() {
         try {
             this.log('Loading model...');
-            const success = await this.modelTrainer.loadModel('blow-classifier');
+            const entry = this.registry.getActive() || this.registry.list()[0];
+            const success = entry
+                ? await this.registry.load(this.modelTrainer, entry.id)
+                : await this.modelTrainer.loadModel('blow-classifier');
 
             if (success) {
-                this.log('Model loaded successfully!');
-                this.startInferenceBtn.disabled = false;
-                this.saveModelBtn.disabled = false;
+                if (entry) {
+                    this.log(`Using ${entry.id}`);
+                }
+                this.onModelLoaded();
+            } else if (entry) {
+                this.log(`Failed to load model: ${this.describeLoadError()}`, true);
             } else {
                 this.log('No saved model found', true);
                 alert('No saved model found. Please train a model first.');
@@ -333,7 +1641,88 @@ class BlowClassifierApp {
         }
     }
 
+    async loadModelFromFiles(files) {
+        try {
+            this.log(`Loading model from ${files.map(file => file.name).join(', ')}...`);
+            if (await this.modelTrainer.loadModelFromFiles(files)) {
+                this.onModelLoaded();
+            } else {
+                this.log(`Failed to load model from the selected files: ${this.describeLoadError()}`, true);
+            }
+        } catch (error) {
+            this.log(`Load error: ${error.message}`, true);
+        }
+    }
+
+    async loadModelFromUrl() {
+        const url = this.modelUrlInput.value.trim();
+        if (!url) {
+            alert('Please enter the URL of model.json');
+            return;
+        }
+
+        try {
+            this.log(`Loading model from ${url}...`);
+            // 相对路径按当前页面解析
+            const absoluteUrl = new URL(url, window.location.href).href;
+            if (await this.modelTrainer.loadModel(absoluteUrl)) {
+                this.onModelLoaded();
+            } else {
+                this.log(`Failed to load model from ${url}: ${this.describeLoadError()}`, true);
+            }
+        } catch (error) {
+            this.log(`Load error: ${error.message}`, true);
+        }
+    }
+
+    describeLoadError() {
+        const error = this.modelTrainer.loadError;
+        return error ? error.message : 'see console for details';
+    }
+
+    onModelLoaded() {
+        const config = this.featureExtractor.getConfig();
+        const [nFrames, nFeatures] = this.featureExtractor.getFeatureShape();
+        this.showFeatureOptions(config);
+
+        localStorage.setItem(LABELS_STORAGE_KEY, JSON.stringify(this.modelTrainer.getLabels()));
+        this.renderLabels();
+        this.updateSampleCounts();
+        this.log(`Model loaded successfully! Labels: ${this.modelTrainer.getLabels().join(', ')}`);
+        this.log(
+            `Features: ${config.featureType}, ${config.sampleRate} Hz, FFT ${config.fftSize}, ` +
+            `hop ${config.hopLength}, input ${nFrames} x ${nFeatures}, ${config.normalization} normalization`
+        );
+        this.startInferenceBtn.disabled = false;
+        this.saveModelBtn.disabled = false;
+        this.exportModelBtn.disabled = false;
+
+        this.architectureSelect.value = this.modelTrainer.architecture;
+        this.showBackbone();
+        this.showModelSummary().catch(error => {
+            this.log(`Failed to measure the model: ${error.message}`, true);
+        });
+    }
+
+    /**
+     * 窗口步长 (ms), 必须在 (0, 窗口长度] 之内; 无效时记录错误并返回 null
+     */
+    getHopMs() {
+        const hopMs = parseInt(this.hopMsInput.value, 10);
+        const { windowMs } = this.detector.options;
+        if (!Number.isFinite(hopMs) || hopMs <= 0 || hopMs > windowMs) {
+            this.log(`Invalid hop "${this.hopMsInput.value}": must be between 1 and ${windowMs} ms`, true);
+            return null;
+        }
+        return hopMs;
+    }
+
     async startInference() {
+        const hopMs = this.getHopMs();
+        if (hopMs === null) {
+            return;
+        }
+
         if (!this.audioRecorder) {
             await this.init();
         }
@@ -341,53 +1730,137 @@ class BlowClassifierApp {
         this.isInferencing = true;
         this.startInferenceBtn.disabled = true;
         this.stopInferenceBtn.disabled = false;
-        this.log('Real-time inference started...');
+        this.hopMsInput.disabled = true;
+        this.predictionLabel.classList.remove('event-active');
 
-        this.inferenceInterval = setInterval(async () => {
-            try {
-                const audioData = await this.audioRecorder.captureAudioSample(1000);
-                const prediction = await this.modelTrainer.predict(audioData);
+        try {
+            await this.detector.start(null, { hopMs });
+            this.log(`Real-time inference started (1s window, ${hopMs}ms hop)...`);
+        } catch (error) {
+            this.log(`Inference error: ${error.message}`, true);
+            this.stopInference();
+        }
+    }
 
-                if (prediction) {
-                    this.updatePrediction(prediction);
+    stopInference() {
+        this.isInferencing = false;
+        this.startInferenceBtn.disabled = false;
+        this.stopInferenceBtn.disabled = true;
+        this.hopMsInput.disabled = false;
 
-                    // 可视化频谱
-                    const features = this.featureExtractor.extractFeatures(audioData);
-                    if (features) {
-                        this.featureExtractor.drawSpectrogram(this.spectrogramCanvas, features);
+        this.detector.stop();
+
+        this.log('Inference stopped');
+    }
+
+    async predictFiles(files) {
+        if (!this.modelTrainer.model) {
+            alert('Please train or load a model first');
+            return;
+        }
+
+        const sampleRate = this.featureExtractor.sampleRate;
+        const hopMs = this.getHopMs();
+        if (hopMs === null) {
+            return;
+        }
+
+        for (const file of files) {
+            try {
+                this.log(`Analyzing ${file.name}...`);
+                const windows = await decodeAudioFileWindows(file, sampleRate, { windowMs: 1000, hopMs });
+
+                // 离线事件检测, 使用当前事件参数
+                const events = [];
+                const eventDetector = new BlowEventDetector(this.detector.getEventOptions());
+                eventDetector.on('blowstart', (event) => events.push(event));
+
+                const timeline = [];
+                for (const { audio, time } of windows) {
+                    const prediction = await this.modelTrainer.predict(audio, sampleRate);
+                    if (prediction) {
+                        // 以窗口结束时刻作为时间戳, 与实时检测一致
+                        const endTime = time + 1;
+                        timeline.push({ time: endTime, ...prediction });
+                        eventDetector.process(prediction, endTime * 1000);
                     }
                 }
+
+                this.drawTimeline(timeline);
+                if (timeline.length > 0) {
+                    this.updatePrediction(timeline[timeline.length - 1]);
+                }
+
+                this.log(`${file.name}: ${timeline.length} windows, ${events.length} event(s)`);
+                events.forEach(event => {
+                    this.appendEventLog(
+                        `${file.name}: ${event.label} @ ${(event.timestamp / 1000).toFixed(2)}s ` +
+                        `(confidence ${(event.confidence * 100).toFixed(1)}%)`
+                    );
+                });
             } catch (error) {
-                console.error('Inference error:', error);
+                this.log(`Failed to analyze ${file.name}: ${error.message}`, true);
             }
-        }, 500);
+        }
     }
 
-    stopInference() {
-        this.isInferencing = false;
-        this.startInferenceBtn.disabled = false;
-        this.stopInferenceBtn.disabled = true;
+    /**
+     * 绘制逐窗口预测概率时间线
+     */
+    drawTimeline(timeline) {
+        const canvas = this.timelineCanvas;
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
 
-        if (this.inferenceInterval) {
-            clearInterval(this.inferenceInterval);
-            this.inferenceInterval = null;
-        }
+        ctx.clearRect(0, 0, width, height);
+        if (timeline.length === 0) return;
 
-        this.log('Inference stopped');
+        const labels = this.modelTrainer.getLabels();
+        const padding = 40;
+        const chartWidth = width - 2 * padding;
+        const chartHeight = height - 2 * padding;
+
+        // 绘制坐标轴
+        ctx.strokeStyle = '#ddd';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(padding, padding);
+        ctx.lineTo(padding, height - padding);
+        ctx.lineTo(width - padding, height - padding);
+        ctx.stroke();
+
+        labels.forEach((label, i) => {
+            const color = LABEL_COLORS[i % LABEL_COLORS.length];
+            const data = timeline.map(point => point.probabilities[label]);
+            this.drawLine(ctx, data, color, padding, chartWidth, chartHeight, timeline.length);
+
+            ctx.font = '12px monospace';
+            ctx.fillStyle = color;
+            ctx.fillText(label, padding + 10, padding + 15 * (i + 1));
+        });
+
+        ctx.fillStyle = '#666';
+        ctx.fillText(`${timeline[0].time.toFixed(1)}s`, padding, height - padding + 15);
+        ctx.fillText(`${timeline[timeline.length - 1].time.toFixed(1)}s`, width - padding - 30, height - padding + 15);
     }
 
     updatePrediction(prediction) {
-        const { blow, not_blow, label } = prediction;
+        const { label, probabilities } = prediction;
 
         // 更新标签
-        this.predictionLabel.textContent = label === 'blow' ? '吹气声检测到!' : '非吹气声';
-        this.predictionLabel.className = `result-label ${label}`;
+        this.predictionLabel.textContent = label === 'blow' ? '吹气声检测到!' : getLabelName(label);
+        this.predictionLabel.className = `result-label ${label.replace(/_/g, '-')}`;
+        this.predictionLabel.classList.toggle('event-active', this.detector.isEventActive());
 
         // 更新置信度条
-        this.blowConfidence.style.width = `${blow * 100}%`;
-        this.notBlowConfidence.style.width = `${not_blow * 100}%`;
-        this.blowPercent.textContent = `${(blow * 100).toFixed(1)}%`;
-        this.notBlowPercent.textContent = `${(not_blow * 100).toFixed(1)}%`;
+        Object.entries(probabilities).forEach(([name, value]) => {
+            const els = this.confidenceEls[name];
+            if (els) {
+                els.fill.style.width = `${value * 100}%`;
+                els.percent.textContent = `${(value * 100).toFixed(1)}%`;
+            }
+        });
     }
 
     log(message, isError = false) {
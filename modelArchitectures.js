@@ -0,0 +1,232 @@
+/**
+ * 模型结构
+ *
+ * 所有结构的输入均为 [nFrames, nFeatures, 1], 输出为 softmax 分类概率,
+ * 因此特征提取、训练和推理流程与具体结构无关
+ *
+ * cnn:           三层 Conv2D (默认, 精度最高, 体积最大)
+ * ds-cnn:        深度可分离卷积 (关键词检测常用结构), 参数量小, 适合移动端
+ * temporal-conv: 沿时间轴的 1D 卷积, 每帧的全部特征作为通道
+ * stats-dense:   对各特征维度做时间上的均值/最大值池化后接全连接层, 体积最小
+ */
+
+import * as tf from '@tensorflow/tfjs';
+
+export const MODEL_ARCHITECTURES = ['cnn', 'ds-cnn', 'temporal-conv', 'stats-dense'];
+
+/**
+ * 创建未编译的模型
+ * inputShape: [nFrames, nFeatures, 1]
+ */
+export function buildModel(architecture, inputShape, numClasses) {
+    switch (architecture) {
+        case 'cnn':
+            return buildCnn(inputShape, numClasses);
+        case 'ds-cnn':
+            return buildDsCnn(inputShape, numClasses);
+        case 'temporal-conv':
+            return buildTemporalConv(inputShape, numClasses);
+        case 'stats-dense':
+            return buildStatsDense(inputShape, numClasses);
+        default:
+            throw new Error(
+                `Unknown model architecture "${architecture}", expected one of ${MODEL_ARCHITECTURES.join(', ')}`
+            );
+    }
+}
+
+function buildCnn(inputShape, numClasses) {
+    const model = tf.sequential();
+
+    // Input: [batch, nFrames, nFeatures, 1]
+    model.add(tf.layers.conv2d({
+        inputShape,
+        filters: 32,
+        kernelSize: [3, 3],
+        activation: 'relu',
+        padding: 'same'
+    }));
+
+    model.add(tf.layers.maxPooling2d({
+        poolSize: [2, 2]
+    }));
+
+    model.add(tf.layers.conv2d({
+        filters: 64,
+        kernelSize: [3, 3],
+        activation: 'relu',
+        padding: 'same'
+    }));
+
+    model.add(tf.layers.maxPooling2d({
+        poolSize: [2, 2]
+    }));
+
+    model.add(tf.layers.conv2d({
+        filters: 128,
+        kernelSize: [3, 3],
+        activation: 'relu',
+        padding: 'same'
+    }));
+
+    model.add(tf.layers.globalAveragePooling2d({}));
+
+    model.add(tf.layers.dropout({ rate: 0.5 }));
+
+    model.add(tf.layers.dense({
+        units: 64,
+        activation: 'relu'
+    }));
+
+    model.add(tf.layers.dropout({ rate: 0.3 }));
+
+    // 多分类输出
+    model.add(tf.layers.dense({
+        units: numClasses,
+        activation: 'softmax'
+    }));
+
+    return model;
+}
+
+/**
+ * DS-CNN (Hello Edge, Zhang et al. 2017) 的缩小版:
+ * 一层普通卷积 + 4 个 (depthwise 3x3 + pointwise 1x1) 块
+ */
+function buildDsCnn(inputShape, numClasses, filters = 32) {
+    const model = tf.sequential();
+
+    model.add(tf.layers.conv2d({
+        inputShape,
+        filters,
+        kernelSize: [5, 3],
+        strides: [2, 2],
+        padding: 'same',
+        useBias: false
+    }));
+    model.add(tf.layers.batchNormalization());
+    model.add(tf.layers.activation({ activation: 'relu' }));
+
+    for (let block = 0; block < 4; block++) {
+        model.add(tf.layers.depthwiseConv2d({
+            kernelSize: [3, 3],
+            padding: 'same',
+            useBias: false
+        }));
+        model.add(tf.layers.batchNormalization());
+        model.add(tf.layers.activation({ activation: 'relu' }));
+
+        model.add(tf.layers.conv2d({
+            filters,
+            kernelSize: [1, 1],
+            useBias: false
+        }));
+        model.add(tf.layers.batchNormalization());
+        model.add(tf.layers.activation({ activation: 'relu' }));
+    }
+
+    model.add(tf.layers.globalAveragePooling2d({}));
+    model.add(tf.layers.dropout({ rate: 0.3 }));
+
+    model.add(tf.layers.dense({
+        units: numClasses,
+        activation: 'softmax'
+    }));
+
+    return model;
+}
+
+/**
+ * 沿时间轴的 1D 卷积: [nFrames, nFeatures] 中每帧的特征作为通道
+ */
+function buildTemporalConv(inputShape, numClasses) {
+    const [nFrames, nFeatures] = inputShape;
+    const model = tf.sequential();
+
+    model.add(tf.layers.reshape({
+        inputShape,
+        targetShape: [nFrames, nFeatures]
+    }));
+
+    model.add(tf.layers.conv1d({
+        filters: 32,
+        kernelSize: 3,
+        activation: 'relu',
+        padding: 'same'
+    }));
+
+    model.add(tf.layers.maxPooling1d({
+        poolSize: 2,
+        padding: 'same'
+    }));
+
+    model.add(tf.layers.conv1d({
+        filters: 32,
+        kernelSize: 3,
+        activation: 'relu',
+        padding: 'same'
+    }));
+
+    model.add(tf.layers.globalAveragePooling1d({}));
+    model.add(tf.layers.dropout({ rate: 0.3 }));
+
+    model.add(tf.layers.dense({
+        units: numClasses,
+        activation: 'softmax'
+    }));
+
+    return model;
+}
+
+/**
+ * 统计特征 + 全连接: 每个特征维度在时间上的均值和最大值拼接后送入两层 Dense
+ * 只使用内置层, 模型可以照常保存和加载
+ */
+function buildStatsDense(inputShape, numClasses) {
+    const [nFrames, nFeatures] = inputShape;
+
+    const input = tf.input({ shape: inputShape });
+    const frames = tf.layers.reshape({ targetShape: [nFrames, nFeatures] }).apply(input);
+
+    const mean = tf.layers.globalAveragePooling1d({}).apply(frames);
+    const max = tf.layers.globalMaxPooling1d({}).apply(frames);
+    const stats = tf.layers.concatenate().apply([mean, max]);
+
+    const hidden = tf.layers.dense({
+        units: 32,
+        activation: 'relu'
+    }).apply(stats);
+    const dropped = tf.layers.dropout({ rate: 0.3 }).apply(hidden);
+
+    const output = tf.layers.dense({
+        units: numClasses,
+        activation: 'softmax'
+    }).apply(dropped);
+
+    return tf.model({ inputs: input, outputs: output });
+}
+
+/**
+ * 迁移学习的分类头: 输入为骨干网络嵌入 [1, embeddingDim, 1], 与其他结构保持相同的四维输入
+ */
+export function buildEmbeddingHead(embeddingDim, numClasses) {
+    const model = tf.sequential();
+
+    model.add(tf.layers.flatten({
+        inputShape: [1, embeddingDim, 1]
+    }));
+
+    model.add(tf.layers.dense({
+        units: 64,
+        activation: 'relu'
+    }));
+
+    model.add(tf.layers.dropout({ rate: 0.3 }));
+
+    model.add(tf.layers.dense({
+        units: numClasses,
+        activation: 'softmax'
+    }));
+
+    return model;
+}
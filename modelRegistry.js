@@ -0,0 +1,187 @@
+/**
+ * 模型库 - 命名、版本化保存模型及其元数据
+ *
+ * 模型权重保存在 IndexedDB (indexeddb://blow-registry/<name>@v<version>),
+ * 索引 (版本列表、元数据、活动模型) 保存在 localStorage
+ */
+
+import * as tf from '@tensorflow/tfjs';
+
+const INDEX_KEY = 'blow-classifier-registry';
+const URL_PREFIX = 'indexeddb://blow-registry/';
+
+export class ModelRegistry {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.index = this.readIndex();
+    }
+
+    readIndex() {
+        try {
+            const index = JSON.parse(this.storage.getItem(INDEX_KEY));
+            if (index && Array.isArray(index.models)) {
+                return index;
+            }
+        } catch (error) {
+            console.warn('Invalid model registry index, starting empty:', error);
+        }
+        return { models: [], activeId: null };
+    }
+
+    writeIndex() {
+        this.storage.setItem(INDEX_KEY, JSON.stringify(this.index));
+    }
+
+    /**
+     * 列出全部模型, 按名称和版本排序
+     */
+    list() {
+        return [...this.index.models].sort((a, b) =>
+            a.name === b.name ? b.version - a.version : a.name.localeCompare(b.name)
+        );
+    }
+
+    get(id) {
+        return this.index.models.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * 以新版本保存当前模型
+     * metadata: 任意可序列化的描述信息 (样本数、标签、特征配置、评估指标等)
+     */
+    async save(modelTrainer, name, metadata = {}) {
+        if (!/^[\w.-]+$/.test(name)) {
+            throw new Error('Model name may only contain letters, digits, ".", "_" and "-"');
+        }
+
+        const version = this.index.models
+            .filter(entry => entry.name === name)
+            .reduce((max, entry) => Math.max(max, entry.version), 0) + 1;
+
+        const id = `${name}@v${version}`;
+        const url = `${URL_PREFIX}${id}`;
+
+        await modelTrainer.saveModel(url);
+
+        const entry = {
+            id,
+            name,
+            version,
+            url,
+            createdAt: new Date().toISOString(),
+            metadata
+        };
+
+        this.index.models.push(entry);
+        this.writeIndex();
+        return entry;
+    }
+
+    /**
+     * 加载指定版本
+     */
+    async load(modelTrainer, id) {
+        const entry = this.get(id);
+        if (!entry) {
+            throw new Error(`Model ${id} not found in registry`);
+        }
+        return modelTrainer.loadModel(entry.url);
+    }
+
+    /**
+     * 删除指定版本
+     */
+    async remove(id) {
+        const entry = this.get(id);
+        if (!entry) return false;
+
+        try {
+            await tf.io.removeModel(entry.url);
+        } catch (error) {
+            // 权重可能已被浏览器清理, 仍然删除索引
+            console.warn(`Failed to remove stored weights for ${id}:`, error);
+        }
+
+        this.index.models = this.index.models.filter(model => model.id !== id);
+        if (this.index.activeId === id) {
+            this.index.activeId = null;
+        }
+        this.writeIndex();
+        return true;
+    }
+
+    /**
+     * 设置用于推理的活动模型
+     */
+    setActive(id) {
+        if (id !== null && !this.get(id)) {
+            throw new Error(`Model ${id} not found in registry`);
+        }
+        this.index.activeId = id;
+        this.writeIndex();
+    }
+
+    getActive() {
+        return this.index.activeId ? this.get(this.index.activeId) : null;
+    }
+
+    /**
+     * 对比多个版本的元数据
+     * 返回: [{ key, values: [...] }], 每行一个指标, 每列对应一个模型
+     */
+    compare(ids) {
+        const entries = ids.map(id => {
+            const entry = this.get(id);
+            if (!entry) {
+                throw new Error(`Model ${id} not found in registry`);
+            }
+            return entry;
+        });
+
+        const rows = [
+            ['createdAt', entry => entry.createdAt],
+            ['labels', entry => (entry.metadata.labels || []).join(', ')],
+            ['samples', entry => entry.metadata.sampleCounts && entry.metadata.sampleCounts.total],
+            ['accuracy', entry => entry.metadata.evaluation && entry.metadata.evaluation.accuracy],
+            ['macroF1', entry => entry.metadata.evaluation && entry.metadata.evaluation.macroF1],
+            ['auc', entry => entry.metadata.evaluation && entry.metadata.evaluation.auc],
+            ['threshold', entry => entry.metadata.evaluation && entry.metadata.evaluation.threshold],
+            ['falsePositiveRate', entry => entry.metadata.evaluation && entry.metadata.evaluation.falsePositiveRate],
+            ['architecture', entry => entry.metadata.architecture || 'cnn'],
+            ['params', entry => entry.metadata.params],
+            ['featureConfig', entry => JSON.stringify(entry.metadata.featureConfig || {})],
+            ['training', entry => JSON.stringify(entry.metadata.training || {})]
+        ];
+
+        return rows.map(([key, getter]) => ({
+            key,
+            values: entries.map(entry => {
+                const value = getter(entry);
+                return value === undefined ? null : value;
+            })
+        }));
+    }
+}
+
+/**
+ * 从评估报告中提取需要随模型保存的摘要 (不含曲线数据)
+ */
+export function summarizeEvaluation(evaluation) {
+    if (!evaluation) return null;
+
+    const positive = evaluation.curves[evaluation.positiveLabel];
+    const threshold = evaluation.recommendedThreshold;
+
+    return {
+        accuracy: evaluation.accuracy,
+        macroF1: evaluation.macroF1,
+        total: evaluation.total,
+        positiveLabel: evaluation.positiveLabel,
+        auc: positive ? positive.roc.auc : null,
+        averagePrecision: positive ? positive.pr.averagePrecision : null,
+        threshold: threshold ? threshold.threshold : null,
+        falsePositiveRate: threshold ? threshold.falsePositiveRate : null,
+        perClass: evaluation.perClass,
+        confusionMatrix: evaluation.confusionMatrix
+    };
+}
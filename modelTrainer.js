@@ -3,161 +3,496 @@
  */
 
 import * as tf from '@tensorflow/tfjs';
+import { FeatureExtractor } from './featureExtractor.js';
+import { resampleLinear } from './audioUtils.js';
+import { stratifiedSplit, buildEvaluationReport } from './evaluation.js';
+import { DEFAULT_AUGMENTATION_OPTIONS, augmentAudio, specAugment } from './augmentation.js';
+import { MODEL_ARCHITECTURES, buildModel, buildEmbeddingHead } from './modelArchitectures.js';
+import { EmbeddingBackbone } from './embeddingBackbone.js';
+
+export const DEFAULT_LABELS = ['blow', 'not_blow'];
+
+/**
+ * 只输出警告和错误的日志对象, 用于命令行等不需要逐样本、逐 epoch 日志的场合
+ */
+export const QUIET_LOGGER = {
+    log() {},
+    warn: (...args) => console.warn(...args),
+    error: (...args) => console.error(...args)
+};
 
 export class ModelTrainer {
-    constructor(featureExtractor) {
+    /**
+     * options.logger: 具有 log / warn / error 方法的日志对象, 默认 console
+     */
+    constructor(featureExtractor, labels = DEFAULT_LABELS, { logger = console } = {}) {
         this.featureExtractor = featureExtractor;
+        this.logger = logger;
         this.model = null;
-        this.trainingData = { blow: [], not_blow: [] };
+        this.architecture = 'cnn';
+        this.backbone = null; // 迁移学习时的冻结骨干网络 (EmbeddingBackbone)
+        this.labels = [];
+        this.trainingData = {};
         this.isTraining = false;
+        this.sampleStore = null;
+        this.lastEvaluation = null;
+        this.lastTrainingSummary = null;
+        this.loadError = null;
+        this.stopRequested = false;
+        this.pauseGate = null; // 暂停时为 { promise, resolve }
+
+        this.setLabels(labels);
+    }
+
+    /**
+     * 设置类别标签
+     * 保留仍在标签集中的样本; 标签集变化后模型输出维度不再匹配, 需要重新训练
+     */
+    setLabels(labels) {
+        const normalized = normalizeLabels(labels);
+        const changed = normalized.join(',') !== this.labels.join(',');
+        const trainingData = {};
+        normalized.forEach(label => {
+            trainingData[label] = this.trainingData[label] || [];
+        });
+
+        this.labels = normalized;
+        this.trainingData = trainingData;
+
+        if (changed && this.model) {
+            this.model.dispose();
+            this.model = null;
+        }
+    }
+
+    /**
+     * 获取类别标签
+     */
+    getLabels() {
+        return [...this.labels];
+    }
+
+    /**
+     * 绑定持久化存储, 新增/删除样本时同步写入
+     */
+    setSampleStore(sampleStore) {
+        this.sampleStore = sampleStore;
+    }
+
+    /**
+     * 从持久化存储恢复样本
+     * 返回恢复的样本数量
+     */
+    async restoreSamples() {
+        if (!this.sampleStore) {
+            return 0;
+        }
+
+        const stored = await this.sampleStore.getAllSamples();
+        let restored = 0;
+
+        stored.forEach(({ label, ...sample }) => {
+            const samples = this.trainingData[label];
+            if (samples && !samples.some(s => s.id === sample.id)) {
+                // 旧版样本保存了特征, 丢弃后按当前配置在使用时重新提取
+                delete sample.features;
+                delete sample.featureKey;
+                samples.push(sample);
+                restored++;
+            }
+        });
+
+        this.logger.log(`Restored ${restored} samples from storage`);
+        return restored;
     }
 
     /**
      * 添加训练样本
+     * 只保存原始音频; 特征在训练或评估时按需提取并缓存 (见 getSampleFeatures)
+     * options: { id, sampleRate, timestamp }
      */
-    addSample(audioData, label) {
-        const features = this.featureExtractor.extractFeatures(audioData);
-        if (features && features.length > 0) {
-            this.trainingData[label].push(features);
-            console.log(`Added ${label} sample. Total: ${this.trainingData[label].length}`);
+    addSample(audioData, label, options = {}) {
+        if (!this.trainingData[label]) {
+            throw new Error(`Unknown label: ${label}`);
+        }
+
+        const sampleRate = options.sampleRate || this.featureExtractor.sampleRate;
+        const resampledLength = Math.floor(audioData.length * this.featureExtractor.sampleRate / sampleRate);
+
+        // 至少要能分出一帧
+        if (resampledLength >= this.featureExtractor.fftSize) {
+            const sample = {
+                id: options.id || createSampleId(),
+                audio: Float32Array.from(audioData),
+                sampleRate,
+                timestamp: options.timestamp || Date.now()
+            };
+            this.trainingData[label].push(sample);
+            this.logger.log(`Added ${label} sample. Total: ${this.trainingData[label].length}`);
+
+            if (this.sampleStore) {
+                this.sampleStore.putSample(label, sample).catch(error => {
+                    this.logger.error('Failed to persist sample:', error);
+                });
+            }
             return true;
         }
         return false;
     }
 
+    /**
+     * 删除单个样本
+     */
+    async deleteSample(label, id) {
+        const samples = this.trainingData[label];
+        const index = samples ? samples.findIndex(sample => sample.id === id) : -1;
+
+        if (index < 0) {
+            return false;
+        }
+
+        samples.splice(index, 1);
+        if (this.sampleStore) {
+            await this.sampleStore.deleteSample(id);
+        }
+        return true;
+    }
+
+    /**
+     * 提取未归一化的特征, 输入音频先重采样到特征提取器的采样率
+     * 归一化在 toModelInput 中进行, 因此切换归一化方式不需要重新提取
+     * 使用骨干网络时返回只有一行的嵌入 [[...embedding]]
+     */
+    extractFeatures(audioData, sampleRate = this.featureExtractor.sampleRate) {
+        if (this.backbone) {
+            const embedding = this.backbone.embed(audioData, sampleRate, this.featureExtractor);
+            return embedding && [embedding];
+        }
+
+        const input = resampleLinear(audioData, sampleRate, this.featureExtractor.sampleRate);
+        return this.featureExtractor.extractRawFeatures(input);
+    }
+
+    /**
+     * 归一化并展平特征, 得到模型输入 (嵌入不做归一化)
+     */
+    toModelInput(features) {
+        if (this.backbone) {
+            return this.featureExtractor.featuresToTensor(features);
+        }
+
+        return this.featureExtractor.featuresToTensor(
+            this.featureExtractor.normalizeFeatures(features)
+        );
+    }
+
+    /**
+     * 模型输入形状 [nFrames, nFeatures]; 使用骨干网络时为 [1, embeddingDim]
+     */
+    getInputShape(featureExtractor = this.featureExtractor, backbone = this.backbone) {
+        return backbone ? [1, backbone.embeddingDim] : featureExtractor.getFeatureShape();
+    }
+
+    /**
+     * 样本特征缓存键
+     */
+    getFeatureKey() {
+        return this.backbone
+            ? this.backbone.getKey(this.featureExtractor)
+            : this.featureExtractor.getFeatureKey();
+    }
+
+    /**
+     * 设置特征归一化方式
+     */
+    setNormalization(mode) {
+        return this.configureFeatures({ normalization: mode });
+    }
+
+    /**
+     * 修改特征流水线配置 (特征类型、差分阶数、统计特征、Mel 带数、帧数、归一化方式等)
+     * 配置变化后模型输入不再匹配, 需要重新训练; 返回配置是否变化
+     */
+    configureFeatures(changes) {
+        const { normalizationStats, ...current } = this.featureExtractor.getConfig();
+        const next = FeatureExtractor.fromConfig({ ...current, ...changes });
+
+        if (next.matchesConfig(current) && next.normalization === current.normalization) {
+            return false;
+        }
+
+        this.setFeatureExtractor(next);
+
+        if (this.model) {
+            this.model.dispose();
+            this.model = null;
+        }
+        return true;
+    }
+
+    /**
+     * 设置模型结构 (见 modelArchitectures.js 中的 MODEL_ARCHITECTURES)
+     * 结构变化后需要重新训练; 返回结构是否变化
+     */
+    setArchitecture(architecture) {
+        if (!MODEL_ARCHITECTURES.includes(architecture)) {
+            throw new Error(
+                `Unknown model architecture "${architecture}", expected one of ${MODEL_ARCHITECTURES.join(', ')}`
+            );
+        }
+        if (architecture === this.architecture) {
+            return false;
+        }
+
+        this.architecture = architecture;
+        if (this.model) {
+            this.model.dispose();
+            this.model = null;
+        }
+        return true;
+    }
+
+    /**
+     * 设置迁移学习的骨干网络 (EmbeddingBackbone), null 表示从头训练
+     * ModelTrainer 接管骨干网络, 替换时释放旧的; 之后只训练骨干网络之上的分类头
+     */
+    setBackbone(backbone) {
+        if (backbone === this.backbone) {
+            return;
+        }
+
+        if (this.backbone) {
+            this.backbone.dispose();
+        }
+        this.backbone = backbone;
+
+        if (this.model) {
+            this.model.dispose();
+            this.model = null;
+        }
+    }
+
+    /**
+     * 替换特征提取器
+     * 配置不同时, 已缓存的样本特征会在下次使用时用原始音频重新提取
+     */
+    setFeatureExtractor(featureExtractor) {
+        this.featureExtractor = featureExtractor;
+    }
+
+    /**
+     * 获取样本的 (未归一化) 特征
+     * 首次使用或特征配置变化后从原始音频提取, 结果以 Float32Array 行缓存在样本上
+     */
+    getSampleFeatures(sample) {
+        const key = this.getFeatureKey();
+
+        if (!sample.features || sample.featureKey !== key) {
+            const features = this.extractFeatures(sample.audio, sample.sampleRate);
+            sample.features = features ? features.map(frame => Float32Array.from(frame)) : null;
+            sample.featureKey = key;
+        }
+        return sample.features;
+    }
+
+    /**
+     * 检查模型输入与特征提取器输出形状是否一致
+     */
+    checkInputShape(model = this.model, featureExtractor = this.featureExtractor, backbone = this.backbone) {
+        const [, frames, features] = model.inputs[0].shape;
+        const [nFrames, nFeatures] = this.getInputShape(featureExtractor, backbone);
+
+        if (frames !== nFrames || features !== nFeatures) {
+            throw new Error(
+                `Model expects ${frames}x${features} features but the ` +
+                `${backbone ? 'backbone' : 'feature extractor'} produces ` +
+                `${nFrames}x${nFeatures}; load the model together with its feature config`
+            );
+        }
+    }
+
+    /**
+     * 获取全部样本 (含原始音频)
+     */
+    getSamples() {
+        return this.trainingData;
+    }
+
+    /**
+     * 是否已有该 id 的样本 (任意类别)
+     */
+    hasSample(id) {
+        return Object.values(this.trainingData).some(samples => samples.some(sample => sample.id === id));
+    }
+
     /**
      * 获取样本数量
      */
     getSampleCounts() {
-        return {
-            blow: this.trainingData.blow.length,
-            not_blow: this.trainingData.not_blow.length,
-            total: this.trainingData.blow.length + this.trainingData.not_blow.length
-        };
+        const counts = { total: 0 };
+        this.labels.forEach(label => {
+            counts[label] = this.trainingData[label].length;
+            counts.total += counts[label];
+        });
+        return counts;
     }
 
     /**
      * 清空训练数据
      */
-    clearData() {
-        this.trainingData = { blow: [], not_blow: [] };
+    async clearData() {
+        this.trainingData = {};
+        this.labels.forEach(label => {
+            this.trainingData[label] = [];
+        });
+        if (this.sampleStore) {
+            await this.sampleStore.clear();
+        }
     }
 
     /**
-     * 创建 CNN 模型
+     * 创建模型, 结构由 this.architecture 决定 (见 modelArchitectures.js)
+     * 使用骨干网络时只创建分类头
      */
     createModel() {
-        const nFrames = this.featureExtractor.nFrames;
-        const nMels = this.featureExtractor.nMels;
-
-        const model = tf.sequential();
-
-        // Input: [batch, nFrames, nMels, 1]
-        model.add(tf.layers.conv2d({
-            inputShape: [nFrames, nMels, 1],
-            filters: 32,
-            kernelSize: [3, 3],
-            activation: 'relu',
-            padding: 'same'
-        }));
-
-        model.add(tf.layers.maxPooling2d({
-            poolSize: [2, 2]
-        }));
-
-        model.add(tf.layers.conv2d({
-            filters: 64,
-            kernelSize: [3, 3],
-            activation: 'relu',
-            padding: 'same'
-        }));
-
-        model.add(tf.layers.maxPooling2d({
-            poolSize: [2, 2]
-        }));
-
-        model.add(tf.layers.conv2d({
-            filters: 128,
-            kernelSize: [3, 3],
-            activation: 'relu',
-            padding: 'same'
-        }));
-
-        model.add(tf.layers.globalAveragePooling2d());
-
-        model.add(tf.layers.dropout({ rate: 0.5 }));
-
-        model.add(tf.layers.dense({
-            units: 64,
-            activation: 'relu'
-        }));
-
-        model.add(tf.layers.dropout({ rate: 0.3 }));
-
-        // 二分类输出
-        model.add(tf.layers.dense({
-            units: 2,
-            activation: 'softmax'
-        }));
+        const [nFrames, nFeatures] = this.getInputShape();
+
+        const model = this.backbone
+            ? buildEmbeddingHead(this.backbone.embeddingDim, this.labels.length)
+            : buildModel(this.architecture, [nFrames, nFeatures, 1], this.labels.length);
 
+        this.compileModel(model);
+
+        this.logger.log(`Model created (${this.backbone ? 'embedding head' : this.architecture}):`);
+        model.summary(undefined, undefined, (...args) => this.logger.log(...args));
+
+        this.model = model;
+        return model;
+    }
+
+    /**
+     * 编译模型 (优化器、损失和指标)
+     * tf.io 保存的模型不带优化器, 加载后需重新编译才能继续训练
+     */
+    compileModel(model) {
         model.compile({
             optimizer: tf.train.adam(0.001),
             loss: 'categoricalCrossentropy',
             metrics: ['accuracy']
         });
-
-        console.log('Model created:');
-        model.summary();
-
-        this.model = model;
-        return model;
     }
 
     /**
-     * 准备训练数据
+     * 创建 tf.data 数据集, 按批次惰性生成模型输入
+     * data: { [label]: [sample] }
+     * options.batchSize: 批次大小
+     * options.shuffle: 每次遍历 (每个 epoch) 重新打乱顺序
+     * options.augmentation: 数据增强参数 (见 augmentation.js), true 使用默认参数;
+     *   每个样本每个 epoch 额外生成 copies 个新的随机增强副本
      */
-    prepareTrainingData() {
-        const { blow, not_blow } = this.trainingData;
+    createDataset(data, { batchSize = 32, shuffle = true, augmentation = null } = {}) {
+        const missing = this.labels.filter(label => !data[label] || data[label].length === 0);
 
-        if (blow.length === 0 || not_blow.length === 0) {
-            throw new Error('Need both blow and not_blow samples');
+        if (missing.length > 0) {
+            throw new Error(`Need samples for every label, missing: ${missing.join(', ')}`);
         }
 
-        // 创建特征和标签数组
-        const features = [];
-        const labels = [];
+        const augmentOptions = augmentation
+            ? { ...DEFAULT_AUGMENTATION_OPTIONS, ...(augmentation === true ? {} : augmentation) }
+            : null;
+        if (augmentOptions) {
+            augmentOptions.noiseLabel = this.resolveNoiseLabel(augmentOptions.noiseLabel);
+        }
+        const copies = augmentOptions ? augmentOptions.copies : 0;
+        let noisePool = null;
 
-        // 吹气声 - 标签 [1, 0]
-        blow.forEach(spec => {
-            features.push(spec);
-            labels.push([1, 0]);
+        // 每个条目对应一个输出样本: copy 为 0 时是原始样本, 否则是增强副本
+        const entries = [];
+        this.labels.forEach((label, index) => {
+            const oneHot = this.labels.map((_, i) => (i === index ? 1 : 0));
+            data[label].forEach(sample => {
+                for (let copy = 0; copy <= copies; copy++) {
+                    entries.push({ sample, oneHot, copy });
+                }
+            });
         });
 
-        // 非吹气声 - 标签 [0, 1]
-        not_blow.forEach(spec => {
-            features.push(spec);
-            labels.push([0, 1]);
+        const [nFrames, nFeatures] = this.getInputShape();
+        const trainer = this;
+
+        const dataset = tf.data.generator(function* () {
+            const order = entries.map((_, i) => i);
+            if (shuffle) {
+                trainer.shuffleArray(order);
+            }
+
+            for (const i of order) {
+                const { sample, oneHot, copy } = entries[i];
+                let input;
+
+                if (copy === 0) {
+                    const features = trainer.getSampleFeatures(sample);
+                    input = features && trainer.toModelInput(features);
+                } else {
+                    noisePool = noisePool || trainer.buildNoisePool(data, augmentOptions.noiseLabel);
+                    input = trainer.augmentSample(sample, augmentOptions, noisePool);
+                }
+
+                if (input) {
+                    yield { xs: Float32Array.from(input), ys: oneHot };
+                }
+            }
         });
 
-        // 打乱数据
-        const indices = Array.from({ length: features.length }, (_, i) => i);
-        this.shuffleArray(indices);
+        return dataset
+            .batch(batchSize)
+            .map(({ xs, ys }) => ({ xs: xs.reshape([-1, nFrames, nFeatures, 1]), ys }));
+    }
+
+    /**
+     * 背景噪声类别: 未指定时为 not_blow, 标签集中没有 not_blow 时取最后一个标签
+     * 指定的类别不在标签集中时噪声池为空, 不会混入噪声, 因此给出警告
+     */
+    resolveNoiseLabel(noiseLabel) {
+        if (noiseLabel === null || noiseLabel === undefined) {
+            return this.labels.includes('not_blow') ? 'not_blow' : this.labels[this.labels.length - 1];
+        }
+        if (!this.labels.includes(noiseLabel)) {
+            this.logger.warn(`Noise label ${noiseLabel} is not in the label set, background noise will not be mixed in`);
+        }
+        return noiseLabel;
+    }
+
+    /**
+     * 背景噪声池: 指定类别样本的原始音频, 重采样到特征提取器的采样率
+     */
+    buildNoisePool(data, noiseLabel) {
+        const rate = this.featureExtractor.sampleRate;
+        return (data[noiseLabel] || []).map(sample => resampleLinear(sample.audio, sample.sampleRate, rate));
+    }
 
-        const shuffledFeatures = indices.map(i => features[i]);
-        const shuffledLabels = indices.map(i => labels[i]);
+    /**
+     * 生成一个样本的随机增强模型输入
+     * 在原始音频上增强后重新提取特征, 归一化后再做 SpecAugment
+     * 使用骨干网络时只做音频增强
+     */
+    augmentSample(sample, options, noisePool = []) {
+        const rate = this.featureExtractor.sampleRate;
+        const audio = resampleLinear(sample.audio, sample.sampleRate, rate);
+        const augmented = augmentAudio(audio, rate, options, noisePool);
 
-        // 转换为 Tensor
-        const nFrames = this.featureExtractor.nFrames;
-        const nMels = this.featureExtractor.nMels;
+        if (this.backbone) {
+            return this.backbone.embed(augmented, rate, this.featureExtractor);
+        }
 
-        const xs = tf.tensor4d(
-            shuffledFeatures,
-            [shuffledFeatures.length, nFrames, nMels, 1]
-        );
+        const features = this.featureExtractor.extractRawFeatures(augmented);
 
-        const ys = tf.tensor2d(shuffledLabels);
+        if (!features) {
+            return null;
+        }
 
-        return { xs, ys };
+        const normalized = this.featureExtractor.normalizeFeatures(features);
+        return this.featureExtractor.featuresToTensor(specAugment(normalized, options));
     }
 
     /**
@@ -172,51 +507,111 @@ export class ModelTrainer {
 
     /**
      * 训练模型
+     * options.testSplit: 分层保留的测试集比例, 训练结束后在测试集上评估 (0 表示不评估)
+     * options.positiveLabel: 评估时用于 ROC/PR 和阈值推荐的目标类别
+     * options.maxFalsePositiveRate: 推荐阈值时允许的最大误触发率
+     * options.validationSplit: 从训练集中分层划出的验证集比例 (用于 val_loss / val_acc)
+     * options.augmentation: 训练集数据增强参数 (见 createDataset)
+     * options.earlyStopping: { patience = 5, minDelta = 0, restoreBestWeights = true },
+     *   val_loss 连续 patience 个 epoch 没有改善时停止; 没有验证集时监控 loss
+     * options.reduceLROnPlateau: { patience = 3, factor = 0.5, minLearningRate = 1e-5 },
+     *   监控值连续 patience 个 epoch 没有改善时把学习率乘以 factor; 训练结束后恢复初始学习率
+     * 结束后 lastTrainingSummary 记录实际训练轮数、停止原因和最佳 epoch
      */
-    async train(epochs = 50, batchSize = 32, callbacks = {}) {
+    async train(epochs = 50, batchSize = 32, callbacks = {}, options = {}) {
         if (this.isTraining) {
             throw new Error('Training already in progress');
         }
 
+        const {
+            testSplit = 0.2,
+            validationSplit = 0.2,
+            positiveLabel,
+            maxFalsePositiveRate,
+            augmentation = null,
+            earlyStopping = null,
+            reduceLROnPlateau = null
+        } = options;
+
         this.isTraining = true;
+        this.lastEvaluation = null;
+        this.lastTrainingSummary = null;
+        this.stopRequested = false;
+        this.pauseGate = null;
+        let monitor = null;
 
         try {
-            // 准备数据
-            const { xs, ys } = this.prepareTrainingData();
+            // 分层划分测试集, 再从剩余样本中划分验证集
+            const { train: trainVal, test } = stratifiedSplit(this.trainingData, testSplit);
+            const { train, test: validation } = stratifiedSplit(trainVal, validationSplit);
+
+            // 数据集归一化: 只用训练集统计, 随模型一起保存; 继续训练已有模型时沿用原统计量
+            if (!this.backbone && this.featureExtractor.normalization === 'dataset'
+                && (!this.model || !this.featureExtractor.normalizationStats)) {
+                const trainFeatures = this.labels
+                    .flatMap(label => train[label].map(sample => this.getSampleFeatures(sample)))
+                    .filter(Boolean);
+                this.featureExtractor.setNormalizationStats(
+                    this.featureExtractor.computeNormalizationStats(trainFeatures)
+                );
+            }
 
-            console.log('Training data shape:', xs.shape);
-            console.log('Labels shape:', ys.shape);
+            // 准备数据 (按批次惰性提取特征)
+            const trainDataset = this.createDataset(train, { batchSize, augmentation });
+            const validationCount = countSamples(validation);
+            const validationDataset = validationCount > 0
+                ? this.createDataset(validation, { batchSize, shuffle: false })
+                : undefined;
 
-            // 创建模型
+            this.logger.log(
+                `Training on ${countSamples(train)} samples` +
+                `${augmentation ? ' (+ augmented copies)' : ''}, validating on ${validationCount}`
+            );
+
+            // 创建模型; 未编译的模型 (如直接赋值的 tf.loadLayersModel 结果) 先编译, 训练监控需要优化器
             if (!this.model) {
                 this.createModel();
+            } else if (!this.model.optimizer) {
+                this.compileModel(this.model);
             }
 
+            monitor = new TrainingMonitor(this.model, { earlyStopping, reduceLROnPlateau, logger: this.logger });
+
             // 训练
-            const history = await this.model.fit(xs, ys, {
+            const history = await this.model.fitDataset(trainDataset, {
                 epochs,
-                batchSize,
-                validationSplit: 0.2,
-                shuffle: true,
+                validationData: validationDataset,
                 callbacks: {
+                    onBatchEnd: async () => {
+                        if (this.pauseGate) {
+                            await this.pauseGate.promise;
+                        }
+                        // fitDataset 开始时会清除 stopTraining, 因此在批次结束时再次设置
+                        if (this.stopRequested) {
+                            this.model.stopTraining = true;
+                        }
+                    },
                     onEpochEnd: (epoch, logs) => {
-                        console.log(`Epoch ${epoch + 1}/${epochs}:`, logs);
+                        monitor.onEpochEnd(epoch, logs);
+                        this.logger.log(`Epoch ${epoch + 1}/${epochs}:`, logs);
                         if (callbacks.onEpochEnd) {
                             callbacks.onEpochEnd(epoch, logs);
                         }
                     },
                     onTrainEnd: () => {
-                        console.log('Training completed');
+                        this.lastTrainingSummary = monitor.finish(epochs, this.stopRequested);
+                        this.logger.log('Training completed', this.lastTrainingSummary);
                         if (callbacks.onTrainEnd) {
-                            callbacks.onTrainEnd();
+                            callbacks.onTrainEnd(this.lastTrainingSummary);
                         }
                     }
                 }
             });
 
-            // 清理内存
-            xs.dispose();
-            ys.dispose();
+            if (countSamples(test) > 0) {
+                this.lastEvaluation = await this.evaluate(test, { positiveLabel, maxFalsePositiveRate });
+                this.logger.log(`Test accuracy: ${(this.lastEvaluation.accuracy * 100).toFixed(2)}%`);
+            }
 
             this.isTraining = false;
             return history;
@@ -224,27 +619,129 @@ export class ModelTrainer {
         } catch (error) {
             this.isTraining = false;
             throw error;
+        } finally {
+            this.resumeTraining();
+            if (monitor) {
+                monitor.dispose();
+            }
+        }
+    }
+
+    /**
+     * 请求提前结束训练, 当前批次结束后停止; 已训练的模型保留并照常评估
+     */
+    stopTraining() {
+        if (!this.isTraining) {
+            return;
+        }
+        this.stopRequested = true;
+        this.resumeTraining();
+        if (this.model) {
+            this.model.stopTraining = true;
+        }
+    }
+
+    /**
+     * 暂停训练, 在当前批次结束后等待 resumeTraining
+     */
+    pauseTraining() {
+        if (this.isTraining && !this.pauseGate) {
+            let resolve;
+            const promise = new Promise(r => { resolve = r; });
+            this.pauseGate = { promise, resolve };
+        }
+    }
+
+    resumeTraining() {
+        if (this.pauseGate) {
+            this.pauseGate.resolve();
+            this.pauseGate = null;
         }
     }
 
+    isPaused() {
+        return Boolean(this.pauseGate);
+    }
+
+    /**
+     * 在给定样本上评估模型
+     * data: { [label]: [sample] }
+     * 返回: evaluation.js 的 buildEvaluationReport 结果
+     */
+    async evaluate(data, { positiveLabel, maxFalsePositiveRate } = {}) {
+        if (!this.model) {
+            throw new Error('Model not trained or loaded');
+        }
+
+        const actual = [];
+        const features = [];
+        this.labels.forEach(label => {
+            (data[label] || []).forEach(sample => {
+                const sampleFeatures = this.getSampleFeatures(sample);
+                if (sampleFeatures) {
+                    actual.push(label);
+                    features.push(sampleFeatures);
+                }
+            });
+        });
+
+        const probabilities = await this.predictBatch(features);
+        const target = positiveLabel || (this.labels.includes('blow') ? 'blow' : this.labels[0]);
+
+        return buildEvaluationReport(this.labels, actual, probabilities, {
+            positiveLabel: target,
+            maxFalsePositiveRate
+        });
+    }
+
+    /**
+     * 批量预测特征, 返回每个样本的概率数组
+     */
+    async predictBatch(featuresList, batchSize = 32) {
+        const [nFrames, nFeatures] = this.getInputShape();
+        const results = [];
+
+        for (let start = 0; start < featuresList.length; start += batchSize) {
+            const batch = featuresList.slice(start, start + batchSize);
+            const flat = [];
+            batch.forEach(spec => {
+                this.toModelInput(spec).forEach(val => flat.push(val));
+            });
+
+            const input = tf.tensor4d(flat, [batch.length, nFrames, nFeatures, 1]);
+            const prediction = this.model.predict(input);
+            const values = await prediction.array();
+
+            input.dispose();
+            prediction.dispose();
+            results.push(...values);
+        }
+
+        return results;
+    }
+
     /**
      * 预测
      */
-    async predict(audioData) {
+    async predict(audioData, sampleRate) {
         if (!this.model) {
             throw new Error('Model not trained or loaded');
         }
 
-        const features = this.featureExtractor.extractFeatures(audioData);
+        this.checkInputShape();
+
+        const features = this.extractFeatures(audioData, sampleRate);
         if (!features) {
             return null;
         }
 
-        const nFrames = this.featureExtractor.nFrames;
-        const nMels = this.featureExtractor.nMels;
+        const [nFrames, nFeatures] = this.getInputShape();
 
         // 转换为 Tensor
-        const input = tf.tensor4d([features], [1, nFrames, nMels, 1]);
+        const input = tf.tensor4d(
+            this.toModelInput(features),
+            [1, nFrames, nFeatures, 1]
+        );
 
         // 预测
         const prediction = this.model.predict(input);
@@ -254,52 +751,350 @@ export class ModelTrainer {
         input.dispose();
         prediction.dispose();
 
+        const result = {};
+        let best = 0;
+        this.labels.forEach((label, i) => {
+            result[label] = probabilities[i];
+            if (probabilities[i] > probabilities[best]) {
+                best = i;
+            }
+        });
+
         return {
-            blow: probabilities[0],
-            not_blow: probabilities[1],
-            label: probabilities[0] > probabilities[1] ? 'blow' : 'not_blow'
+            label: this.labels[best],
+            confidence: probabilities[best],
+            probabilities: result
         };
     }
 
     /**
      * 保存模型
+     * name 可以是完整的 tf.io URL (如 indexeddb://xxx) 或 IOHandler, 否则保存到 localstorage
      */
     async saveModel(name = 'blow-classifier') {
         if (!this.model) {
             throw new Error('No model to save');
         }
 
-        await this.model.save(`localstorage://${name}`);
-        console.log(`Model saved as ${name}`);
+        this.model.setUserDefinedMetadata({
+            labels: this.labels,
+            featureConfig: this.featureExtractor.getConfig(),
+            architecture: this.architecture,
+            backbone: this.backbone ? this.backbone.getConfig() : null
+        });
+        await this.model.save(resolveModelUrl(name));
+        this.logger.log(`Model saved as ${name}`);
+    }
+
+    /**
+     * 导出模型为下载文件 (<name>.json + <name>.weights.bin)
+     * 标签、特征提取配置和模型结构写在 model.json 的 userDefinedMetadata 中
+     */
+    async exportModel(name = 'blow-classifier') {
+        await this.saveModel(`downloads://${name}`);
+    }
+
+    /**
+     * 从用户选择的文件加载模型
+     * files: model.json 和一个或多个权重文件
+     */
+    async loadModelFromFiles(files) {
+        const fileList = [...files];
+        const jsonFile = fileList.find(file => file.name.endsWith('.json'));
+        const weightFiles = fileList.filter(file => file !== jsonFile);
+
+        if (!jsonFile || weightFiles.length === 0) {
+            throw new Error('Please select the model .json file together with its .bin weight file(s)');
+        }
+
+        return this.loadModel(tf.io.browserFiles([jsonFile, ...weightFiles]), { source: jsonFile.name });
     }
 
     /**
      * 加载模型
+     * name 可以是完整的 URL (http(s)://, indexeddb:// 等) 或 IOHandler, 否则从 localstorage 加载
+     * options.source: 日志中的来源说明, 默认为 URL; IOHandler 时建议提供
+     * 模型中保存的特征提取配置会替换当前特征提取器, 记录了骨干网络时一并加载; 失败时原因保存在 loadError
+     * 标签、输出维度和输入形状全部校验通过后才替换当前状态, 加载失败时标签、样本和原有模型保持不变
      */
-    async loadModel(name = 'blow-classifier') {
+    async loadModel(name = 'blow-classifier', { source = describeModelSource(name) } = {}) {
+        this.loadError = null;
+        let model = null;
+        let backbone = null;
+
         try {
-            this.model = await tf.loadLayersModel(`localstorage://${name}`);
-            console.log(`Model loaded from ${name}`);
-            this.model.summary();
+            model = await tf.loadLayersModel(resolveModelUrl(name));
+            const metadata = model.getUserDefinedMetadata() || {};
+
+            // 旧版模型未保存标签和特征配置, 视为二分类并沿用当前特征提取器;
+            // 配置中没有 frontend 的模型是用 Meyda 前端训练的
+            const labels = normalizeLabels(metadata.labels || DEFAULT_LABELS);
+            const featureExtractor = metadata.featureConfig
+                ? FeatureExtractor.fromConfig({ frontend: 'meyda', ...metadata.featureConfig })
+                : this.featureExtractor;
+
+            const outputUnits = model.outputs[0].shape[1];
+            if (outputUnits !== labels.length) {
+                throw new Error(
+                    `Model has ${outputUnits} outputs but ${labels.length} labels are configured`
+                );
+            }
+
+            // 迁移学习模型只保存分类头, 骨干网络按记录的地址加载 (配置相同时复用当前骨干网络)
+            if (metadata.backbone) {
+                backbone = this.backbone && this.backbone.matchesConfig(metadata.backbone)
+                    ? this.backbone
+                    : await EmbeddingBackbone.load(metadata.backbone);
+            }
+            this.checkInputShape(model, featureExtractor, backbone);
+
+            this.setLabels(labels);
+            this.setFeatureExtractor(featureExtractor);
+            this.setBackbone(backbone);
+
+            if (!model.optimizer) {
+                this.compileModel(model);
+            }
+            if (this.model) {
+                this.model.dispose();
+            }
+            this.model = model;
+            // 旧版模型未记录结构, 均为 CNN
+            this.architecture = metadata.architecture || 'cnn';
+            this.logger.log(`Model loaded from ${source}`, this.featureExtractor.getConfig());
+            this.model.summary(undefined, undefined, (...args) => this.logger.log(...args));
             return true;
         } catch (error) {
-            console.error('Failed to load model:', error);
+            if (model) {
+                model.dispose();
+            }
+            if (backbone && backbone !== this.backbone) {
+                backbone.dispose();
+            }
+            this.loadError = error;
+            this.logger.error('Failed to load model:', error);
             return false;
         }
     }
 
     /**
-     * 获取模型摘要
+     * 获取模型摘要: 结构、参数量、权重大小 (float32) 和单次推理耗时
+     * latencyRuns: 测量推理耗时的次数 (预热一次后取平均), 0 表示不测量
+     * 使用骨干网络时参数量只统计分类头, latencyMs 包含骨干网络耗时 (另见 backbone.latencyMs)
      */
-    getModelSummary() {
+    async getModelSummary({ latencyRuns = 20 } = {}) {
         if (!this.model) {
             return null;
         }
 
-        return {
+        const countWeights = weights => weights.reduce((sum, weight) => sum + weight.shape.reduce((a, b) => a * b, 1), 0);
+        const params = this.model.countParams();
+        const trainable = countWeights(this.model.trainableWeights);
+        const summary = {
+            architecture: this.backbone ? 'embedding-head' : this.architecture,
+            backbone: this.backbone
+                ? { url: this.backbone.config.url, embeddingDim: this.backbone.embeddingDim, latencyMs: null }
+                : null,
             layers: this.model.layers.length,
-            trainable: this.model.trainableParams,
-            nonTrainable: this.model.nonTrainableParams
+            params,
+            trainable,
+            nonTrainable: params - trainable,
+            sizeKB: params * 4 / 1024,
+            latencyMs: null
+        };
+
+        if (latencyRuns > 0) {
+            summary.latencyMs = await this.measureLatency(latencyRuns);
+            if (this.backbone) {
+                summary.backbone.latencyMs = await this.backbone.measureLatency(latencyRuns);
+                summary.latencyMs += summary.backbone.latencyMs;
+            }
+        }
+        return summary;
+    }
+
+    /**
+     * 测量单个样本的平均推理耗时 (毫秒), 不含特征提取
+     */
+    async measureLatency(runs = 20) {
+        const [, frames, features] = this.model.inputs[0].shape;
+        const input = tf.zeros([1, frames, features, 1]);
+
+        try {
+            // 预热: 首次调用包含 kernel 编译/上传等一次性开销
+            const warmup = this.model.predict(input);
+            await warmup.data();
+            warmup.dispose();
+
+            const started = performance.now();
+            for (let i = 0; i < runs; i++) {
+                const prediction = this.model.predict(input);
+                await prediction.data();
+                prediction.dispose();
+            }
+            return (performance.now() - started) / runs;
+        } finally {
+            input.dispose();
+        }
+    }
+}
+
+/**
+ * 校验并规范化标签集: 至少两个, 去除首尾空白后唯一且只含字母、数字、"_" 和 "-"
+ * 标签编辑器和启动时读取的已保存标签集都使用这一校验
+ */
+export function normalizeLabels(labels) {
+    if (!Array.isArray(labels)) {
+        throw new Error('Labels must be an array');
+    }
+    const normalized = labels.map(label => String(label).trim());
+
+    if (normalized.length < 2) {
+        throw new Error('At least two labels are required');
+    }
+    if (normalized.some(label => !/^[\w-]+$/.test(label))) {
+        throw new Error('Labels may only contain letters, digits, "_" and "-"');
+    }
+    if (new Set(normalized).size !== normalized.length) {
+        throw new Error('Labels must be unique');
+    }
+    return normalized;
+}
+
+// 日志中的模型来源: IOHandler 没有可读的名称
+function describeModelSource(name) {
+    return typeof name === 'string' ? resolveModelUrl(name) : 'a tf.io handler';
+}
+
+// 字符串按 URL 处理, 其他值视为 tf.io.IOHandler 直接传给 tfjs
+function resolveModelUrl(name) {
+    if (typeof name !== 'string') {
+        return name;
+    }
+    return name.includes('://') ? name : `localstorage://${name}`;
+}
+
+/**
+ * 训练过程监控: 早停、恢复最佳权重、学习率衰减
+ * 学习率衰减直接修改模型的优化器, 训练结束时恢复初始学习率, 以免下一次 train() 从衰减后的值开始
+ */
+class TrainingMonitor {
+    constructor(model, { earlyStopping, reduceLROnPlateau, logger }) {
+        this.model = model;
+        this.logger = logger;
+        this.initialLearningRate = model.optimizer.learningRate;
+        this.earlyStopping = earlyStopping
+            ? { patience: 5, minDelta: 0, restoreBestWeights: true, ...earlyStopping }
+            : null;
+        this.reduceLROnPlateau = reduceLROnPlateau
+            ? { patience: 3, factor: 0.5, minLearningRate: 1e-5, ...reduceLROnPlateau }
+            : null;
+
+        this.best = Infinity;
+        this.bestEpoch = -1;
+        this.bestWeights = null;
+        this.wait = 0;
+        this.plateauWait = 0;
+        this.epochsRun = 0;
+        this.earlyStopped = false;
+        this.monitorKey = null;
+    }
+
+    onEpochEnd(epoch, logs) {
+        this.epochsRun = epoch + 1;
+        this.monitorKey = logs.val_loss !== undefined ? 'val_loss' : 'loss';
+        const value = logs[this.monitorKey];
+        const minDelta = this.earlyStopping ? this.earlyStopping.minDelta : 0;
+
+        if (value < this.best - minDelta) {
+            this.best = value;
+            this.bestEpoch = epoch;
+            this.wait = 0;
+            this.plateauWait = 0;
+
+            if (this.earlyStopping && this.earlyStopping.restoreBestWeights) {
+                this.disposeBestWeights();
+                this.bestWeights = this.model.getWeights().map(weight => weight.clone());
+            }
+        } else {
+            this.wait++;
+            this.plateauWait++;
+        }
+
+        const optimizer = this.model.optimizer;
+        if (this.reduceLROnPlateau && this.plateauWait >= this.reduceLROnPlateau.patience) {
+            const { factor, minLearningRate } = this.reduceLROnPlateau;
+            const reduced = Math.max(optimizer.learningRate * factor, minLearningRate);
+            if (reduced < optimizer.learningRate) {
+                this.logger.log(`Reducing learning rate to ${reduced}`);
+                optimizer.learningRate = reduced;
+            }
+            this.plateauWait = 0;
+        }
+        logs.lr = optimizer.learningRate;
+
+        if (this.earlyStopping && this.wait >= this.earlyStopping.patience) {
+            this.earlyStopped = true;
+            this.model.stopTraining = true;
+        }
+    }
+
+    /**
+     * 训练结束: 按需恢复最佳权重, 返回训练摘要
+     */
+    finish(epochs, stopRequested) {
+        let restoredBestWeights = false;
+        if (this.bestWeights && this.bestEpoch < this.epochsRun - 1) {
+            this.model.setWeights(this.bestWeights);
+            restoredBestWeights = true;
+        }
+
+        let stopReason = 'completed';
+        if (stopRequested) {
+            stopReason = 'stopped';
+        } else if (this.earlyStopped && this.epochsRun < epochs) {
+            stopReason = 'early-stopping';
+        }
+
+        const learningRate = this.model.optimizer.learningRate;
+        this.restoreLearningRate();
+
+        return {
+            epochs,
+            epochsRun: this.epochsRun,
+            stopReason,
+            monitor: this.monitorKey,
+            bestEpoch: this.bestEpoch + 1,
+            bestValue: this.best,
+            restoredBestWeights,
+            learningRate
         };
     }
+
+    restoreLearningRate() {
+        this.model.optimizer.learningRate = this.initialLearningRate;
+    }
+
+    disposeBestWeights() {
+        if (this.bestWeights) {
+            this.bestWeights.forEach(weight => weight.dispose());
+            this.bestWeights = null;
+        }
+    }
+
+    dispose() {
+        this.restoreLearningRate();
+        this.disposeBestWeights();
+    }
+}
+
+function countSamples(data) {
+    return Object.values(data).reduce((sum, samples) => sum + samples.length, 0);
+}
+
+function createSampleId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
 }
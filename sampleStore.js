@@ -0,0 +1,92 @@
+/**
+ * 样本持久化模块 - 基于 IndexedDB 保存原始音频和特征
+ */
+
+const DB_VERSION = 1;
+const STORE_NAME = 'samples';
+
+export class SampleStore {
+    constructor(dbName = 'blow-classifier-samples') {
+        this.dbName = dbName;
+        this.db = null;
+    }
+
+    /**
+     * 打开数据库
+     */
+    async open() {
+        if (this.db) {
+            return this.db;
+        }
+
+        if (typeof indexedDB === 'undefined') {
+            throw new Error('IndexedDB is not supported in this environment');
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('label', 'label', { unique: false });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.db;
+    }
+
+    /**
+     * 保存样本
+     * sample: { id, audio, sampleRate, timestamp, features }
+     */
+    async putSample(label, sample) {
+        await this.transaction('readwrite', store => store.put({ ...sample, label }));
+    }
+
+    /**
+     * 删除单个样本
+     */
+    async deleteSample(id) {
+        await this.transaction('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * 读取全部样本, 按时间排序
+     */
+    async getAllSamples() {
+        const samples = await this.transaction('readonly', store => store.getAll());
+        return samples.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * 清空全部样本
+     */
+    async clear() {
+        await this.transaction('readwrite', store => store.clear());
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    async transaction(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, mode);
+            const request = operation(tx.objectStore(STORE_NAME));
+
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+}
@@ -0,0 +1,63 @@
+/**
+ * 滑动窗口环形缓冲区 - 连续音频流切分为重叠窗口
+ */
+
+export class SlidingWindowBuffer {
+    constructor(windowSize, hopSize) {
+        if (!(hopSize > 0) || hopSize > windowSize) {
+            throw new Error(`Hop size must be in (0, ${windowSize}], got ${hopSize}`);
+        }
+
+        this.windowSize = windowSize;
+        this.hopSize = hopSize;
+        this.ring = new Float32Array(windowSize);
+        this.reset();
+    }
+
+    reset() {
+        this.ring.fill(0);
+        this.writeIndex = 0;
+        this.totalSamples = 0;
+        this.nextEmitAt = this.windowSize;
+    }
+
+    /**
+     * 写入音频块, 返回本次凑满的窗口
+     * 返回: [{ audio: Float32Array, endSample }]
+     */
+    push(chunk) {
+        const windows = [];
+        let read = 0;
+
+        while (read < chunk.length) {
+            const count = Math.min(
+                chunk.length - read,
+                this.nextEmitAt - this.totalSamples,
+                this.windowSize - this.writeIndex
+            );
+
+            this.ring.set(chunk.subarray(read, read + count), this.writeIndex);
+            this.writeIndex = (this.writeIndex + count) % this.windowSize;
+            this.totalSamples += count;
+            read += count;
+
+            if (this.totalSamples === this.nextEmitAt) {
+                windows.push({ audio: this.readWindow(), endSample: this.totalSamples });
+                this.nextEmitAt += this.hopSize;
+            }
+        }
+
+        return windows;
+    }
+
+    /**
+     * 按时间顺序复制出最近 windowSize 个样本
+     */
+    readWindow() {
+        const window = new Float32Array(this.windowSize);
+        const tail = this.ring.subarray(this.writeIndex);
+        window.set(tail);
+        window.set(this.ring.subarray(0, this.writeIndex), tail.length);
+        return window;
+    }
+}
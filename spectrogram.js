@@ -0,0 +1,235 @@
+/**
+ * 短时傅里叶变换与 Mel 频谱 - 不依赖第三方库, 默认行为与 librosa 一致:
+ *   stft: 周期 Hann 窗, center=True 两端补零 nFft/2
+ *   melFilterBank: Slaney Mel 刻度 + Slaney 面积归一化 (librosa.filters.mel 默认)
+ *   powerToDb: librosa.power_to_db (ref=1, amin=1e-10, top_db=80)
+ *   mfcc: 对 dB Mel 频谱做正交 DCT-II (librosa.feature.mfcc 默认)
+ * 频谱按帧返回: [nFrames][nBins]
+ */
+
+/**
+ * 周期 Hann 窗 (scipy.signal.get_window('hann', size, fftbins=True))
+ */
+export function hannWindow(size) {
+    const window = new Float64Array(size);
+    for (let n = 0; n < size; n++) {
+        window[n] = 0.5 - 0.5 * Math.cos(2 * Math.PI * n / size);
+    }
+    return window;
+}
+
+export function isPowerOfTwo(n) {
+    return Number.isInteger(n) && n > 0 && (n & (n - 1)) === 0;
+}
+
+/**
+ * 原地基 2 FFT
+ * real, imag: 长度为 2 的幂的 Float64Array
+ */
+export function fft(real, imag) {
+    const n = real.length;
+    if (!isPowerOfTwo(n)) {
+        throw new Error(`FFT size must be a power of two, got ${n}`);
+    }
+
+    // 位反转重排
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            [real[i], real[j]] = [real[j], real[i]];
+            [imag[i], imag[j]] = [imag[j], imag[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const half = size >> 1;
+        const step = -2 * Math.PI / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < half; k++) {
+                const cos = Math.cos(step * k);
+                const sin = Math.sin(step * k);
+                const a = start + k;
+                const b = a + half;
+                const tr = real[b] * cos - imag[b] * sin;
+                const ti = real[b] * sin + imag[b] * cos;
+                real[b] = real[a] - tr;
+                imag[b] = imag[a] - ti;
+                real[a] += tr;
+                imag[a] += ti;
+            }
+        }
+    }
+}
+
+/**
+ * 分帧 (不加窗)
+ * center 为 true 时两端各补 nFft/2 个零, 帧数为 1 + floor(length / hopLength)
+ * 否则只取完整的帧, 音频短于 nFft 时返回空数组
+ */
+export function frameSignal(audioData, nFft, hopLength, center = true) {
+    let signal = audioData;
+    if (center) {
+        const pad = Math.floor(nFft / 2);
+        signal = new Float64Array(audioData.length + 2 * pad);
+        signal.set(audioData, pad);
+    }
+
+    const frames = [];
+    for (let start = 0; start + nFft <= signal.length; start += hopLength) {
+        frames.push(signal.subarray(start, start + nFft));
+    }
+    return frames;
+}
+
+/**
+ * 短时傅里叶变换, 返回每帧的幅度谱 (power = 1) 或功率谱 (power = 2)
+ * 返回: [nFrames][nFft / 2 + 1]
+ */
+export function stft(audioData, { nFft = 2048, hopLength = 512, center = true, power = 2 } = {}) {
+    const window = hannWindow(nFft);
+    const nBins = nFft / 2 + 1;
+    const real = new Float64Array(nFft);
+    const imag = new Float64Array(nFft);
+
+    return frameSignal(audioData, nFft, hopLength, center).map(frame => {
+        for (let i = 0; i < nFft; i++) {
+            real[i] = frame[i] * window[i];
+            imag[i] = 0;
+        }
+        fft(real, imag);
+
+        const spectrum = new Float64Array(nBins);
+        for (let k = 0; k < nBins; k++) {
+            const magnitude = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]);
+            spectrum[k] = power === 1 ? magnitude : Math.pow(magnitude, power);
+        }
+        return spectrum;
+    });
+}
+
+// Slaney Mel 刻度: 1 kHz 以下线性, 以上对数
+const MEL_F_SP = 200 / 3;
+const MEL_MIN_LOG_HZ = 1000;
+const MEL_MIN_LOG_MEL = MEL_MIN_LOG_HZ / MEL_F_SP;
+const MEL_LOG_STEP = Math.log(6.4) / 27;
+
+export function hzToMel(hz) {
+    return hz >= MEL_MIN_LOG_HZ
+        ? MEL_MIN_LOG_MEL + Math.log(hz / MEL_MIN_LOG_HZ) / MEL_LOG_STEP
+        : hz / MEL_F_SP;
+}
+
+export function melToHz(mel) {
+    return mel >= MEL_MIN_LOG_MEL
+        ? MEL_MIN_LOG_HZ * Math.exp(MEL_LOG_STEP * (mel - MEL_MIN_LOG_MEL))
+        : MEL_F_SP * mel;
+}
+
+/**
+ * Mel 三角滤波器组 (librosa.filters.mel, htk=False, norm='slaney')
+ * fmax 为空时取 sampleRate / 2
+ * 返回: [nMels][nFft / 2 + 1]
+ */
+export function melFilterBank({ sampleRate, nFft, nMels, fmin = 0, fmax = null }) {
+    const top = fmax === null || fmax === undefined ? sampleRate / 2 : fmax;
+    const nBins = nFft / 2 + 1;
+
+    const minMel = hzToMel(fmin);
+    const maxMel = hzToMel(top);
+    const melFreqs = [];
+    for (let i = 0; i < nMels + 2; i++) {
+        melFreqs.push(melToHz(minMel + (maxMel - minMel) * i / (nMels + 1)));
+    }
+
+    const fftFreqs = new Float64Array(nBins);
+    for (let k = 0; k < nBins; k++) {
+        fftFreqs[k] = k * sampleRate / nFft;
+    }
+
+    const filters = [];
+    for (let m = 0; m < nMels; m++) {
+        const lowerWidth = melFreqs[m + 1] - melFreqs[m];
+        const upperWidth = melFreqs[m + 2] - melFreqs[m + 1];
+        const enorm = 2 / (melFreqs[m + 2] - melFreqs[m]);
+        const weights = new Float64Array(nBins);
+
+        for (let k = 0; k < nBins; k++) {
+            const lower = (fftFreqs[k] - melFreqs[m]) / lowerWidth;
+            const upper = (melFreqs[m + 2] - fftFreqs[k]) / upperWidth;
+            weights[k] = Math.max(0, Math.min(lower, upper)) * enorm;
+        }
+        filters.push(weights);
+    }
+    return filters;
+}
+
+// 最近一次使用的滤波器组, 同一配置下逐样本提取时不必重建
+let cachedFilterBank = { key: null, filters: null };
+
+/**
+ * Mel 频谱 (librosa.feature.melspectrogram)
+ * 返回: [nFrames][nMels]
+ */
+export function melSpectrogram(audioData, {
+    sampleRate, nFft = 2048, hopLength = 512, nMels = 128, fmin = 0, fmax = null, power = 2, center = true
+}) {
+    const key = [sampleRate, nFft, nMels, fmin, fmax].join('/');
+    if (cachedFilterBank.key !== key) {
+        cachedFilterBank = { key, filters: melFilterBank({ sampleRate, nFft, nMels, fmin, fmax }) };
+    }
+    const { filters } = cachedFilterBank;
+
+    return stft(audioData, { nFft, hopLength, center, power }).map(spectrum =>
+        filters.map(weights => {
+            let sum = 0;
+            for (let k = 0; k < spectrum.length; k++) {
+                sum += weights[k] * spectrum[k];
+            }
+            return sum;
+        })
+    );
+}
+
+/**
+ * 功率转分贝 (librosa.power_to_db)
+ * topDb 为空时不截断; 否则低于整段最大值 topDb 的值截断到该下限
+ */
+export function powerToDb(frames, { ref = 1, amin = 1e-10, topDb = 80 } = {}) {
+    const offset = 10 * Math.log10(Math.max(amin, ref));
+    let result = frames.map(frame => Array.from(frame, val => 10 * Math.log10(Math.max(amin, val)) - offset));
+
+    if (topDb !== null && topDb !== undefined) {
+        const floor = Math.max(...result.map(frame => Math.max(...frame))) - topDb;
+        result = result.map(frame => frame.map(val => Math.max(val, floor)));
+    }
+    return result;
+}
+
+/**
+ * 正交 DCT-II (scipy.fftpack.dct(type=2, norm='ortho')), 取前 nCoeffs 个系数
+ */
+export function dct(values, nCoeffs = values.length) {
+    const n = values.length;
+    const result = new Array(nCoeffs);
+
+    for (let k = 0; k < nCoeffs; k++) {
+        let sum = 0;
+        for (let i = 0; i < n; i++) {
+            sum += values[i] * Math.cos(Math.PI * k * (2 * i + 1) / (2 * n));
+        }
+        result[k] = sum * Math.sqrt((k === 0 ? 1 : 2) / n);
+    }
+    return result;
+}
+
+/**
+ * MFCC: 逐帧对 dB Mel 频谱做 DCT (librosa.feature.mfcc)
+ * 返回: [nFrames][nMfcc]
+ */
+export function mfccFromDb(dbFrames, nMfcc = 13) {
+    return dbFrames.map(frame => dct(frame, nMfcc));
+}
@@ -0,0 +1,202 @@
+/**
+ * ActivityGate 测试: 自适应噪声底、RMS/ZCR 阈值、保持时间, 以及 BlowDetector 在门限关闭时跳过推理
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ActivityGate } from '../activityGate.js';
+import { AudioRecorder } from '../audioRecorder.js';
+import { BlowDetector } from '../blowDetector.js';
+import { GeneratorSource } from '../audioSources.js';
+import { FakeAudioContext } from './helpers/fakeAudio.js';
+import { tone, whiteNoise } from './helpers/signals.js';
+
+const SAMPLE_RATE = 16000;
+const CHUNK = SAMPLE_RATE / 4;
+
+before(() => {
+    mock.method(console, 'log', () => {});
+});
+
+after(() => {
+    mock.restoreAll();
+});
+
+function concat(...parts) {
+    const result = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+function mix(a, b) {
+    return a.map((value, i) => value + b[i]);
+}
+
+function noise(seconds, amplitude = 0.005, seed = 1) {
+    return whiteNoise({ amplitude, sampleRate: SAMPLE_RATE, length: seconds * SAMPLE_RATE, seed });
+}
+
+// 按不重叠的 250 ms 段送入门限, 返回每段的结果
+function processChunks(gate, audio) {
+    const results = [];
+    for (let start = 0; start + CHUNK <= audio.length; start += CHUNK) {
+        results.push(gate.process(audio.subarray(start, start + CHUNK), SAMPLE_RATE));
+    }
+    return results;
+}
+
+test('a disabled gate stays open but still measures the input', () => {
+    const gate = new ActivityGate();
+    const [result] = processChunks(gate, noise(0.25));
+
+    assert.equal(result.open, true);
+    assert.equal(result.active, false);
+    assert.ok(result.rms > 0.002 && result.rms < 0.004, `rms ${result.rms}`);
+    assert.ok(result.zcr > 0.4, `zcr ${result.zcr}`);
+    assert.deepEqual(gate.getStats(), { windows: 1, skipped: 0, skippedRatio: 0 });
+});
+
+test('the gate opens on sound and closes after the hangover', () => {
+    const gate = new ActivityGate({ enabled: true, hangoverMs: 1000 });
+    const burst = mix(noise(0.5, 0.005, 2), tone({ frequency: 1000, amplitude: 0.2, sampleRate: SAMPLE_RATE, length: SAMPLE_RATE / 2 }));
+    const results = processChunks(gate, concat(noise(2), burst, noise(2, 0.005, 3)));
+
+    // 0 - 2 s 背景噪声, 2 - 2.5 s 正弦, 之后保持 1 s
+    assert.deepEqual(results.map(result => result.active), [
+        false, false, false, false, false, false, false, false,
+        true, true,
+        false, false, false, false, false, false, false, false
+    ]);
+    assert.deepEqual(results.map(result => result.open), [
+        false, false, false, false, false, false, false, false,
+        true, true,
+        true, true, true, true, false, false, false, false
+    ]);
+    assert.ok(results[8].snrDb > 30, `snr ${results[8].snrDb}`);
+    assert.deepEqual(gate.getStats(), { windows: 18, skipped: 12, skippedRatio: 12 / 18 });
+});
+
+test('the noise floor adapts to a louder steady background', () => {
+    const gate = new ActivityGate({ enabled: true, hangoverMs: 0 });
+    // 背景噪声突然增大 18 dB 并保持 8 秒
+    const results = processChunks(gate, concat(noise(1), noise(8, 0.04, 4)));
+    const floors = results.map(result => result.noiseFloor);
+
+    assert.equal(results[4].open, true, 'the louder background first opens the gate');
+    assert.ok(results.slice(-8).every(result => !result.open), 'the floor catches up within a few seconds');
+    assert.ok(floors[floors.length - 1] > floors[3] * 6, `floor ${floors[3]} -> ${floors[floors.length - 1]}`);
+});
+
+test('noise-like frames need a smaller margin than tonal frames', () => {
+    // 高出噪声底约 9 dB: 超过 zcrThresholdDb (6), 低于 thresholdDb (12)
+    const breath = noise(0.25, 0.014, 5);
+    const hum = tone({ frequency: 100, amplitude: 0.014 * Math.sqrt(2 / 3), sampleRate: SAMPLE_RATE, length: CHUNK });
+
+    const check = (signal) => {
+        const gate = new ActivityGate({ enabled: true });
+        return processChunks(gate, concat(noise(1), signal)).pop();
+    };
+
+    const breathResult = check(breath);
+    const humResult = check(hum);
+    assert.ok(Math.abs(breathResult.rms - humResult.rms) < 0.001);
+    assert.equal(breathResult.active, true);
+    assert.equal(humResult.active, false);
+    assert.ok(humResult.zcr < 0.02);
+});
+
+test('overlapping windows only analyse their new samples', () => {
+    const gate = new ActivityGate({ enabled: true, hangoverMs: 0 });
+    const click = mix(noise(0.1, 0.005, 6), tone({ amplitude: 0.3, sampleRate: SAMPLE_RATE, length: SAMPLE_RATE / 10 }));
+    const audio = concat(noise(0.9), click, noise(1, 0.005, 7));
+
+    // 1 秒窗口, 250 ms 步长; time 为窗口结束时刻
+    const results = [];
+    for (let end = SAMPLE_RATE; end <= audio.length; end += CHUNK) {
+        results.push(gate.process(audio.subarray(end - SAMPLE_RATE, end), SAMPLE_RATE, end / SAMPLE_RATE));
+    }
+
+    // 后面的窗口仍包含 0.9 - 1.0 s 的声音, 但它已在第一个窗口中分析过
+    assert.deepEqual(results.map(result => result.open), [true, false, false, false, false]);
+    assert.ok(results[1].rms < 0.004, 'rms is measured on the new samples');
+});
+
+test('configure validates the options', () => {
+    const gate = new ActivityGate();
+    assert.throws(() => gate.configure({ frameMs: 0 }), /frame length/);
+    assert.throws(() => gate.configure({ thresholdDb: -3 }), /non-negative/);
+    assert.throws(() => gate.configure({ hangoverMs: -1 }), /Durations/);
+    assert.equal(gate.options.frameMs, 20);
+});
+
+test('configure rejects NaN from empty or invalid inputs', () => {
+    const gate = new ActivityGate({ enabled: true });
+    ['thresholdDb', 'zcrThreshold', 'zcrThresholdDb', 'floorRiseDbPerSecond', 'minActiveMs', 'hangoverMs']
+        .forEach(name => {
+            assert.throws(() => gate.configure({ [name]: NaN }), new RegExp(`${name} must be a finite number`));
+        });
+    assert.throws(() => gate.configure({ frameMs: NaN }), /frame length/);
+    assert.throws(() => gate.configure({ minRms: NaN }), /minRms/);
+    assert.throws(() => new ActivityGate({ hangoverMs: parseInt('') }), /hangoverMs/);
+    assert.equal(gate.options.hangoverMs, 1000);
+});
+
+test('BlowDetector skips inference while the gate is closed', async () => {
+    // 0.5 - 1.0 s 和 2.5 - 2.75 s 有声音, 其余为背景噪声
+    const background = noise(4, 0.005, 8);
+    const signal = background.map((value, i) => {
+        const t = i / SAMPLE_RATE;
+        const loud = (t >= 0.5 && t < 1) || (t >= 2.5 && t < 2.75);
+        return loud ? value + 0.3 * Math.sin(2 * Math.PI * 800 * t) : value;
+    });
+
+    const recorder = new AudioRecorder({ createAudioContext: () => new FakeAudioContext({ sampleRate: SAMPLE_RATE }) });
+    await recorder.init(new GeneratorSource((output, { startFrame }) => {
+        for (let i = 0; i < output.length; i++) {
+            output[i] = signal[(startFrame + i) % signal.length];
+        }
+    }, { bufferSize: 512 }));
+
+    const detector = new BlowDetector({ hopMs: 250, gate: { enabled: true } });
+    detector.audioRecorder = recorder;
+    detector.modelTrainer.model = {};
+    const predicted = [];
+    detector.modelTrainer.predict = async (audioData) => {
+        predicted.push(audioData);
+        return { label: 'blow', confidence: 0.9, probabilities: { blow: 0.9, not_blow: 0.1 } };
+    };
+
+    const gateStates = [];
+    const events = [];
+    detector.on('blowstart', () => events.push('start'));
+    detector.on('blowend', () => events.push('end'));
+
+    try {
+        await new Promise(resolve => {
+            detector.on('gate', (state) => {
+                gateStates.push(state);
+                if (state.time >= 4.5) {
+                    resolve();
+                }
+            });
+            detector.start();
+        });
+    } finally {
+        detector.dispose();
+    }
+
+    const open = gateStates.filter(state => state.open).length;
+    assert.equal(predicted.length, open);
+    assert.ok(open > 0 && open < gateStates.length, `${open} of ${gateStates.length} windows open`);
+    assert.equal(gateStates.find(state => state.time >= 2.75 && state.time < 3).open, true);
+    assert.equal(gateStates[gateStates.length - 1].open, false);
+    assert.equal(detector.getGateStats().windows, gateStates.length);
+
+    // 每段声音一个事件, 门限关闭后事件结束
+    assert.deepEqual(events, ['start', 'end', 'start', 'end']);
+    assert.equal(detector.isEventActive(), false);
+});
@@ -0,0 +1,251 @@
+/**
+ * AudioRecorder 在假 Web Audio 环境中的测试, 麦克风输入为 test/fixtures 中的 WAV 回放
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { AudioRecorder } from '../audioRecorder.js';
+import { MicrophoneSource } from '../audioSources.js';
+import { decodeWav } from '../wavCodec.js';
+import { FakeAudioContext, FakeMediaStream, createFakeMicrophone } from './helpers/fakeAudio.js';
+
+const toneWav = fs.readFileSync(new URL('./fixtures/tone-1khz.wav', import.meta.url));
+const noiseWav = fs.readFileSync(new URL('./fixtures/noise.wav', import.meta.url));
+
+before(() => {
+    mock.method(console, 'log', () => {});
+});
+
+after(() => {
+    mock.restoreAll();
+});
+
+async function createRecorder(wavBytes, { sampleRate = 16000, loop = true } = {}) {
+    const microphone = createFakeMicrophone(wavBytes, { loop });
+    const recorder = new AudioRecorder({
+        createAudioContext: () => new FakeAudioContext({ sampleRate }),
+        getUserMedia: microphone.getUserMedia
+    });
+    await recorder.init();
+    return { recorder, microphone };
+}
+
+// 采集开始前麦克风已经在播放, 找到采集内容在 WAV 中的起点
+function findOffset(audio, reference) {
+    for (let offset = 0; offset < reference.length; offset++) {
+        if (audio.subarray(0, 16).every((value, i) => value === reference[(offset + i) % reference.length])) {
+            return offset;
+        }
+    }
+    return -1;
+}
+
+test('init requests an unprocessed microphone stream', async () => {
+    const { recorder, microphone } = await createRecorder(toneWav, { sampleRate: 22050 });
+    try {
+        assert.equal(microphone.requests.length, 1);
+        const { audio } = microphone.requests[0];
+        assert.equal(audio.echoCancellation, false);
+        assert.equal(audio.noiseSuppression, false);
+        assert.equal(audio.autoGainControl, false);
+        assert.equal(recorder.getSampleRate(), 22050);
+    } finally {
+        recorder.stop();
+    }
+});
+
+test('captureAudioSample records the replayed microphone input', async () => {
+    const { recorder } = await createRecorder(noiseWav);
+    const { audioData } = decodeWav(noiseWav);
+    try {
+        const captured = await recorder.captureAudioSample(500);
+        assert.equal(captured.length, 8000);
+
+        const offset = findOffset(captured, audioData);
+        assert.ok(offset >= 0, 'captured audio should be a slice of the WAV file');
+        assert.ok(captured.every((value, i) => value === audioData[(offset + i) % audioData.length]));
+    } finally {
+        recorder.stop();
+    }
+});
+
+test('captured audio is resampled to the context rate', async () => {
+    const { recorder } = await createRecorder(toneWav, { sampleRate: 32000 });
+    try {
+        const captured = await recorder.captureAudioSample(250);
+        assert.equal(captured.length, 8000);
+        // 1 kHz 正弦每周期两次过零
+        const zcr = recorder.calculateZeroCrossingRate(captured);
+        assert.ok(Math.abs(zcr - 2 * 1000 / 32000) < 0.002, `zcr ${zcr}`);
+    } finally {
+        recorder.stop();
+    }
+});
+
+test('startStreaming emits overlapping windows at the hop interval', async () => {
+    const { recorder } = await createRecorder(noiseWav);
+    try {
+        const windows = [];
+        await new Promise((resolve, reject) => {
+            recorder.startStreaming({
+                windowMs: 500,
+                hopMs: 250,
+                onWindow: (audio, { time }) => {
+                    windows.push({ audio: Float32Array.from(audio), time });
+                    if (windows.length === 4) {
+                        recorder.stopStreaming();
+                        resolve();
+                    }
+                }
+            }).catch(reject);
+        });
+
+        assert.deepEqual(windows.map(window => window.time), [0.5, 0.75, 1, 1.25]);
+        windows.forEach(window => assert.equal(window.audio.length, 8000));
+        // 相邻窗口重叠一半
+        assert.deepEqual(windows[1].audio.subarray(0, 4000), windows[0].audio.subarray(4000));
+        assert.equal(recorder.captureNode, null);
+
+        await recorder.startStreaming({ onWindow: () => {} });
+        await assert.rejects(recorder.startStreaming({ onWindow: () => {} }), /already started/);
+    } finally {
+        recorder.stop();
+    }
+});
+
+test('analyser data and signal statistics describe the input', async () => {
+    const { recorder } = await createRecorder(toneWav);
+    try {
+        const captured = await recorder.captureAudioSample(250);
+        assert.ok(Math.abs(recorder.calculateRMS(captured) - 0.5 / Math.SQRT2) < 0.005);
+
+        const waveform = recorder.getWaveformData();
+        assert.equal(waveform.length, 1024);
+        assert.ok(Math.max(...waveform) >= 190 && Math.min(...waveform) <= 66);
+
+        const spectrum = recorder.getFrequencyData();
+        const peak = spectrum.indexOf(Math.max(...spectrum));
+        const toneBin = 1000 / (16000 / 2048);
+        assert.ok(Math.abs(peak - toneBin) <= 1, `peak bin ${peak}`);
+        assert.ok(Math.abs(recorder.calculateSpectralCentroid(spectrum) - toneBin) < 40);
+    } finally {
+        recorder.stop();
+    }
+});
+
+test('stop ends its own microphone stream but not an external one', async () => {
+    const { recorder, microphone } = await createRecorder(toneWav);
+    recorder.stop();
+    assert.equal(microphone.streams[0].getTracks()[0].readyState, 'ended');
+    assert.equal(recorder.audioContext.state, 'closed');
+
+    const external = FakeMediaStream.fromWav(toneWav);
+    const shared = new AudioRecorder({ createAudioContext: () => new FakeAudioContext({ sampleRate: 16000 }) });
+    await shared.init(external);
+    shared.stop();
+    assert.equal(external.getTracks()[0].readyState, 'live');
+});
+
+test('switchSource moves the analyser and a running stream to the new device', async () => {
+    const microphone = createFakeMicrophone(toneWav, {
+        loop: true,
+        devices: { headset: { label: 'Headset', wav: noiseWav } }
+    });
+    const recorder = new AudioRecorder({
+        createAudioContext: () => new FakeAudioContext({ sampleRate: 16000 }),
+        getUserMedia: microphone.getUserMedia
+    });
+    await recorder.init();
+    const audioContext = recorder.audioContext;
+
+    try {
+        const windows = [];
+        let switched = null;
+        await new Promise((resolve, reject) => {
+            recorder.startStreaming({
+                windowMs: 250,
+                hopMs: 250,
+                onWindow: (audio) => {
+                    windows.push(Float32Array.from(audio));
+                    if (windows.length === 2) {
+                        switched = recorder.switchSource(new MicrophoneSource({
+                            deviceId: 'headset',
+                            getUserMedia: microphone.getUserMedia
+                        }));
+                    }
+                    if (windows.length === 6) {
+                        resolve();
+                    }
+                }
+            }).catch(reject);
+        });
+        await switched;
+
+        assert.equal(recorder.audioContext, audioContext);
+        assert.equal(microphone.streams[0].getTracks()[0].readyState, 'ended');
+        assert.equal(recorder.getInputSettings().label, 'Headset');
+        // 切换前为 1 kHz 正弦, 切换后为噪声
+        const zcr = windows.map(window => recorder.calculateZeroCrossingRate(window));
+        assert.ok(Math.abs(zcr[0] - 0.125) < 0.01, `zcr before ${zcr[0]}`);
+        assert.ok(zcr[5] > 0.3, `zcr after ${zcr[5]}`);
+
+        const captured = await recorder.captureAudioSample(100);
+        assert.ok(recorder.calculateZeroCrossingRate(captured) > 0.3);
+    } finally {
+        recorder.stop();
+    }
+});
+
+test('switchSource keeps the current input when the new device fails', async () => {
+    const microphone = createFakeMicrophone(toneWav, { loop: true });
+    const recorder = new AudioRecorder({
+        createAudioContext: () => new FakeAudioContext({ sampleRate: 16000 }),
+        getUserMedia: microphone.getUserMedia
+    });
+    await recorder.init();
+
+    try {
+        await assert.rejects(
+            recorder.switchSource(new MicrophoneSource({ deviceId: 'unplugged', getUserMedia: microphone.getUserMedia })),
+            /OverconstrainedError/
+        );
+        assert.equal(recorder.mediaStream, microphone.streams[0]);
+        const captured = await recorder.captureAudioSample(100);
+        assert.ok(Math.abs(recorder.calculateRMS(captured) - 0.5 / Math.SQRT2) < 0.01);
+    } finally {
+        recorder.stop();
+    }
+});
+
+test('switchSource after stop starts again on a new context', async () => {
+    const microphone = createFakeMicrophone(toneWav, {
+        loop: true,
+        devices: { headset: { label: 'Headset', wav: noiseWav } }
+    });
+    const recorder = new AudioRecorder({
+        createAudioContext: () => new FakeAudioContext({ sampleRate: 16000 }),
+        getUserMedia: microphone.getUserMedia
+    });
+    await recorder.init();
+    const closed = recorder.audioContext;
+    recorder.stop();
+
+    try {
+        await recorder.switchSource(new MicrophoneSource({ deviceId: 'headset', getUserMedia: microphone.getUserMedia }));
+        assert.notEqual(recorder.audioContext, closed);
+        assert.equal(recorder.audioContext.state, 'running');
+        assert.equal(recorder.getInputSettings().label, 'Headset');
+
+        const captured = await recorder.captureAudioSample(100);
+        assert.ok(recorder.calculateZeroCrossingRate(captured) > 0.3);
+    } finally {
+        recorder.stop();
+    }
+});
+
+test('init fails without Web Audio support', async () => {
+    const recorder = new AudioRecorder();
+    mock.method(console, 'error', () => {});
+    await assert.rejects(recorder.init(), /Web Audio API is not supported/);
+});
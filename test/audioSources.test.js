@@ -0,0 +1,253 @@
+/**
+ * audioSources.js 中各音频源接入 AudioRecorder 的测试 (假 Web Audio 环境)
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { AudioRecorder } from '../audioRecorder.js';
+import {
+    BufferSource,
+    DEFAULT_MICROPHONE_CONSTRAINTS,
+    GeneratorSource,
+    MediaElementSource,
+    MediaStreamSource,
+    MicrophoneSource,
+    buildMicrophoneConstraints,
+    listAudioInputDevices,
+    toAudioSource
+} from '../audioSources.js';
+import { FakeAudioContext, FakeMediaElement, FakeMediaStream, createFakeMicrophone } from './helpers/fakeAudio.js';
+
+const toneWav = fs.readFileSync(new URL('./fixtures/tone-1khz.wav', import.meta.url));
+
+before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+});
+
+after(() => {
+    mock.restoreAll();
+});
+
+function createRecorder(sampleRate = 16000) {
+    return new AudioRecorder({ createAudioContext: () => new FakeAudioContext({ sampleRate }) });
+}
+
+// 锯齿波 0, 1/period, ..., 用于检查采集到的样本是否连续
+function sawtooth(length, period) {
+    return Float32Array.from({ length }, (_, i) => (i % period) / period);
+}
+
+function assertContinuous(audio, period) {
+    for (let i = 1; i < audio.length; i++) {
+        const expected = (Math.round(audio[i - 1] * period) + 1) % period / period;
+        assert.ok(Math.abs(audio[i] - expected) < 1e-6, `sample ${i}: ${audio[i]} after ${audio[i - 1]}`);
+    }
+}
+
+test('toAudioSource wraps streams and defaults to the microphone', () => {
+    const stream = FakeMediaStream.fromWav(toneWav);
+    const buffer = new BufferSource(new Float32Array(10), 16000);
+
+    assert.ok(toAudioSource(null) instanceof MicrophoneSource);
+    assert.ok(toAudioSource(stream) instanceof MediaStreamSource);
+    assert.equal(toAudioSource(stream).mediaStream, stream);
+    assert.equal(toAudioSource(buffer), buffer);
+    assert.throws(() => toAudioSource({}), /audio source or a MediaStream/);
+});
+
+test('a MediaStream without audio tracks is rejected', async () => {
+    const recorder = createRecorder();
+    const videoOnly = { getAudioTracks: () => [], getTracks: () => [] };
+
+    await assert.rejects(recorder.init(videoOnly), /no audio track/);
+    assert.equal(recorder.audioContext, null);
+});
+
+test('MicrophoneSource passes its constraints and stops the tracks it opened', async () => {
+    const microphone = createFakeMicrophone(toneWav, { devices: { 'usb-mic': { label: 'USB', wav: toneWav } } });
+    const constraints = { audio: { deviceId: { exact: 'usb-mic' } } };
+    const recorder = createRecorder();
+
+    await recorder.init(new MicrophoneSource({ constraints, getUserMedia: microphone.getUserMedia }));
+    assert.deepEqual(microphone.requests, [constraints]);
+    assert.equal(recorder.mediaStream, microphone.streams[0]);
+
+    recorder.stop();
+    assert.equal(microphone.streams[0].getTracks()[0].readyState, 'ended');
+    assert.equal(recorder.mediaStream, null);
+});
+
+test('capture options become getUserMedia constraints', () => {
+    assert.deepEqual(DEFAULT_MICROPHONE_CONSTRAINTS, {
+        audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false, sampleRate: 22050 }
+    });
+    assert.deepEqual(buildMicrophoneConstraints({ deviceId: 'usb-mic', autoGainControl: true }), {
+        audio: {
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: true,
+            sampleRate: 22050,
+            deviceId: { exact: 'usb-mic' }
+        }
+    });
+    assert.equal(new MicrophoneSource({ noiseSuppression: true }).constraints.audio.noiseSuppression, true);
+});
+
+test('listAudioInputDevices returns only audio inputs', async () => {
+    const microphone = createFakeMicrophone(toneWav, { devices: { headset: { label: 'Headset', wav: toneWav } } });
+
+    assert.deepEqual(await listAudioInputDevices(microphone), [
+        { deviceId: 'default', label: 'Default microphone', groupId: 'default' },
+        { deviceId: 'headset', label: 'Headset', groupId: 'headset' }
+    ]);
+    assert.deepEqual(await listAudioInputDevices(null), []);
+});
+
+test('MicrophoneSource reports the effective settings and unmet constraints', async () => {
+    const microphone = createFakeMicrophone(toneWav, { forcedSettings: { autoGainControl: true } });
+    const source = new MicrophoneSource({ getUserMedia: microphone.getUserMedia });
+    const recorder = createRecorder();
+    await recorder.init(source);
+
+    try {
+        const settings = recorder.getInputSettings();
+        assert.equal(settings.label, 'Default microphone');
+        assert.equal(settings.sourceType, 'MicrophoneSource');
+        assert.equal(settings.echoCancellation, false);
+        assert.equal(settings.autoGainControl, true);
+        assert.equal(settings.contextSampleRate, 16000);
+
+        // 假麦克风按 WAV 的 16 kHz 采集, 请求的是 22050 Hz
+        assert.deepEqual(source.getUnmetConstraints(), [
+            { name: 'autoGainControl', requested: false, actual: true },
+            { name: 'sampleRate', requested: 22050, actual: 16000 }
+        ]);
+    } finally {
+        recorder.stop();
+    }
+    assert.deepEqual(source.getUnmetConstraints(), []);
+});
+
+test('BufferSource plays decoded audio resampled to the context rate', async () => {
+    const period = 400;
+    const recorder = createRecorder(32000);
+    await recorder.init(new BufferSource(sawtooth(16000, period), 16000, { loop: true }));
+    try {
+        assert.equal(recorder.mediaStream, null);
+        assert.deepEqual(recorder.getInputSettings(), { sourceType: 'BufferSource', contextSampleRate: 32000 });
+        const captured = await recorder.captureAudioSample(250);
+        assert.equal(captured.length, 8000);
+        // 采样率加倍后周期也加倍
+        assertContinuous(captured.filter((_, i) => i % 2 === 0), period);
+    } finally {
+        recorder.stop();
+    }
+});
+
+test('BufferSource outputs silence after the end without loop', async () => {
+    const recorder = createRecorder();
+    await recorder.init(new BufferSource(new Float32Array(1000).fill(0.5), 16000));
+    try {
+        await recorder.captureAudioSample(250);
+        const captured = await recorder.captureAudioSample(250);
+        assert.ok(captured.every(value => value === 0));
+    } finally {
+        recorder.stop();
+    }
+});
+
+test('MediaElementSource captures a playing element', async () => {
+    const element = FakeMediaElement.fromWav(toneWav);
+    const recorder = createRecorder();
+    const source = new MediaElementSource(element, { monitor: false });
+    await recorder.init(source);
+    try {
+        assert.equal(source.node.outputs.includes(recorder.audioContext.destination), false);
+
+        const paused = await recorder.captureAudioSample(100);
+        assert.ok(paused.every(value => value === 0), 'a paused element is silent');
+
+        await element.play();
+        const captured = await recorder.captureAudioSample(250);
+        assert.ok(Math.abs(recorder.calculateRMS(captured) - 0.5 / Math.SQRT2) < 0.005);
+        assert.ok(element.currentTime >= 0.25);
+    } finally {
+        recorder.stop();
+    }
+
+    // 元素已接入过一个上下文, 浏览器不允许再次创建 MediaElementSource
+    await assert.rejects(createRecorder().init(new MediaElementSource(element)), /already connected/);
+});
+
+test('MediaElementSource keeps the element audible by default', async () => {
+    const recorder = createRecorder();
+    const source = new MediaElementSource(FakeMediaElement.fromWav(toneWav));
+    await recorder.init(source);
+    assert.ok(source.node.outputs.includes(recorder.audioContext.destination));
+    recorder.stop();
+    assert.equal(source.node, null);
+});
+
+test('GeneratorSource streams a continuous synthetic signal', async () => {
+    const period = 300;
+    const starts = [];
+    const source = new GeneratorSource((output, { startFrame, sampleRate }) => {
+        assert.equal(sampleRate, 16000);
+        starts.push(startFrame);
+        for (let i = 0; i < output.length; i++) {
+            output[i] = ((startFrame + i) % period) / period;
+        }
+    }, { bufferSize: 1024 });
+
+    const recorder = createRecorder();
+    await recorder.init(source);
+    try {
+        assert.equal(source.sink.gain.value, 0);
+        const windows = [];
+        await new Promise(resolve => {
+            recorder.startStreaming({
+                windowMs: 200,
+                hopMs: 200,
+                onWindow: (audio) => {
+                    windows.push(Float32Array.from(audio));
+                    if (windows.length === 3) {
+                        resolve();
+                    }
+                }
+            });
+        });
+
+        const audio = new Float32Array(windows.length * 3200);
+        windows.forEach((window, i) => audio.set(window, i * 3200));
+        assertContinuous(audio.subarray(1024), period);
+        starts.forEach((start, i) => assert.equal(start, i * 1024));
+    } finally {
+        recorder.stop();
+    }
+    assert.equal(source.node, null);
+});
+
+test('a custom source only needs connect and disconnect', async () => {
+    const calls = [];
+    const custom = {
+        connect(audioContext) {
+            calls.push('connect');
+            this.inner = new BufferSource(new Float32Array(4000).fill(0.25), audioContext.sampleRate);
+            return this.inner.connect(audioContext);
+        },
+        disconnect() {
+            calls.push('disconnect');
+            this.inner.disconnect();
+        }
+    };
+
+    const recorder = createRecorder();
+    await recorder.init(custom);
+    const captured = await recorder.captureAudioSample(100);
+    recorder.stop();
+
+    assert.deepEqual(calls, ['connect', 'disconnect']);
+    assert.ok(captured.some(value => value === 0.25));
+});
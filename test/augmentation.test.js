@@ -0,0 +1,131 @@
+/**
+ * 数据增强测试: 增益、时间平移、混入噪声、变速、SpecAugment 遮挡, 以及背景噪声类别的默认值
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyGain, timeShift, mixNoise, changeSpeed, specAugment, augmentAudio } from '../augmentation.js';
+import { FeatureExtractor } from '../featureExtractor.js';
+import { ModelTrainer } from '../modelTrainer.js';
+import { createRandom, tone, whiteNoise } from './helpers/signals.js';
+
+before(() => {
+    mock.method(console, 'log', () => {});
+});
+
+after(() => {
+    mock.restoreAll();
+});
+
+const power = data => data.reduce((sum, value) => sum + value * value, 0) / data.length;
+
+// 依次返回给定的值
+function sequence(...values) {
+    let i = 0;
+    return () => values[i++ % values.length];
+}
+
+test('gain scales by the given dB', () => {
+    const result = applyGain(Float32Array.from([0.1, -0.2, 0.3]), 20);
+    [1, -2, 3].forEach((value, i) => assert.ok(Math.abs(result[i] - value) < 1e-6));
+});
+
+test('time shift keeps the length and pads with zeros', () => {
+    const audio = Float32Array.from([1, 2, 3, 4, 5]);
+    assert.deepEqual([...timeShift(audio, 2)], [0, 0, 1, 2, 3]);
+    assert.deepEqual([...timeShift(audio, -2)], [3, 4, 5, 0, 0]);
+    assert.deepEqual([...timeShift(audio, 0)], [1, 2, 3, 4, 5]);
+    assert.deepEqual([...audio], [1, 2, 3, 4, 5], 'the input is not modified');
+});
+
+test('noise is mixed in at the requested SNR and looped when shorter', () => {
+    const signal = tone({ frequency: 500, amplitude: 0.5, length: 8000 });
+    const noise = whiteNoise({ amplitude: 0.1, length: 1000 });
+
+    [0, 10, 20].forEach(snrDb => {
+        const mixed = mixNoise(signal, noise, snrDb);
+        const added = mixed.map((value, i) => value - signal[i]);
+        assert.equal(mixed.length, signal.length);
+        // 循环使用的噪声平均功率与原噪声相同
+        const measured = 10 * Math.log10(power(signal) / power(added));
+        assert.ok(Math.abs(measured - snrDb) < 0.01, `SNR ${measured} dB for ${snrDb} dB`);
+        assert.ok(Math.abs(added[1234] - added[234]) < 1e-6, 'noise repeats');
+    });
+
+    const silence = new Float32Array(100);
+    assert.deepEqual(mixNoise(signal, silence, 10), signal, 'silent noise leaves the signal unchanged');
+    assert.deepEqual(mixNoise(silence, noise, 10), silence, 'a silent signal stays silent');
+});
+
+test('speed change resamples and keeps the length', () => {
+    const audio = Float32Array.from({ length: 16 }, (_, i) => i);
+
+    const faster = changeSpeed(audio, 2);
+    assert.equal(faster.length, 16);
+    assert.deepEqual([...faster.subarray(0, 8)], [0, 2, 4, 6, 8, 10, 12, 14]);
+    assert.deepEqual([...faster.subarray(8)], new Array(8).fill(0), 'the end is padded with zeros');
+
+    const slower = changeSpeed(audio, 0.5);
+    assert.equal(slower.length, 16);
+    assert.deepEqual([...slower.subarray(0, 4)], [0, 0.5, 1, 1.5]);
+});
+
+test('SpecAugment masks whole frames and feature bands', () => {
+    const features = Array.from({ length: 6 }, () => [1, 1, 1, 1, 1]);
+    // 时间遮挡: 宽度 floor(0.5 * 3) = 1, 起点 floor(0.4 * 6) = 2
+    // 频率遮挡: 宽度 floor(0.99 * 3) = 2, 起点 floor(0.0 * 4) = 0
+    const result = specAugment(features, { timeMasks: 1, timeMaskWidth: 2, freqMasks: 1, freqMaskWidth: 2 },
+        sequence(0.5, 0.4, 0.99, 0.0));
+
+    result.forEach((frame, t) => {
+        const expected = t === 2 ? [0, 0, 0, 0, 0] : [0, 0, 1, 1, 1];
+        assert.deepEqual(frame, expected, `frame ${t}`);
+    });
+    assert.ok(features.every(frame => frame.every(value => value === 1)), 'the input is not modified');
+    assert.deepEqual(specAugment(features, {}), features, 'no masks by default');
+});
+
+test('SpecAugment masks stay inside the features', () => {
+    const random = createRandom(5);
+    const features = Array.from({ length: 4 }, () => [1, 1, 1]);
+    for (let i = 0; i < 50; i++) {
+        const result = specAugment(features, { timeMasks: 2, timeMaskWidth: 10, freqMasks: 2, freqMaskWidth: 10 }, random);
+        assert.equal(result.length, 4);
+        assert.ok(result.every(frame => frame.length === 3));
+    }
+});
+
+test('augmentAudio with every augmentation off returns a copy', () => {
+    const audio = tone({ length: 1000 });
+    const off = { speedRange: 0, shiftMs: 0, gainDb: 0, noiseProbability: 0 };
+
+    const result = augmentAudio(audio, 16000, off, [whiteNoise({ length: 1000 })]);
+    assert.notEqual(result, audio);
+    assert.deepEqual(result, audio);
+});
+
+test('augmentAudio never uses the sample itself as noise', () => {
+    const audio = tone({ length: 1000 });
+    const off = { speedRange: 0, shiftMs: 0, gainDb: 0, noiseProbability: 1 };
+
+    assert.deepEqual(augmentAudio(audio, 16000, off, [audio]), audio);
+
+    const noise = whiteNoise({ length: 1000 });
+    const mixed = augmentAudio(audio, 16000, { ...off, noiseSnrDb: [10, 10] }, [audio, noise], createRandom(2));
+    const added = mixed.map((value, i) => value - audio[i]);
+    assert.ok(Math.abs(10 * Math.log10(power(audio) / power(added)) - 10) < 0.01);
+});
+
+test('the noise label defaults from the label set', () => {
+    const featureExtractor = new FeatureExtractor();
+    const logger = { log() {}, warn: mock.fn(), error() {} };
+
+    assert.equal(new ModelTrainer(featureExtractor, undefined, { logger }).resolveNoiseLabel(null), 'not_blow');
+    const custom = new ModelTrainer(featureExtractor, ['cough', 'speech', 'silence'], { logger });
+    assert.equal(custom.resolveNoiseLabel(null), 'silence');
+    assert.equal(custom.resolveNoiseLabel('speech'), 'speech');
+    assert.equal(logger.warn.mock.callCount(), 0);
+
+    assert.equal(custom.resolveNoiseLabel('not_blow'), 'not_blow');
+    assert.equal(logger.warn.mock.callCount(), 1, 'a label outside the set is reported');
+});
@@ -0,0 +1,61 @@
+/**
+ * BlowDetector 的窗口队列: 推理跟不上时丢弃最旧的窗口
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioRecorder } from '../audioRecorder.js';
+import { BlowDetector } from '../blowDetector.js';
+import { GeneratorSource } from '../audioSources.js';
+import { FakeAudioContext } from './helpers/fakeAudio.js';
+
+before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+});
+
+after(() => {
+    mock.restoreAll();
+});
+
+test('the window queue is capped when inference falls behind', async () => {
+    const recorder = new AudioRecorder({ createAudioContext: () => new FakeAudioContext({ sampleRate: 16000 }) });
+    await recorder.init(new GeneratorSource((output) => output.fill(0.1), { bufferSize: 512 }));
+
+    const detector = new BlowDetector({ hopMs: 100, maxQueuedWindows: 3 });
+    detector.audioRecorder = recorder;
+    detector.modelTrainer.model = {};
+
+    // 第一次预测一直挂起, 之后的窗口只能排队
+    let release;
+    const predicted = [];
+    detector.modelTrainer.predict = (audioData) => {
+        predicted.push(audioData);
+        return predicted.length === 1
+            ? new Promise(resolve => { release = resolve; })
+            : Promise.resolve({ label: 'blow', confidence: 0.9, probabilities: { blow: 0.9, not_blow: 0.1 } });
+    };
+
+    const times = [];
+    try {
+        await new Promise(resolve => {
+            detector.on('gate', ({ time }) => {
+                times.push(time);
+                if (times.length === 20) {
+                    resolve();
+                }
+            });
+            detector.start();
+        });
+
+        assert.equal(detector.windowQueue.length, 3);
+        assert.equal(detector.droppedWindows, 20 - 1 - 3);
+        assert.equal(console.warn.mock.callCount(), 1, 'warns once per run');
+        // 保留的是最新的窗口
+        assert.deepEqual(detector.windowQueue.map(({ time }) => time), times.slice(-3));
+        assert.equal(predicted.length, 1);
+    } finally {
+        detector.dispose();
+        release(null);
+    }
+});
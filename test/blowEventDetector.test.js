@@ -0,0 +1,104 @@
+/**
+ * BlowEventDetector 测试: 滞回、最短时长、参数校验, 以及 BlowDetector 停止时结束进行中的事件
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { BlowEventDetector } from '../blowEventDetector.js';
+import { AudioRecorder } from '../audioRecorder.js';
+import { BlowDetector } from '../blowDetector.js';
+import { GeneratorSource } from '../audioSources.js';
+import { FakeAudioContext } from './helpers/fakeAudio.js';
+
+before(() => {
+    mock.method(console, 'log', () => {});
+});
+
+after(() => {
+    mock.restoreAll();
+});
+
+function collectEvents(detector) {
+    const events = [];
+    detector.on('blowstart', event => events.push({ type: 'start', ...event }));
+    detector.on('blowend', event => events.push({ type: 'end', ...event }));
+    return events;
+}
+
+// 每 100 ms 一个预测
+function feed(detector, confidences, startTime = 0) {
+    confidences.forEach((blow, i) => {
+        detector.process({ probabilities: { blow, not_blow: 1 - blow } }, startTime + i * 100);
+    });
+}
+
+test('events start after the minimum duration and end below the release threshold', () => {
+    const detector = new BlowEventDetector();
+    const events = collectEvents(detector);
+
+    feed(detector, [0.2, 0.8, 0.6, 0.9, 0.55, 0.4, 0.9]);
+
+    assert.deepEqual(events.map(({ type, timestamp }) => [type, timestamp]), [['start', 100], ['end', 500]]);
+    assert.equal(events[0].detectedAt, 300);
+    assert.equal(events[1].duration, 400);
+    assert.equal(events[1].peakConfidence, 0.9);
+    // 不应期内的高置信度不触发
+    assert.equal(detector.state, 'idle');
+});
+
+test('end closes an active event and discards a pending one', () => {
+    const detector = new BlowEventDetector();
+    const events = collectEvents(detector);
+
+    feed(detector, [0.8, 0.8, 0.8]);
+    detector.end(450);
+    assert.deepEqual(events.map(({ type, timestamp }) => [type, timestamp]), [['start', 0], ['end', 450]]);
+    assert.equal(events[1].duration, 450);
+    assert.equal(detector.isActive(), false);
+
+    feed(detector, [0.8], 1000);
+    detector.end(1050);
+    assert.equal(events.length, 2, 'a pending event is not reported');
+    assert.equal(detector.state, 'idle');
+});
+
+test('configure rejects NaN from empty or invalid inputs', () => {
+    const detector = new BlowEventDetector();
+    ['threshold', 'releaseThreshold', 'minDuration', 'refractoryPeriod'].forEach(name => {
+        assert.throws(() => detector.configure({ [name]: NaN }), new RegExp(`${name} must be a finite number`));
+    });
+    assert.throws(() => detector.configure({ minDuration: parseInt('') }), /minDuration/);
+    assert.throws(() => detector.configure({ releaseThreshold: 0.9 }), /must not exceed/);
+    assert.equal(detector.options.threshold, 0.7);
+});
+
+test('BlowDetector.stop ends an active event', async () => {
+    const recorder = new AudioRecorder({ createAudioContext: () => new FakeAudioContext({ sampleRate: 16000 }) });
+    await recorder.init(new GeneratorSource((output) => output.fill(0.1), { bufferSize: 512 }));
+
+    const detector = new BlowDetector({ hopMs: 100 });
+    detector.audioRecorder = recorder;
+    detector.modelTrainer.model = {};
+    detector.modelTrainer.predict = async () => ({ label: 'blow', confidence: 0.9, probabilities: { blow: 0.9, not_blow: 0.1 } });
+
+    const events = collectEvents(detector);
+    const order = [];
+    detector.on('stop', () => order.push('stop'));
+    detector.on('blowend', () => order.push('blowend'));
+
+    try {
+        await new Promise(resolve => {
+            detector.on('blowstart', resolve);
+            detector.start();
+        });
+        detector.stop();
+    } finally {
+        detector.dispose();
+    }
+
+    assert.deepEqual(events.map(({ type }) => type), ['start', 'end']);
+    assert.equal(events[1].timestamp, detector.lastWindowTime * 1000);
+    assert.ok(events[1].duration >= 150);
+    assert.deepEqual(order, ['blowend', 'stop']);
+    assert.equal(detector.isEventActive(), false);
+});
@@ -0,0 +1,169 @@
+/**
+ * 数据集打包测试: ZIP (STORE) 和 WAV 编解码的往返, 以及数据集包的导出/导入
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32, createZip, readZip } from '../zipArchive.js';
+import { encodeWav, decodeWav } from '../wavCodec.js';
+import { exportDatasetBundle, importDatasetBundle, DATASET_FORMAT } from '../datasetBundle.js';
+import { FeatureExtractor } from '../featureExtractor.js';
+import { ModelTrainer, QUIET_LOGGER } from '../modelTrainer.js';
+import { tone, whiteNoise } from './helpers/signals.js';
+
+const encoder = new TextEncoder();
+// 编码按 0x7fff 缩放并截断, 解码除以 0x8000, 误差不超过两个量化步长
+const PCM16_TOLERANCE = 2 / 0x8000;
+
+// 手工构造 WAV: 每帧各声道的样本由 writeSample(view, offset, value) 写入
+function buildWav({ audioFormat, numChannels, sampleRate, bitsPerSample, frames, writeSample }) {
+    const bytesPerSample = bitsPerSample / 8;
+    const dataSize = frames.length * numChannels * bytesPerSample;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+    const writeString = (offset, str) => [...str].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, audioFormat, true);
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * numChannels * bytesPerSample, true);
+    view.setUint16(32, numChannels * bytesPerSample, true);
+    view.setUint16(34, bitsPerSample, true);
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    let offset = 44;
+    frames.forEach(frame => frame.forEach(value => {
+        writeSample(view, offset, value);
+        offset += bytesPerSample;
+    }));
+    return new Uint8Array(view.buffer);
+}
+
+test('crc32 matches the standard check value', () => {
+    assert.equal(crc32(encoder.encode('123456789')), 0xcbf43926);
+    assert.equal(crc32(new Uint8Array(0)), 0);
+});
+
+test('zip entries survive a round trip', () => {
+    const entries = [
+        { name: 'manifest.json', data: encoder.encode('{"a":1}') },
+        { name: 'clips/吹气/1.wav', data: Uint8Array.from({ length: 3000 }, (_, i) => i % 251) },
+        { name: 'empty.txt', data: new Uint8Array(0) }
+    ];
+    const files = readZip(createZip(entries));
+
+    assert.deepEqual([...files.keys()], entries.map(({ name }) => name));
+    entries.forEach(({ name, data }) => assert.deepEqual(files.get(name), data, name));
+
+    // ArrayBuffer 和带偏移的视图同样可以读取
+    const zip = createZip(entries);
+    const padded = new Uint8Array(zip.length + 7);
+    padded.set(zip, 7);
+    assert.equal(readZip(zip.slice().buffer).size, 3);
+    assert.equal(readZip(padded.subarray(7)).size, 3);
+});
+
+test('readZip rejects corrupt archives', () => {
+    const zip = createZip([{ name: 'a.bin', data: Uint8Array.from([1, 2, 3, 4]) }]);
+    const corrupt = zip.slice();
+    corrupt[30 + 'a.bin'.length] ^= 0xff;
+
+    assert.throws(() => readZip(corrupt), /CRC mismatch for "a.bin"/);
+    assert.throws(() => readZip(encoder.encode('not a zip file at all, just some text')), /end of central directory/);
+});
+
+test('16-bit WAV round trip', () => {
+    const audio = tone({ frequency: 440, amplitude: 0.8, sampleRate: 22050, length: 2205 });
+    const { audioData, sampleRate } = decodeWav(encodeWav(audio, 22050));
+
+    assert.equal(sampleRate, 22050);
+    assert.equal(audioData.length, audio.length);
+    audio.forEach((value, i) => assert.ok(Math.abs(audioData[i] - value) <= PCM16_TOLERANCE, `sample ${i}`));
+});
+
+test('WAV encoding clips to [-1, 1]', () => {
+    const { audioData } = decodeWav(encodeWav(Float32Array.from([2, -2, 0]), 8000));
+    assert.ok(Math.abs(audioData[0] - 1) < 1e-4);
+    assert.equal(audioData[1], -1);
+    assert.equal(audioData[2], 0);
+});
+
+test('decodes 8/24-bit PCM, float and stereo WAV files', () => {
+    const mono = [[0.5], [-0.5], [0]];
+
+    const pcm8 = decodeWav(buildWav({
+        audioFormat: 1, numChannels: 1, sampleRate: 8000, bitsPerSample: 8, frames: mono,
+        writeSample: (view, offset, value) => view.setUint8(offset, Math.round(value * 128 + 128))
+    }));
+    assert.deepEqual([...pcm8.audioData], [0.5, -0.5, 0]);
+
+    const pcm24 = decodeWav(buildWav({
+        audioFormat: 1, numChannels: 1, sampleRate: 8000, bitsPerSample: 24, frames: mono,
+        writeSample: (view, offset, value) => {
+            const int = Math.round(value * 0x800000) & 0xffffff;
+            view.setUint8(offset, int & 0xff);
+            view.setUint8(offset + 1, (int >> 8) & 0xff);
+            view.setUint8(offset + 2, (int >> 16) & 0xff);
+        }
+    }));
+    assert.deepEqual([...pcm24.audioData], [0.5, -0.5, 0]);
+
+    // 立体声混合为单声道
+    const stereo = decodeWav(buildWav({
+        audioFormat: 3, numChannels: 2, sampleRate: 48000, bitsPerSample: 32, frames: [[0.25, 0.75], [-1, 0]],
+        writeSample: (view, offset, value) => view.setFloat32(offset, value, true)
+    }));
+    assert.equal(stereo.sampleRate, 48000);
+    assert.deepEqual([...stereo.audioData], [0.5, -0.5]);
+
+    assert.throws(() => decodeWav(encoder.encode('RIFX0000WAVE')), /missing RIFF\/WAVE header/);
+});
+
+test('dataset bundle round trip', () => {
+    const trainingData = {
+        blow: [{ id: 'b1', audio: whiteNoise({ amplitude: 0.2, length: 1600 }), sampleRate: 16000, timestamp: 1 }],
+        not_blow: [
+            { id: 'n1', audio: tone({ length: 800, sampleRate: 8000 }), sampleRate: 8000, timestamp: 2 },
+            { id: 'n2', audio: new Float32Array(400), sampleRate: 8000, timestamp: 3 }
+        ]
+    };
+    const featureConfig = new FeatureExtractor().getConfig();
+    const { manifest, samples } = importDatasetBundle(exportDatasetBundle(trainingData, featureConfig));
+
+    assert.equal(manifest.format, DATASET_FORMAT);
+    assert.deepEqual(manifest.labels, ['blow', 'not_blow']);
+    assert.deepEqual(manifest.featureConfig, featureConfig);
+    assert.deepEqual(samples.map(({ id, label, sampleRate, timestamp }) => [id, label, sampleRate, timestamp]),
+        [['b1', 'blow', 16000, 1], ['n1', 'not_blow', 8000, 2], ['n2', 'not_blow', 8000, 3]]);
+
+    const original = [...trainingData.blow, ...trainingData.not_blow];
+    samples.forEach(({ audio }, i) => {
+        assert.equal(audio.length, original[i].audio.length);
+        assert.ok(audio.every((value, j) => Math.abs(value - original[i].audio[j]) <= PCM16_TOLERANCE));
+    });
+});
+
+test('importing rejects bundles that are not datasets or miss clips', () => {
+    const manifest = samples => encoder.encode(JSON.stringify({ format: DATASET_FORMAT, version: 1, samples }));
+
+    assert.throws(() => importDatasetBundle(createZip([{ name: 'a.txt', data: new Uint8Array(1) }])),
+        /manifest.json not found/);
+    assert.throws(() => importDatasetBundle(createZip([{ name: 'manifest.json', data: encoder.encode('{"format":"x"}') }])),
+        /unknown format "x"/);
+    assert.throws(() => importDatasetBundle(createZip([
+        { name: 'manifest.json', data: manifest([{ id: 'a', file: 'clips/blow/a.wav', label: 'blow' }]) }
+    ])), /missing clip clips\/blow\/a.wav/);
+});
+
+test('hasSample finds samples by id in any label', () => {
+    const trainer = new ModelTrainer(new FeatureExtractor(), undefined, { logger: QUIET_LOGGER });
+    trainer.addSample(new Float32Array(4096), 'not_blow', { id: 'n1' });
+
+    assert.equal(trainer.hasSample('n1'), true);
+    assert.equal(trainer.hasSample('b1'), false);
+});
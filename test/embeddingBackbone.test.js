@@ -0,0 +1,79 @@
+/**
+ * EmbeddingBackbone 测试: graph 骨干网络的嵌入输出选择
+ * 使用内存中构造的小型 graph 模型: 波形按 4 个采样点分帧, 输出类别得分 (sigmoid) 和嵌入 (relu)
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import * as tf from '@tensorflow/tfjs';
+import { EmbeddingBackbone } from '../embeddingBackbone.js';
+
+const WAVEFORM = Float32Array.from([1, -2, 3, -4, 5, -6, 7, -8]);
+// relu 后两帧 [1, 0, 3, 0] 和 [5, 0, 7, 0] 的平均
+const EMBEDDING = [3, 0, 5, 0];
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    await tf.setBackend('cpu');
+});
+
+after(() => {
+    mock.restoreAll();
+});
+
+function graphModelHandler(outputNames) {
+    const node = (name, op, input = [], attr = {}) => ({ name, op, input, attr });
+    const [scores, embeddings] = outputNames;
+    return {
+        load: async () => ({
+            format: 'graph-model',
+            modelTopology: {
+                node: [
+                    node('waveform', 'Placeholder', [], {
+                        dtype: { type: 'DT_FLOAT' },
+                        shape: { shape: { dim: [{ size: '-1' }] } }
+                    }),
+                    node('frame_shape', 'Const', [], { dtype: { type: 'DT_INT32' } }),
+                    node('frames', 'Reshape', ['waveform', 'frame_shape']),
+                    node(scores, 'Sigmoid', ['frames']),
+                    node(embeddings, 'Relu', ['frames'])
+                ],
+                versions: { producer: 1, minConsumer: 0 }
+            },
+            weightSpecs: [{ name: 'frame_shape', shape: [2], dtype: 'int32' }],
+            weightData: new Int32Array([-1, 4]).buffer
+        })
+    };
+}
+
+function loadGraph(outputNames, config = {}) {
+    return EmbeddingBackbone.load(
+        { url: 'memory://backbone', format: 'graph', sampleRate: 8, inputLength: 8, ...config },
+        graphModelHandler(outputNames)
+    );
+}
+
+test('the output named embedding is used when output is not set', async () => {
+    const backbone = await loadGraph(['scores', 'embeddings']);
+    try {
+        assert.equal(backbone.outputNode, 'embeddings');
+        assert.equal(backbone.embeddingDim, 4);
+        assert.deepEqual([...backbone.embed(WAVEFORM, 8)], EMBEDDING);
+    } finally {
+        backbone.dispose();
+    }
+});
+
+test('an explicit output node is used as given', async () => {
+    const backbone = await loadGraph(['Identity', 'Identity_1'], { output: 'Identity_1' });
+    try {
+        assert.deepEqual([...backbone.embed(WAVEFORM, 8)], EMBEDDING);
+        assert.equal(backbone.getConfig().output, 'Identity_1');
+    } finally {
+        backbone.dispose();
+    }
+});
+
+test('graphs with several unnamed outputs need an output node', async () => {
+    await assert.rejects(loadGraph(['Identity', 'Identity_1']), /outputs Identity, Identity_1; set output/);
+});
@@ -0,0 +1,131 @@
+/**
+ * 评估模块测试: 混淆矩阵、分层划分、ROC / PR 曲线和推荐阈值
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    confusionMatrix, classificationReport, stratifiedSplit,
+    rocCurve, prCurve, recommendThreshold, buildEvaluationReport
+} from '../evaluation.js';
+import { createRandom } from './helpers/signals.js';
+
+// 3 个正样本、3 个负样本, 0.7 的负样本排在 0.6 的正样本之前
+const SCORES = [0.9, 0.8, 0.7, 0.6, 0.55, 0.4];
+const POSITIVES = [true, true, false, true, false, false];
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${message ?? ''} expected ${expected}, got ${actual}`);
+}
+
+test('confusion matrix and per-class metrics', () => {
+    const labels = ['blow', 'not_blow'];
+    const matrix = confusionMatrix(labels,
+        ['blow', 'blow', 'blow', 'not_blow', 'not_blow', 'unknown'],
+        ['blow', 'blow', 'not_blow', 'blow', 'not_blow', 'blow']);
+
+    assert.deepEqual(matrix, [[2, 1], [1, 1]], 'unknown labels are ignored');
+
+    const report = classificationReport(labels, matrix);
+    assert.equal(report.total, 5);
+    assertClose(report.accuracy, 3 / 5);
+    assertClose(report.perClass.blow.precision, 2 / 3);
+    assertClose(report.perClass.blow.recall, 2 / 3);
+    assertClose(report.perClass.not_blow.f1, 1 / 2);
+    assertClose(report.macroF1, (2 / 3 + 1 / 2) / 2);
+});
+
+test('stratified split keeps every class in both sets', () => {
+    const data = {
+        a: Array.from({ length: 10 }, (_, i) => `a${i}`),
+        b: ['b0', 'b1', 'b2'],
+        c: ['c0']
+    };
+    const { train, test: testSet } = stratifiedSplit(data, 0.2, createRandom(3));
+
+    assert.deepEqual(Object.fromEntries(Object.entries(testSet).map(([label, items]) => [label, items.length])),
+        { a: 2, b: 1, c: 0 });
+    Object.entries(data).forEach(([label, items]) => {
+        assert.deepEqual([...train[label], ...testSet[label]].sort(), [...items].sort(), `${label} items are not lost`);
+    });
+
+    // 同一随机数序列得到同一划分
+    assert.deepEqual(stratifiedSplit(data, 0.2, createRandom(3)), { train, test: testSet });
+});
+
+test('stratified split leaves at least one training sample per class', () => {
+    const { train, test: testSet } = stratifiedSplit({ b: ['b0', 'b1', 'b2'] }, 0.9, createRandom(1));
+    assert.equal(testSet.b.length, 2);
+    assert.equal(train.b.length, 1);
+
+    const none = stratifiedSplit({ b: ['b0', 'b1'] }, 0, createRandom(1));
+    assert.deepEqual(none.test.b, []);
+    assert.equal(none.train.b.length, 2);
+});
+
+test('ROC curve points and AUC', () => {
+    const { points, auc } = rocCurve(SCORES, POSITIVES);
+
+    assert.deepEqual(points.map(({ fpr, tpr }) => [fpr * 3, tpr * 3].map(Math.round)),
+        [[0, 0], [0, 1], [0, 2], [1, 2], [1, 3], [2, 3], [3, 3]]);
+    assert.deepEqual(points.slice(1).map(({ threshold }) => threshold), SCORES);
+    // 正样本得分高于负样本的比例
+    assertClose(auc, 8 / 9, 'AUC');
+});
+
+test('ROC curve survives JSON serialization', () => {
+    const { points } = rocCurve(SCORES, POSITIVES);
+    const restored = JSON.parse(JSON.stringify(points));
+
+    assert.ok(restored.every(({ threshold }) => Number.isFinite(threshold)), 'no threshold becomes null');
+    assert.ok(restored[0].threshold > Math.max(...SCORES), 'the start point rejects every sample');
+});
+
+test('tied scores share one threshold', () => {
+    const { points } = rocCurve([0.5, 0.5, 0.2], [true, false, false]);
+    assert.deepEqual(points.map(({ threshold, fpr, tpr }) => [threshold, fpr, tpr]).slice(1), [[0.5, 0.5, 1], [0.2, 1, 1]]);
+});
+
+test('precision-recall curve and average precision', () => {
+    const { points, averagePrecision } = prCurve(SCORES, POSITIVES);
+
+    [1, 1, 2 / 3, 3 / 4, 3 / 5, 1 / 2].forEach((precision, i) => assertClose(points[i].precision, precision, `precision ${i}`));
+    [1 / 3, 2 / 3, 2 / 3, 1, 1, 1].forEach((recall, i) => assertClose(points[i].recall, recall, `recall ${i}`));
+    assertClose(averagePrecision, 11 / 12, 'AP');
+});
+
+test('recommended threshold has the best F1 within the false-trigger limit', () => {
+    const strict = recommendThreshold(SCORES, POSITIVES, { maxFalsePositiveRate: 0 });
+    assert.equal(strict.threshold, 0.8);
+    assert.equal(strict.falsePositiveRate, 0);
+    assertClose(strict.missRate, 1 / 3);
+    assert.equal(strict.constraintMet, true);
+
+    const relaxed = recommendThreshold(SCORES, POSITIVES, { maxFalsePositiveRate: 0.4 });
+    assert.equal(relaxed.threshold, 0.6);
+    assertClose(relaxed.f1, 6 / 7);
+});
+
+test('recommended threshold falls back to the lowest false-trigger rate', () => {
+    const result = recommendThreshold([0.9, 0.1], [false, true], { maxFalsePositiveRate: 0 });
+    assert.equal(result.constraintMet, false);
+    assert.equal(result.threshold, 0.1);
+    assert.equal(result.falsePositiveRate, 1);
+
+    assert.equal(recommendThreshold([], []), null);
+});
+
+test('evaluation report serializes without null thresholds', () => {
+    const labels = ['blow', 'not_blow'];
+    const actual = POSITIVES.map(positive => (positive ? 'blow' : 'not_blow'));
+    const probabilities = SCORES.map(score => [score, 1 - score]);
+
+    const report = JSON.parse(JSON.stringify(buildEvaluationReport(labels, actual, probabilities)));
+
+    assert.equal(report.recommendedThreshold.threshold, 0.8);
+    labels.forEach(label => {
+        assert.ok(report.curves[label].roc.points.every(({ threshold }) => threshold !== null), `${label} ROC`);
+    });
+    assertClose(report.curves.blow.roc.auc, 8 / 9);
+    assert.equal(buildEvaluationReport(labels, actual, probabilities, { positiveLabel: 'cough' }).recommendedThreshold, null);
+});
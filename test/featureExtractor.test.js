@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FeatureExtractor, FRAME_STAT_FEATURES } from '../featureExtractor.js';
+import { tone, whiteNoise } from './helpers/signals.js';
+
+const SMALL_CONFIG = { sampleRate: 16000, fftSize: 512, hopLength: 256, nMels: 16, nFrames: 8 };
+
+function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+test('normalizeFrames interpolates along time with aligned end frames', () => {
+    const extractor = new FeatureExtractor(16000);
+    const frames = [[0, 10], [1, 20], [2, 30]];
+
+    assert.deepEqual(extractor.normalizeFrames(frames, 5), [[0, 10], [0.5, 15], [1, 20], [1.5, 25], [2, 30]]);
+    assert.deepEqual(extractor.normalizeFrames(frames, 2), [[0, 10], [2, 30]]);
+    assert.deepEqual(extractor.normalizeFrames([[4, 5]], 3), [[4, 5], [4, 5], [4, 5]]);
+});
+
+test('the legacy Meyda front end keeps its frame resampling', () => {
+    const extractor = FeatureExtractor.fromConfig({ frontend: 'meyda' });
+    const frames = [[0], [1], [2]];
+
+    assert.deepEqual(extractor.normalizeFrames(frames, 5), [[0], [1], [2], [0], [1]]);
+    assert.deepEqual(extractor.normalizeFrames([[0], [1], [2], [3]], 2), [[0], [2]]);
+});
+
+test('fromConfig validates the spectrogram settings', () => {
+    assert.throws(() => FeatureExtractor.fromConfig({ fftSize: 1000 }), /fftSize/);
+    assert.throws(() => FeatureExtractor.fromConfig({ sampleRate: 16000, fmax: 9000 }), /fmax/);
+    assert.throws(() => FeatureExtractor.fromConfig({ fmin: 500, fmax: 400 }), /fmax/);
+    assert.throws(() => FeatureExtractor.fromConfig({ frontend: 'fftw' }), /frontend/);
+    assert.doesNotThrow(() => FeatureExtractor.fromConfig({ sampleRate: 16000, fmin: 50, fmax: 8000 }));
+});
+
+test('frame statistics use the same framing as the mel bands', () => {
+    const extractor = FeatureExtractor.fromConfig({
+        sampleRate: 16000, fftSize: 512, hopLength: 256, nMels: 16, nFrames: 8, frameStats: true
+    });
+    const audio = Float32Array.from({ length: 4000 }, (_, i) => Math.sin(i / 5));
+    const features = extractor.extractRawFeatures(audio);
+
+    assert.deepEqual([features.length, features[0].length], extractor.getFeatureShape());
+    assert.ok(features.every(frame => frame.every(Number.isFinite)));
+});
+
+test('feature shape follows the pipeline configuration', () => {
+    const audio = whiteNoise({ sampleRate: 16000, length: 8000 });
+    const cases = [
+        [{}, 16],
+        [{ featureType: 'mfcc', nMfcc: 10 }, 10],
+        [{ deltaOrder: 2 }, 48],
+        [{ featureType: 'mfcc', nMfcc: 10, deltaOrder: 1, frameStats: true }, 20 + FRAME_STAT_FEATURES.length]
+    ];
+
+    cases.forEach(([options, dim]) => {
+        const extractor = FeatureExtractor.fromConfig({ ...SMALL_CONFIG, ...options });
+        const features = extractor.extractFeatures(audio);
+
+        assert.deepEqual(extractor.getFeatureShape(), [8, dim], JSON.stringify(options));
+        assert.deepEqual([features.length, features[0].length], [8, dim], JSON.stringify(options));
+        assert.ok(features.every(frame => frame.every(Number.isFinite)));
+    });
+});
+
+test('log-mel energy peaks in the band of a pure tone', () => {
+    const extractor = FeatureExtractor.fromConfig(SMALL_CONFIG);
+    const low = extractor.extractRawFeatures(tone({ frequency: 300, sampleRate: 16000, length: 8000 }));
+    const high = extractor.extractRawFeatures(tone({ frequency: 5000, sampleRate: 16000, length: 8000 }));
+    const peakBand = frames => {
+        const energy = frames[0].map((_, band) => mean(frames.map(frame => frame[band])));
+        return energy.indexOf(Math.max(...energy));
+    };
+
+    assert.ok(peakBand(low) < 4, `300 Hz peak in band ${peakBand(low)}`);
+    assert.ok(peakBand(high) > 10, `5 kHz peak in band ${peakBand(high)}`);
+});
+
+test('per-clip normalization removes the loudness', () => {
+    const extractor = FeatureExtractor.fromConfig(SMALL_CONFIG);
+    const quiet = extractor.extractFeatures(whiteNoise({ amplitude: 0.05, sampleRate: 16000, length: 8000 }));
+    const loud = extractor.extractFeatures(whiteNoise({ amplitude: 0.5, sampleRate: 16000, length: 8000 }));
+    const values = quiet.flat();
+
+    assert.ok(Math.abs(mean(values)) < 1e-6);
+    assert.ok(Math.abs(mean(values.map(v => v * v)) - 1) < 1e-4);
+    quiet.forEach((frame, t) => frame.forEach((val, i) => assert.ok(Math.abs(val - loud[t][i]) < 1e-3)));
+});
+
+test('dataset normalization uses the stored statistics', () => {
+    const extractor = FeatureExtractor.fromConfig({ ...SMALL_CONFIG, normalization: 'dataset' });
+    const features = [0.1, 0.3].map((amplitude, seed) =>
+        extractor.extractRawFeatures(whiteNoise({ amplitude, sampleRate: 16000, length: 8000, seed: seed + 1 }))
+    );
+
+    assert.throws(() => extractor.normalizeFeatures(features[0]), /statistics are not available/);
+    assert.throws(() => extractor.setNormalizationStats({ mean: [0], std: [1] }), /16 feature columns/);
+
+    extractor.setNormalizationStats(extractor.computeNormalizationStats(features));
+    const normalized = features.flatMap(raw => extractor.normalizeFeatures(raw));
+    for (let column = 0; column < 16; column++) {
+        assert.ok(Math.abs(mean(normalized.map(frame => frame[column]))) < 1e-6);
+    }
+
+    const restored = FeatureExtractor.fromConfig(extractor.getConfig());
+    assert.deepEqual(restored.normalizationStats, extractor.normalizationStats);
+    assert.deepEqual(restored.normalizeFeatures(features[0]), extractor.normalizeFeatures(features[0]));
+    assert.ok(restored.matchesConfig(extractor.getConfig()));
+});
+
+test('audio shorter than one FFT frame yields no features', () => {
+    const extractor = FeatureExtractor.fromConfig({ ...SMALL_CONFIG, frameStats: true });
+    assert.equal(extractor.extractFeatures(new Float32Array(100)), null);
+});
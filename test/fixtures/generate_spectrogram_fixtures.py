@@ -0,0 +1,112 @@
+#!/usr/bin/env python3
+"""
+Generate reference values for test/spectrogram.test.js.
+
+    pip install "librosa>=0.10" numpy
+    python3 test/fixtures/generate_spectrogram_fixtures.py
+
+The references are computed with librosa itself so that the browser features
+can be shown to match the Python training notebooks. The "generator" field in
+the output records the librosa version; the JS test reports fixtures that were
+not produced by librosa as a todo until they are regenerated.
+
+The test signals are generated identically in the JS test (see makeSignal).
+"""
+
+import argparse
+import json
+import math
+import os
+
+CASES = [
+    {
+        "name": "16k-512-40mel",
+        "signal": {"sampleRate": 16000, "length": 4000, "seed": 1},
+        "sampleRate": 16000, "nFft": 512, "hopLength": 160,
+        "nMels": 40, "fmin": 20.0, "fmax": 7600.0, "nMfcc": 13,
+    },
+    {
+        "name": "22k-1024-64mel",
+        "signal": {"sampleRate": 22050, "length": 5513, "seed": 7},
+        "sampleRate": 22050, "nFft": 1024, "hopLength": 256,
+        "nMels": 64, "fmin": 0.0, "fmax": None, "nMfcc": 20,
+    },
+]
+
+TOP_DB = 80.0
+AMIN = 1e-10
+
+
+def make_signal(sample_rate, length, seed):
+    """Two tones, a short burst and minstd-LCG noise (mirrored in the JS test)."""
+    state = seed
+    signal = []
+    for n in range(length):
+        state = (state * 48271) % 2147483647
+        noise = state / 2147483647 * 2 - 1
+        t = n / sample_rate
+        value = 0.5 * math.sin(2 * math.pi * 440 * t) + 0.25 * math.sin(2 * math.pi * 3000 * t)
+        if length // 3 <= n < length // 2:
+            value += 0.3 * math.sin(2 * math.pi * 1250 * t)
+        signal.append(value + 0.05 * noise)
+    return signal
+
+
+def round_list(values, digits=6):
+    return [round(float(v), digits) for v in values]
+
+
+def librosa_case(case, signal):
+    import librosa
+    import numpy as np
+
+    y = np.asarray(signal, dtype=np.float64)
+    kwargs = dict(
+        sr=case["sampleRate"], n_fft=case["nFft"], hop_length=case["hopLength"],
+        n_mels=case["nMels"], fmin=case["fmin"], fmax=case["fmax"],
+        center=True, pad_mode="constant", window="hann", power=2.0,
+    )
+    filters = librosa.filters.mel(
+        sr=case["sampleRate"], n_fft=case["nFft"], n_mels=case["nMels"],
+        fmin=case["fmin"], fmax=case["fmax"], dtype=np.float64,
+    )
+    power = np.abs(librosa.stft(
+        y, n_fft=case["nFft"], hop_length=case["hopLength"], window="hann",
+        center=True, pad_mode="constant",
+    )) ** 2
+    mel = librosa.feature.melspectrogram(y=y, **kwargs)
+    mel_db = librosa.power_to_db(mel, ref=1.0, amin=AMIN, top_db=TOP_DB)
+    mfcc = librosa.feature.mfcc(S=mel_db, n_mfcc=case["nMfcc"], dct_type=2, norm="ortho")
+
+    return {
+        "filterSums": round_list(filters.sum(axis=1), 9),
+        "powerFrame": round_list(power[:, 5], 9),
+        "melDb": [round_list(frame) for frame in mel_db.T],
+        "mfcc": [round_list(frame) for frame in mfcc.T],
+    }, "librosa " + librosa.__version__
+
+
+def main():
+    parser = argparse.ArgumentParser()
+    parser.add_argument("--out", default=os.path.join(os.path.dirname(__file__), "spectrogram.json"))
+    args = parser.parse_args()
+
+    cases = []
+    generator = None
+    for case in CASES:
+        signal = make_signal(**{
+            "sample_rate": case["signal"]["sampleRate"],
+            "length": case["signal"]["length"],
+            "seed": case["signal"]["seed"],
+        })
+        expected, generator = librosa_case(case, signal)
+        cases.append({**case, "topDb": TOP_DB, "expected": expected})
+
+    with open(args.out, "w") as f:
+        json.dump({"generator": generator, "cases": cases}, f, separators=(",", ":"))
+        f.write("\n")
+    print(f"Wrote {len(cases)} cases to {args.out} ({generator})")
+
+
+if __name__ == "__main__":
+    main()
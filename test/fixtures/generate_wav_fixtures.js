@@ -0,0 +1,24 @@
+/**
+ * 生成 test/audioRecorder.test.js 使用的 WAV 文件 (16 kHz, 16-bit PCM, 单声道, 1 秒)
+ *
+ *   node test/fixtures/generate_wav_fixtures.js
+ *
+ * tone-1khz.wav: 1 kHz 正弦, 幅度 0.5
+ * noise.wav:     白噪声, 幅度 0.3 (minstd, seed 1)
+ */
+
+import fs from 'node:fs';
+import { encodeWav } from '../../wavCodec.js';
+import { tone, whiteNoise } from '../helpers/signals.js';
+
+const SAMPLE_RATE = 16000;
+
+const fixtures = {
+    'tone-1khz.wav': tone({ frequency: 1000, amplitude: 0.5, sampleRate: SAMPLE_RATE }),
+    'noise.wav': whiteNoise({ amplitude: 0.3, sampleRate: SAMPLE_RATE, seed: 1 })
+};
+
+Object.entries(fixtures).forEach(([name, audio]) => {
+    fs.writeFileSync(new URL(name, import.meta.url), encodeWav(audio, SAMPLE_RATE));
+    console.log(`Wrote ${name}`);
+});
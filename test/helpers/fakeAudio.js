@@ -0,0 +1,522 @@
+/**
+ * Node.js 中的假 Web Audio 环境 - 用 WAV 文件回放代替麦克风
+ *
+ * 只实现 AudioRecorder 和 audioSources.js 用到的部分: MediaStreamSource、MediaElementSource、
+ * AudioBufferSource、Gain、Analyser、ScriptProcessor、AudioBuffer
+ * (没有 audioWorklet, 因此 startStreaming 走 ScriptProcessor 分支)
+ * 音频图以 128 帧为单位渲染, 渲染由 setImmediate 驱动而不是实时时钟, 测试不必等待真实时长;
+ * 上下文在 close() 之前会一直渲染, 测试结束时必须调用 AudioRecorder.stop()
+ *
+ *   const microphone = createFakeMicrophone(fs.readFileSync('test/fixtures/tone-1khz.wav'));
+ *   const recorder = new AudioRecorder({
+ *       createAudioContext: () => new FakeAudioContext({ sampleRate: 16000 }),
+ *       getUserMedia: microphone.getUserMedia
+ *   });
+ */
+
+import { decodeWav } from '../../wavCodec.js';
+import { resampleLinear } from '../../audioUtils.js';
+import { fft } from '../../spectrogram.js';
+
+const RENDER_QUANTUM = 128;
+// 每次 setImmediate 渲染的 quantum 数
+const QUANTA_PER_TICK = 8;
+
+export class FakeMediaStreamTrack {
+    constructor({ label = '', settings = {} } = {}) {
+        this.kind = 'audio';
+        this.label = label;
+        this.readyState = 'live';
+        this.settings = settings;
+    }
+
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    stop() {
+        this.readyState = 'ended';
+    }
+}
+
+/**
+ * 回放一段单声道音频的 MediaStream; 播放完后输出静音, loop 为 true 时循环
+ */
+export class FakeMediaStream {
+    constructor(audioData, sampleRate, { loop = false, label = '', settings = {} } = {}) {
+        this.audioData = audioData;
+        this.sampleRate = sampleRate;
+        this.loop = loop;
+        this.tracks = [new FakeMediaStreamTrack({ label, settings: { sampleRate, channelCount: 1, ...settings } })];
+    }
+
+    static fromWav(bytes, options) {
+        const { audioData, sampleRate } = decodeWav(bytes);
+        return new FakeMediaStream(audioData, sampleRate, options);
+    }
+
+    getTracks() {
+        return this.tracks;
+    }
+
+    getAudioTracks() {
+        return this.tracks;
+    }
+
+    isLive() {
+        return this.tracks.every(track => track.readyState === 'live');
+    }
+}
+
+/**
+ * 替代 navigator.mediaDevices 的假麦克风, 提供 getUserMedia 和 enumerateDevices
+ * 默认设备回放 wavBytes; options.devices: 其他输入设备 { [deviceId]: { label, wav } }
+ * 音轨设置按约束生效 (未指定的语音处理默认开启, 与浏览器一致), options.forcedSettings 中的项不受约束影响,
+ * 用于模拟无法关闭自动增益等的设备
+ * 每次请求返回一个新的回放流, 请求的 constraints 和返回的流记录在 requests / streams 中
+ */
+export function createFakeMicrophone(wavBytes, { loop = false, devices = {}, forcedSettings = {} } = {}) {
+    const allDevices = { default: { label: 'Default microphone', wav: wavBytes }, ...devices };
+
+    const microphone = {
+        requests: [],
+        streams: [],
+        getUserMedia: async (constraints) => {
+            const audio = typeof constraints.audio === 'object' ? constraints.audio : {};
+            const deviceId = audio.deviceId ? (audio.deviceId.exact || audio.deviceId) : 'default';
+            const device = allDevices[deviceId];
+            if (!device) {
+                const error = new Error(`OverconstrainedError: no audio input with deviceId ${deviceId}`);
+                error.name = 'OverconstrainedError';
+                throw error;
+            }
+
+            const stream = FakeMediaStream.fromWav(device.wav, {
+                loop,
+                label: device.label,
+                settings: {
+                    deviceId,
+                    echoCancellation: audio.echoCancellation !== false,
+                    noiseSuppression: audio.noiseSuppression !== false,
+                    autoGainControl: audio.autoGainControl !== false,
+                    ...forcedSettings
+                }
+            });
+            microphone.requests.push(constraints);
+            microphone.streams.push(stream);
+            return stream;
+        },
+        enumerateDevices: async () => [
+            ...Object.entries(allDevices).map(([deviceId, { label }]) => ({
+                deviceId, label, groupId: deviceId, kind: 'audioinput'
+            })),
+            { deviceId: 'camera', label: 'Camera', groupId: 'camera', kind: 'videoinput' }
+        ]
+    };
+    return microphone;
+}
+
+/**
+ * 假的 <audio> / <video> 元素, 调用 play() 后开始回放
+ */
+export class FakeMediaElement {
+    constructor(audioData, sampleRate) {
+        this.audioData = audioData;
+        this.sampleRate = sampleRate;
+        this.paused = true;
+        this.ended = false;
+        this.currentTime = 0;
+    }
+
+    static fromWav(bytes) {
+        const { audioData, sampleRate } = decodeWav(bytes);
+        return new FakeMediaElement(audioData, sampleRate);
+    }
+
+    async play() {
+        this.paused = false;
+        this.ended = false;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+}
+
+export class FakeAudioBuffer {
+    constructor(numberOfChannels, length, sampleRate) {
+        this.numberOfChannels = numberOfChannels;
+        this.length = length;
+        this.sampleRate = sampleRate;
+        this.duration = length / sampleRate;
+        this.channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+    }
+
+    getChannelData(channel) {
+        if (channel >= this.numberOfChannels) {
+            throw new Error(`IndexSizeError: channel ${channel} out of range`);
+        }
+        return this.channels[channel];
+    }
+}
+
+class FakeAudioNode {
+    constructor(context) {
+        this.context = context;
+        this.outputs = [];
+        this.inputCount = 0;
+    }
+
+    connect(destination) {
+        if (!this.outputs.includes(destination)) {
+            this.outputs.push(destination);
+            destination.inputCount++;
+        }
+        this.context.scheduleRender();
+        return destination;
+    }
+
+    disconnect(destination) {
+        if (destination === undefined) {
+            this.outputs.forEach(node => node.inputCount--);
+            this.outputs = [];
+            return;
+        }
+        if (!this.outputs.includes(destination)) {
+            throw new Error('InvalidAccessError: the given destination is not connected');
+        }
+        this.outputs = this.outputs.filter(node => node !== destination);
+        destination.inputCount--;
+    }
+
+    // 音源节点每个 quantum 由上下文调用一次
+    render() {}
+
+    // 处理一个 quantum, 默认直接传给下游节点
+    process(block) {
+        this.forward(block);
+    }
+
+    forward(block) {
+        // 回调中可能断开连接, 遍历副本
+        [...this.outputs].forEach(node => node.process(block));
+    }
+}
+
+/**
+ * 从 audioData 的 position 处读取一个 quantum, 返回新的 position; 末尾之后补零, loop 时回到开头
+ */
+function readQuantum(block, audioData, position, loop) {
+    let next = position;
+    for (let i = 0; i < block.length; i++) {
+        if (next >= audioData.length) {
+            if (!loop || audioData.length === 0) {
+                break;
+            }
+            next = 0;
+        }
+        block[i] = audioData[next++];
+    }
+    return next;
+}
+
+class FakeMediaStreamSourceNode extends FakeAudioNode {
+    constructor(context, stream) {
+        super(context);
+        this.mediaStream = stream;
+        this.audioData = resampleLinear(stream.audioData, stream.sampleRate, context.sampleRate);
+        this.position = 0;
+    }
+
+    render() {
+        const block = new Float32Array(RENDER_QUANTUM);
+        if (this.mediaStream.isLive()) {
+            this.position = readQuantum(block, this.audioData, this.position, this.mediaStream.loop);
+        }
+        this.forward(block);
+    }
+}
+
+class FakeMediaElementSourceNode extends FakeAudioNode {
+    constructor(context, element) {
+        super(context);
+        this.element = element;
+        this.audioData = resampleLinear(element.audioData, element.sampleRate, context.sampleRate);
+    }
+
+    render() {
+        const block = new Float32Array(RENDER_QUANTUM);
+        const element = this.element;
+        if (!element.paused) {
+            const position = Math.round(element.currentTime * this.context.sampleRate);
+            const next = readQuantum(block, this.audioData, position, false);
+            element.currentTime = next / this.context.sampleRate;
+            if (next >= this.audioData.length) {
+                element.paused = true;
+                element.ended = true;
+            }
+        }
+        this.forward(block);
+    }
+}
+
+class FakeAudioBufferSourceNode extends FakeAudioNode {
+    constructor(context) {
+        super(context);
+        this.buffer = null;
+        this.loop = false;
+        this.playing = false;
+        this.position = 0;
+        this.audioData = null;
+    }
+
+    start() {
+        if (!this.buffer) {
+            throw new Error('InvalidStateError: no buffer set');
+        }
+        this.audioData = resampleLinear(this.buffer.getChannelData(0), this.buffer.sampleRate, this.context.sampleRate);
+        this.playing = true;
+    }
+
+    stop() {
+        this.playing = false;
+    }
+
+    render() {
+        const block = new Float32Array(RENDER_QUANTUM);
+        if (this.playing) {
+            this.position = readQuantum(block, this.audioData, this.position, this.loop);
+        }
+        this.forward(block);
+    }
+}
+
+class FakeGainNode extends FakeAudioNode {
+    constructor(context) {
+        super(context);
+        this.gain = { value: 1 };
+    }
+
+    process(block) {
+        this.forward(block.map(value => value * this.gain.value));
+    }
+}
+
+class FakeAnalyserNode extends FakeAudioNode {
+    constructor(context) {
+        super(context);
+        this.minDecibels = -100;
+        this.maxDecibels = -30;
+        this.smoothingTimeConstant = 0.8;
+        this.fftSize = 2048;
+    }
+
+    get fftSize() {
+        return this.size;
+    }
+
+    set fftSize(size) {
+        this.size = size;
+        this.timeData = new Float32Array(size);
+        this.smoothed = new Float64Array(size / 2);
+    }
+
+    get frequencyBinCount() {
+        return this.size / 2;
+    }
+
+    process(block) {
+        this.timeData.copyWithin(0, block.length);
+        this.timeData.set(block, this.size - block.length);
+        this.forward(block);
+    }
+
+    getFloatTimeDomainData(array) {
+        array.set(this.timeData.subarray(0, array.length));
+    }
+
+    getByteTimeDomainData(array) {
+        const count = Math.min(array.length, this.size);
+        for (let i = 0; i < count; i++) {
+            array[i] = clampByte(128 * (1 + this.timeData[i]));
+        }
+    }
+
+    /**
+     * 按 Web Audio 规范: Blackman 窗 → FFT → 幅度 / fftSize → 时间平滑 → dB
+     */
+    getFloatFrequencyData(array) {
+        const n = this.size;
+        const real = new Float64Array(n);
+        const imag = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            const window = 0.42 - 0.5 * Math.cos(2 * Math.PI * i / n) + 0.08 * Math.cos(4 * Math.PI * i / n);
+            real[i] = this.timeData[i] * window;
+        }
+        fft(real, imag);
+
+        const tau = this.smoothingTimeConstant;
+        const count = Math.min(array.length, this.frequencyBinCount);
+        for (let k = 0; k < this.frequencyBinCount; k++) {
+            const magnitude = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]) / n;
+            this.smoothed[k] = tau * this.smoothed[k] + (1 - tau) * magnitude;
+            if (k < count) {
+                array[k] = 20 * Math.log10(this.smoothed[k]);
+            }
+        }
+    }
+
+    getByteFrequencyData(array) {
+        const db = new Float32Array(array.length);
+        this.getFloatFrequencyData(db);
+        const scale = 255 / (this.maxDecibels - this.minDecibels);
+        for (let k = 0; k < Math.min(array.length, this.frequencyBinCount); k++) {
+            array[k] = clampByte(scale * (db[k] - this.minDecibels));
+        }
+    }
+}
+
+/**
+ * 攒够 bufferSize 帧后触发 onaudioprocess, 输出比输入延迟一个缓冲区
+ * 没有输入连接时作为音源运行 (输入为静音), 用于生成信号; 与 Chrome 一样, 没有输出连接时不运行
+ */
+class FakeScriptProcessorNode extends FakeAudioNode {
+    constructor(context, bufferSize) {
+        super(context);
+        this.bufferSize = bufferSize;
+        this.onaudioprocess = null;
+        this.pending = new Float32Array(bufferSize);
+        this.filled = 0;
+        this.output = new Float32Array(bufferSize);
+        this.outputPosition = bufferSize;
+    }
+
+    render() {
+        if (this.inputCount === 0 && this.outputs.length > 0) {
+            this.process(new Float32Array(RENDER_QUANTUM));
+        }
+    }
+
+    process(block) {
+        this.pending.set(block, this.filled);
+        this.filled += block.length;
+
+        if (this.filled === this.bufferSize) {
+            const sampleRate = this.context.sampleRate;
+            const inputBuffer = new FakeAudioBuffer(1, this.bufferSize, sampleRate);
+            const outputBuffer = new FakeAudioBuffer(1, this.bufferSize, sampleRate);
+            inputBuffer.getChannelData(0).set(this.pending);
+            this.filled = 0;
+
+            if (this.onaudioprocess) {
+                this.onaudioprocess({ inputBuffer, outputBuffer, playbackTime: this.context.currentTime });
+            }
+            this.output = outputBuffer.getChannelData(0);
+            this.outputPosition = 0;
+        }
+
+        const output = new Float32Array(block.length);
+        if (this.outputPosition < this.output.length) {
+            output.set(this.output.subarray(this.outputPosition, this.outputPosition + block.length));
+            this.outputPosition += block.length;
+        }
+        this.forward(output);
+    }
+}
+
+export class FakeAudioContext {
+    constructor({ sampleRate = 48000, state = 'running' } = {}) {
+        this.sampleRate = sampleRate;
+        this.state = state;
+        this.currentTime = 0;
+        this.destination = new FakeAudioNode(this);
+        this.sources = [];
+        this.renderScheduled = false;
+    }
+
+    createMediaStreamSource(stream) {
+        return this.addSource(new FakeMediaStreamSourceNode(this, stream));
+    }
+
+    /**
+     * 与浏览器一样, 同一个元素只能创建一次 MediaElementSource
+     */
+    createMediaElementSource(element) {
+        if (element.sourceNode) {
+            throw new Error('InvalidStateError: the media element is already connected to a source node');
+        }
+        element.sourceNode = this.addSource(new FakeMediaElementSourceNode(this, element));
+        return element.sourceNode;
+    }
+
+    createBufferSource() {
+        return this.addSource(new FakeAudioBufferSourceNode(this));
+    }
+
+    createGain() {
+        return new FakeGainNode(this);
+    }
+
+    createAnalyser() {
+        return new FakeAnalyserNode(this);
+    }
+
+    createScriptProcessor(bufferSize = 4096) {
+        return this.addSource(new FakeScriptProcessorNode(this, bufferSize));
+    }
+
+    addSource(node) {
+        this.sources.push(node);
+        return node;
+    }
+
+    createBuffer(numberOfChannels, length, sampleRate) {
+        return new FakeAudioBuffer(numberOfChannels, length, sampleRate);
+    }
+
+    async resume() {
+        if (this.state === 'closed') {
+            throw new Error('InvalidStateError: the AudioContext is closed');
+        }
+        this.state = 'running';
+        this.scheduleRender();
+    }
+
+    async suspend() {
+        if (this.state !== 'closed') {
+            this.state = 'suspended';
+        }
+    }
+
+    async close() {
+        this.state = 'closed';
+    }
+
+    /**
+     * 有已连接的节点且处于 running 状态时安排下一次渲染
+     */
+    scheduleRender() {
+        const active = this.sources.some(source => source.outputs.length > 0);
+        if (this.renderScheduled || this.state !== 'running' || !active) {
+            return;
+        }
+
+        this.renderScheduled = true;
+        setImmediate(() => {
+            this.renderScheduled = false;
+            this.render(QUANTA_PER_TICK);
+            this.scheduleRender();
+        });
+    }
+
+    render(quanta) {
+        for (let q = 0; q < quanta && this.state === 'running'; q++) {
+            this.sources.forEach(source => source.render());
+            this.currentTime += RENDER_QUANTUM / this.sampleRate;
+        }
+    }
+}
+
+function clampByte(value) {
+    return Math.max(0, Math.min(255, Math.floor(value)));
+}
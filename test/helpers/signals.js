@@ -0,0 +1,25 @@
+/**
+ * 测试用合成信号 (确定性, 同一参数总是生成相同的音频)
+ */
+
+/**
+ * minstd 线性同余随机数, 返回 [0, 1) 之间的数
+ */
+export function createRandom(seed = 1) {
+    let state = seed;
+    return () => {
+        state = (state * 48271) % 2147483647;
+        return state / 2147483647;
+    };
+}
+
+export function tone({ frequency = 1000, amplitude = 0.5, sampleRate = 16000, length = sampleRate, phase = 0 } = {}) {
+    return Float32Array.from({ length }, (_, n) =>
+        amplitude * Math.sin(2 * Math.PI * frequency * n / sampleRate + phase)
+    );
+}
+
+export function whiteNoise({ amplitude = 0.3, sampleRate = 16000, length = sampleRate, seed = 1 } = {}) {
+    const random = createRandom(seed);
+    return Float32Array.from({ length }, () => amplitude * (random() * 2 - 1));
+}
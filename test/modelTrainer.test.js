@@ -0,0 +1,273 @@
+/**
+ * ModelTrainer 集成测试: 在合成数据 (正弦 vs 白噪声) 上创建、训练、预测和保存模型
+ * 使用 tfjs 的 cpu 后端, 特征配置取得很小以控制运行时间
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import * as tf from '@tensorflow/tfjs';
+import { FeatureExtractor } from '../featureExtractor.js';
+import { ModelTrainer, QUIET_LOGGER, normalizeLabels } from '../modelTrainer.js';
+import { MODEL_ARCHITECTURES } from '../modelArchitectures.js';
+import { createRandom, tone, whiteNoise } from './helpers/signals.js';
+
+const SAMPLE_RATE = 8000;
+const LABELS = ['noise', 'tone'];
+const FEATURE_CONFIG = { sampleRate: SAMPLE_RATE, fftSize: 256, hopLength: 128, nMels: 16, nFrames: 8 };
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    await tf.setBackend('cpu');
+});
+
+after(() => {
+    mock.restoreAll();
+});
+
+function createTrainer(labels = LABELS) {
+    return new ModelTrainer(FeatureExtractor.fromConfig(FEATURE_CONFIG), labels);
+}
+
+// 400 - 2800 Hz 的正弦, 以及白噪声; 幅度随机, 每段 0.25 秒
+// position: 正弦频率在该范围内的相对位置, 默认随机
+function makeSample(label, random, position = random()) {
+    const length = SAMPLE_RATE / 4;
+    const amplitude = 0.1 + 0.4 * random();
+    return label === 'tone'
+        ? tone({ frequency: 400 + 2400 * position, amplitude, sampleRate: SAMPLE_RATE, length, phase: 6 * random() })
+        : whiteNoise({ amplitude, sampleRate: SAMPLE_RATE, length, seed: Math.floor(random() * 1e9) + 1 });
+}
+
+// 训练样本的正弦频率均匀覆盖整个范围
+function addSamples(trainer, count, seed) {
+    const random = createRandom(seed);
+    for (let i = 0; i < count; i++) {
+        const position = (i + random()) / count;
+        LABELS.forEach(label => {
+            trainer.addSample(makeSample(label, random, position), label, { sampleRate: SAMPLE_RATE });
+        });
+    }
+}
+
+async function saveToMemory(trainer) {
+    const artifacts = {};
+    await trainer.saveModel(tf.io.withSaveHandler(async (modelArtifacts) => {
+        Object.assign(artifacts, modelArtifacts);
+        return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+    }));
+    return artifacts;
+}
+
+test('createModel builds every architecture for the feature shape', () => {
+    MODEL_ARCHITECTURES.forEach(architecture => {
+        const trainer = createTrainer(['a', 'b', 'c']);
+        trainer.setArchitecture(architecture);
+        trainer.createModel();
+
+        assert.deepEqual(trainer.model.inputs[0].shape, [null, 8, 16, 1], architecture);
+        assert.deepEqual(trainer.model.outputs[0].shape, [null, 3], architecture);
+        trainer.model.dispose();
+    });
+    assert.throws(() => createTrainer().setArchitecture('transformer'), /Unknown model architecture/);
+});
+
+test('label sets are validated the same way wherever they come from', () => {
+    assert.deepEqual(normalizeLabels([' blow ', 'not_blow', 'cough-1']), ['blow', 'not_blow', 'cough-1']);
+    // 例如 localStorage 中损坏或被改动过的标签集
+    [
+        [null, /must be an array/],
+        [{ 0: 'a', 1: 'b' }, /must be an array/],
+        [['blow'], /At least two labels/],
+        [['blow', 'not blow'], /letters, digits/],
+        [['blow', 'blow'], /unique/]
+    ].forEach(([labels, message]) => assert.throws(() => normalizeLabels(labels), message));
+});
+
+test('addSample validates labels and length', () => {
+    const trainer = createTrainer();
+
+    assert.throws(() => trainer.addSample(new Float32Array(1000), 'speech'), /Unknown label/);
+    assert.equal(trainer.addSample(new Float32Array(100), 'tone'), false);
+    // 16 kHz 的 300 个样本重采样到 8 kHz 后不足一帧
+    assert.equal(trainer.addSample(new Float32Array(300), 'tone', { sampleRate: 16000 }), false);
+    assert.equal(trainer.addSample(new Float32Array(1000), 'tone'), true);
+    assert.deepEqual(trainer.getSampleCounts(), { noise: 0, tone: 1, total: 1 });
+});
+
+test('a quiet logger keeps model summaries off the console', async () => {
+    const trainer = new ModelTrainer(FeatureExtractor.fromConfig(FEATURE_CONFIG), LABELS, { logger: QUIET_LOGGER });
+    trainer.setArchitecture('stats-dense');
+    const calls = console.log.mock.callCount();
+
+    trainer.createModel();
+    const artifacts = await saveToMemory(trainer);
+    assert.equal(await trainer.loadModel(tf.io.fromMemory(artifacts)), true);
+
+    assert.equal(console.log.mock.callCount(), calls);
+    trainer.model.dispose();
+});
+
+test('a loaded model can be trained further', async () => {
+    const source = createTrainer();
+    source.setArchitecture('stats-dense');
+    source.createModel();
+    const artifacts = await saveToMemory(source);
+    source.model.dispose();
+
+    const messages = [];
+    const logger = { ...QUIET_LOGGER, log: message => messages.push(message) };
+    const trainer = new ModelTrainer(FeatureExtractor.fromConfig(FEATURE_CONFIG), LABELS, { logger });
+    assert.equal(await trainer.loadModel(tf.io.fromMemory(artifacts)), true);
+    assert.ok(trainer.model.optimizer, 'the loaded model is compiled');
+    assert.ok(messages.includes('Model loaded from a tf.io handler'), 'an IOHandler is not logged as [object Object]');
+
+    await trainer.loadModel(tf.io.fromMemory(artifacts), { source: 'memory' });
+    assert.ok(messages.includes('Model loaded from memory'));
+
+    const model = trainer.model;
+    addSamples(trainer, 2, 3);
+    const history = await trainer.train(2, 4, {}, { testSplit: 0, validationSplit: 0 });
+    assert.equal(history.epoch.length, 2);
+    assert.equal(trainer.model, model, 'training continues on the loaded model');
+    trainer.model.dispose();
+});
+
+test('a model that fails validation leaves the trainer unchanged', async () => {
+    mock.method(console, 'error', () => {});
+    const source = createTrainer(['a', 'b', 'c']);
+    source.setArchitecture('stats-dense');
+    source.createModel();
+    const artifacts = await saveToMemory(source);
+    source.model.dispose();
+
+    const trainer = createTrainer();
+    trainer.setArchitecture('stats-dense');
+    trainer.createModel();
+    addSamples(trainer, 1, 5);
+    const { model, featureExtractor } = trainer;
+
+    const metadata = artifacts.userDefinedMetadata;
+    const invalid = [
+        [{ ...metadata, labels: ['x', 'y'] }, /3 outputs but 2 labels/],
+        [{ ...metadata, labels: ['x', 'x', 'y'] }, /unique/],
+        [{ ...metadata, featureConfig: { ...metadata.featureConfig, nFrames: 4 } }, /expects 8x16 features/]
+    ];
+    for (const [userDefinedMetadata, reason] of invalid) {
+        assert.equal(await trainer.loadModel(tf.io.fromMemory({ ...artifacts, userDefinedMetadata })), false);
+        assert.match(trainer.loadError.message, reason);
+    }
+    assert.equal(console.error.mock.callCount(), invalid.length);
+
+    assert.deepEqual(trainer.getLabels(), LABELS);
+    assert.deepEqual(trainer.getSampleCounts(), { noise: 1, tone: 1, total: 2 });
+    assert.equal(trainer.featureExtractor, featureExtractor);
+    assert.equal(trainer.model, model);
+    assert.ok(await trainer.predict(makeSample('tone', createRandom(7)), SAMPLE_RATE), 'the current model still works');
+    trainer.model.dispose();
+});
+
+test('predict requires a model', async () => {
+    await assert.rejects(createTrainer().predict(new Float32Array(2000), SAMPLE_RATE), /not trained or loaded/);
+});
+
+test('trains a classifier that separates tones from noise', async () => {
+    const trainer = createTrainer();
+    trainer.setArchitecture('temporal-conv');
+    addSamples(trainer, 30, 11);
+
+    const epochs = [];
+    const history = await trainer.train(30, 8, {
+        onEpochEnd: (epoch, logs) => epochs.push(logs)
+    }, { testSplit: 0.2, validationSplit: 0 });
+
+    assert.equal(history.epoch.length, 30);
+    assert.equal(epochs.length, 30);
+    assert.ok(epochs[epochs.length - 1].loss < epochs[0].loss, 'loss should decrease');
+    assert.equal(trainer.isTraining, false);
+    assert.equal(trainer.lastTrainingSummary.stopReason, 'completed');
+    assert.ok(trainer.lastEvaluation.accuracy >= 0.9, `test accuracy ${trainer.lastEvaluation.accuracy}`);
+
+    // 未参与训练的新样本
+    const random = createRandom(99);
+    let correct = 0;
+    for (let i = 0; i < 10; i++) {
+        for (const label of LABELS) {
+            const prediction = await trainer.predict(makeSample(label, random), SAMPLE_RATE);
+            assert.ok(Math.abs(prediction.probabilities.noise + prediction.probabilities.tone - 1) < 1e-5);
+            if (prediction.label === label) {
+                correct++;
+            }
+        }
+    }
+    assert.ok(correct >= 18, `${correct}/20 held-out samples correct`);
+
+    // 保存后加载到新的训练器, 预测结果不变
+    const artifacts = await saveToMemory(trainer);
+
+    const restored = new ModelTrainer(new FeatureExtractor(), ['a', 'b']);
+    await restored.loadModel(tf.io.fromMemory(artifacts));
+    assert.deepEqual(restored.getLabels(), LABELS);
+    assert.equal(restored.architecture, 'temporal-conv');
+    assert.deepEqual(restored.featureExtractor.getFeatureShape(), [8, 16]);
+
+    const audio = makeSample('tone', random);
+    const original = await trainer.predict(audio, SAMPLE_RATE);
+    const loaded = await restored.predict(audio, SAMPLE_RATE);
+    assert.equal(loaded.label, original.label);
+    assert.ok(Math.abs(loaded.confidence - original.confidence) < 1e-5);
+
+    trainer.model.dispose();
+    restored.model.dispose();
+});
+
+test('reduced learning rate does not carry over to the next train call', async () => {
+    const trainer = createTrainer();
+    trainer.setArchitecture('stats-dense');
+    addSamples(trainer, 4, 7);
+
+    // minDelta 很大时第一个 epoch 之后都不算改善, 每个 epoch 都会降低学习率
+    const options = {
+        testSplit: 0,
+        validationSplit: 0,
+        earlyStopping: { patience: 100, minDelta: 1e9, restoreBestWeights: false },
+        reduceLROnPlateau: { patience: 1, factor: 0.5, minLearningRate: 1e-9 }
+    };
+    const rates = [];
+    const callbacks = { onEpochEnd: (epoch, logs) => rates.push(logs.lr) };
+
+    await trainer.train(4, 4, callbacks, options);
+    const initial = trainer.model.optimizer.learningRate;
+    assert.deepEqual(rates, [initial, initial / 2, initial / 4, initial / 8]);
+    assert.equal(trainer.lastTrainingSummary.learningRate, initial / 8);
+
+    rates.length = 0;
+    await trainer.train(2, 4, callbacks, options);
+    assert.deepEqual(rates, [initial, initial / 2]);
+    assert.equal(trainer.model.optimizer.learningRate, initial);
+
+    // 加载的模型和未编译的模型同样从初始学习率开始
+    const artifacts = await saveToMemory(trainer);
+    assert.equal(await trainer.loadModel(tf.io.fromMemory(artifacts)), true);
+    rates.length = 0;
+    await trainer.train(2, 4, callbacks, options);
+    assert.deepEqual(rates, [initial, initial / 2]);
+
+    trainer.model.dispose();
+    trainer.model = await tf.loadLayersModel(tf.io.fromMemory(artifacts));
+    assert.ok(!trainer.model.optimizer);
+    rates.length = 0;
+    await trainer.train(2, 4, callbacks, options);
+    assert.deepEqual(rates, [initial, initial / 2]);
+    trainer.model.dispose();
+});
+
+test('train rejects a second run while one is in progress', async () => {
+    const trainer = createTrainer();
+    trainer.setArchitecture('stats-dense');
+    addSamples(trainer, 4, 5);
+
+    const first = trainer.train(1, 4, {}, { testSplit: 0, validationSplit: 0 });
+    await assert.rejects(trainer.train(1, 4), /already in progress/);
+    await first;
+    trainer.model.dispose();
+});
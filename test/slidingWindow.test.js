@@ -0,0 +1,75 @@
+/**
+ * SlidingWindowBuffer 测试: 步长、环形缓冲区回绕和任意分块
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SlidingWindowBuffer } from '../slidingWindow.js';
+
+// 0, 1, 2, ... 便于检查窗口内容
+function ramp(start, length) {
+    return Float32Array.from({ length }, (_, i) => start + i);
+}
+
+function pushInChunks(buffer, audio, chunkSize) {
+    const windows = [];
+    for (let start = 0; start < audio.length; start += chunkSize) {
+        windows.push(...buffer.push(audio.subarray(start, start + chunkSize)));
+    }
+    return windows;
+}
+
+test('emits the first window when full and then one per hop', () => {
+    const buffer = new SlidingWindowBuffer(8, 3);
+
+    assert.deepEqual(buffer.push(ramp(0, 7)), []);
+    const windows = buffer.push(ramp(7, 10));
+
+    assert.deepEqual(windows.map(window => window.endSample), [8, 11, 14, 17]);
+    windows.forEach(({ audio, endSample }) => {
+        assert.deepEqual([...audio], [...ramp(endSample - 8, 8)]);
+    });
+});
+
+test('windows stay in order after the ring wraps around', () => {
+    const buffer = new SlidingWindowBuffer(5, 2);
+    const windows = pushInChunks(buffer, ramp(0, 40), 3);
+
+    assert.equal(windows.length, 18);
+    windows.forEach(({ audio, endSample }, i) => {
+        assert.equal(endSample, 5 + 2 * i);
+        assert.deepEqual([...audio], [...ramp(endSample - 5, 5)], `window ending at ${endSample}`);
+    });
+});
+
+test('chunking does not change the windows', () => {
+    const audio = ramp(0, 1000);
+    const expected = pushInChunks(new SlidingWindowBuffer(128, 32), audio, 1000);
+
+    [1, 7, 32, 128, 333].forEach(chunkSize => {
+        const windows = pushInChunks(new SlidingWindowBuffer(128, 32), audio, chunkSize);
+        assert.deepEqual(windows, expected, `chunk size ${chunkSize}`);
+    });
+});
+
+test('a hop equal to the window gives non-overlapping windows', () => {
+    const windows = pushInChunks(new SlidingWindowBuffer(4, 4), ramp(0, 13), 5);
+    assert.deepEqual(windows.map(({ audio }) => [...audio]), [[0, 1, 2, 3], [4, 5, 6, 7], [8, 9, 10, 11]]);
+});
+
+test('reset starts a new stream', () => {
+    const buffer = new SlidingWindowBuffer(4, 2);
+    buffer.push(ramp(0, 6));
+    buffer.reset();
+
+    assert.deepEqual(buffer.push(ramp(100, 3)), []);
+    const [window] = buffer.push(ramp(103, 1));
+    assert.equal(window.endSample, 4);
+    assert.deepEqual([...window.audio], [100, 101, 102, 103]);
+});
+
+test('rejects invalid hop sizes', () => {
+    assert.throws(() => new SlidingWindowBuffer(8, 0), /Hop size/);
+    assert.throws(() => new SlidingWindowBuffer(8, 9), /Hop size/);
+    assert.throws(() => new SlidingWindowBuffer(8, NaN), /Hop size/);
+});
@@ -0,0 +1,93 @@
+/**
+ * TrainingWorkerClient 测试: trainingWorker.js 在同一线程中运行, 消息经 structuredClone 传递
+ * 模型在主线程和 Worker 之间往返后仍能继续训练
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import * as tf from '@tensorflow/tfjs';
+import { FeatureExtractor } from '../featureExtractor.js';
+import { ModelTrainer } from '../modelTrainer.js';
+import { TrainingWorkerClient } from '../trainingClient.js';
+import { createRandom, tone, whiteNoise } from './helpers/signals.js';
+
+const SAMPLE_RATE = 8000;
+const FEATURE_CONFIG = { sampleRate: SAMPLE_RATE, fftSize: 256, hopLength: 128, nMels: 16, nFrames: 8 };
+const OPTIONS = { testSplit: 0, validationSplit: 0 };
+
+// Worker 一侧的全局对象 (trainingWorker.js 中的 self)
+const workerScope = {
+    client: null,
+    onmessage: null,
+    postMessage(data) {
+        const message = structuredClone(data);
+        setImmediate(() => workerScope.client.onmessage({ data: message }));
+    }
+};
+
+class InlineWorker {
+    constructor() {
+        this.onmessage = null;
+        this.onerror = null;
+        workerScope.client = this;
+    }
+
+    postMessage(data) {
+        const message = structuredClone(data);
+        setImmediate(() => workerScope.onmessage({ data: message }));
+    }
+
+    terminate() {}
+}
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    await tf.setBackend('cpu');
+    globalThis.self = workerScope;
+    globalThis.Worker = InlineWorker;
+    await import('../trainingWorker.js');
+});
+
+after(() => {
+    mock.restoreAll();
+    delete globalThis.self;
+    delete globalThis.Worker;
+});
+
+function createTrainer() {
+    const trainer = new ModelTrainer(FeatureExtractor.fromConfig(FEATURE_CONFIG), ['noise', 'tone']);
+    trainer.setArchitecture('stats-dense');
+
+    const random = createRandom(21);
+    for (let i = 0; i < 3; i++) {
+        const amplitude = 0.1 + 0.4 * random();
+        trainer.addSample(tone({ frequency: 400 + 2400 * random(), amplitude, sampleRate: SAMPLE_RATE, length: 2000 }),
+            'tone', { sampleRate: SAMPLE_RATE });
+        trainer.addSample(whiteNoise({ amplitude, sampleRate: SAMPLE_RATE, length: 2000, seed: i + 1 }),
+            'noise', { sampleRate: SAMPLE_RATE });
+    }
+    return trainer;
+}
+
+test('a model trained in the worker can be trained again in the worker and on the main thread', async () => {
+    const trainer = createTrainer();
+    const client = new TrainingWorkerClient();
+
+    try {
+        const first = await client.train(trainer, 2, 4, {}, OPTIONS);
+        assert.equal(first.epoch.length, 2);
+        assert.ok(trainer.model.optimizer, 'the model loaded back from the worker is compiled');
+
+        // Worker 从主线程的模型继续训练
+        const epochs = [];
+        await client.train(trainer, 2, 4, { onEpochEnd: epoch => epochs.push(epoch) }, OPTIONS);
+        assert.deepEqual(epochs, [0, 1]);
+        assert.equal(trainer.lastTrainingSummary.stopReason, 'completed');
+
+        const history = await trainer.train(1, 4, {}, OPTIONS);
+        assert.equal(history.epoch.length, 1);
+    } finally {
+        client.terminate();
+        trainer.model.dispose();
+    }
+});
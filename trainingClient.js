@@ -0,0 +1,174 @@
+/**
+ * 训练 Worker 客户端 - 把 ModelTrainer 的样本交给 trainingWorker.js 训练,
+ * 训练完成后把模型权重载回主线程的 ModelTrainer 用于推理
+ */
+
+import * as tf from '@tensorflow/tfjs';
+
+export class TrainingWorkerClient {
+    constructor() {
+        this.worker = null;
+        this.pending = null;
+        this.paused = false;
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * 在 Worker 中训练
+     * 参数与 ModelTrainer.train 相同; 返回 { epoch, history }, 训练摘要写入 modelTrainer.lastTrainingSummary
+     * 取消时抛出 error.cancelled === true 的错误, modelTrainer 中的模型保持不变
+     */
+    async train(modelTrainer, epochs = 50, batchSize = 32, callbacks = {}, options = {}) {
+        if (this.pending || modelTrainer.isTraining) {
+            throw new Error('Training already in progress');
+        }
+
+        const samples = [];
+        Object.entries(modelTrainer.getSamples()).forEach(([label, items]) => {
+            items.forEach(({ id, audio, sampleRate }) => {
+                samples.push({ id, label, audio, sampleRate });
+            });
+        });
+
+        let model = null;
+        if (modelTrainer.model) {
+            await modelTrainer.saveModel(tf.io.withSaveHandler(async artifacts => {
+                model = artifacts;
+                return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+            }));
+        }
+
+        if (!this.worker) {
+            // 保持 new Worker(new URL(...)) 写法, 以便 Vite 打包 Worker
+            this.worker = new Worker(new URL('./trainingWorker.js', import.meta.url), { type: 'module' });
+        }
+
+        modelTrainer.isTraining = true;
+        modelTrainer.lastEvaluation = null;
+        modelTrainer.lastTrainingSummary = null;
+        this.paused = false;
+
+        try {
+            const { artifacts, history, evaluation, summary } = await new Promise((resolve, reject) => {
+                this.pending = { reject };
+
+                this.worker.onmessage = ({ data }) => {
+                    switch (data.type) {
+                        case 'epoch':
+                            if (callbacks.onEpochEnd) {
+                                callbacks.onEpochEnd(data.epoch, data.logs);
+                            }
+                            break;
+
+                        case 'done':
+                            resolve(data);
+                            break;
+
+                        case 'cancelled':
+                            reject(createCancelledError());
+                            break;
+
+                        case 'error':
+                            reject(new Error(data.message));
+                            break;
+                    }
+                };
+
+                this.worker.onerror = event => {
+                    event.preventDefault();
+                    reject(new Error(event.message || 'Training worker failed'));
+                };
+
+                this.worker.postMessage({
+                    type: 'train',
+                    labels: modelTrainer.getLabels(),
+                    featureConfig: modelTrainer.featureExtractor.getConfig(),
+                    architecture: modelTrainer.architecture,
+                    backbone: modelTrainer.backbone ? modelTrainer.backbone.getConfig() : null,
+                    samples,
+                    model,
+                    epochs,
+                    batchSize,
+                    options
+                });
+            });
+
+            // 载入训练好的模型 (同时带回数据集归一化统计量)
+            modelTrainer.isTraining = false;
+            if (!await modelTrainer.loadModel(tf.io.fromMemory(artifacts), { source: 'the training worker' })) {
+                throw new Error(`Failed to load the trained model: ${modelTrainer.loadError.message}`);
+            }
+            modelTrainer.lastEvaluation = evaluation;
+            modelTrainer.lastTrainingSummary = summary;
+
+            if (callbacks.onTrainEnd) {
+                callbacks.onTrainEnd(summary);
+            }
+            return history;
+        } finally {
+            modelTrainer.isTraining = false;
+            this.pending = null;
+            this.paused = false;
+        }
+    }
+
+    /**
+     * 提前结束训练, 保留已训练的模型 (与 ModelTrainer.stopTraining 相同)
+     */
+    stopTraining() {
+        this.send('stop');
+    }
+
+    pauseTraining() {
+        if (this.send('pause')) {
+            this.paused = true;
+        }
+    }
+
+    resumeTraining() {
+        if (this.send('resume')) {
+            this.paused = false;
+        }
+    }
+
+    isPaused() {
+        return this.paused;
+    }
+
+    /**
+     * 取消训练, Worker 在当前批次结束后停止
+     */
+    cancel() {
+        this.send('cancel');
+    }
+
+    send(type) {
+        if (this.worker && this.pending) {
+            this.worker.postMessage({ type });
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * 立即终止 Worker
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        if (this.pending) {
+            this.pending.reject(createCancelledError());
+        }
+    }
+}
+
+function createCancelledError() {
+    const error = new Error('Training cancelled');
+    error.cancelled = true;
+    return error;
+}
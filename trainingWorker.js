@@ -0,0 +1,123 @@
+/**
+ * 训练 Worker - 在后台线程中提取特征并训练模型
+ *
+ * 消息协议 (主线程 -> Worker):
+ *   { type: 'train', labels, featureConfig, architecture, backbone, samples, model, epochs, batchSize, options }
+ *     samples: [{ id, label, audio, sampleRate }]
+ *     backbone: 迁移学习的骨干网络配置 (见 embeddingBackbone.js), 在 Worker 中按 url 重新加载, 可为空
+ *     model: 继续训练的已有模型 (tf.io.ModelArtifacts), 可为空
+ *   { type: 'stop' }      提前结束, 保留已训练的模型
+ *   { type: 'pause' } / { type: 'resume' }
+ *   { type: 'cancel' }    放弃本次训练
+ *
+ * 消息协议 (Worker -> 主线程):
+ *   { type: 'epoch', epoch, logs }
+ *   { type: 'done', artifacts, history, evaluation, summary }
+ *   { type: 'cancelled' }
+ *   { type: 'error', message }
+ */
+
+import * as tf from '@tensorflow/tfjs';
+import { FeatureExtractor } from './featureExtractor.js';
+import { ModelTrainer } from './modelTrainer.js';
+import { EmbeddingBackbone } from './embeddingBackbone.js';
+
+let trainer = null;
+let cancelled = false;
+
+self.onmessage = ({ data }) => {
+    switch (data.type) {
+        case 'train':
+            train(data).catch(error => {
+                self.postMessage({ type: 'error', message: error.message });
+            });
+            break;
+
+        case 'stop':
+            if (trainer) {
+                trainer.stopTraining();
+            }
+            break;
+
+        case 'pause':
+            if (trainer) {
+                trainer.pauseTraining();
+            }
+            break;
+
+        case 'resume':
+            if (trainer) {
+                trainer.resumeTraining();
+            }
+            break;
+
+        case 'cancel':
+            cancelled = true;
+            if (trainer) {
+                trainer.stopTraining();
+            }
+            break;
+    }
+};
+
+async function train({ labels, featureConfig, architecture, backbone, samples, model, epochs, batchSize, options }) {
+    cancelled = false;
+    disposeTrainer();
+    trainer = new ModelTrainer(FeatureExtractor.fromConfig(featureConfig), labels);
+    trainer.setArchitecture(architecture);
+    if (backbone) {
+        trainer.setBackbone(await EmbeddingBackbone.load(backbone));
+    }
+
+    if (model && !await trainer.loadModel(tf.io.fromMemory(model), { source: 'the main thread' })) {
+        throw new Error(`Failed to restore the model to continue training: ${trainer.loadError.message}`);
+    }
+
+    samples.forEach(({ id, label, audio, sampleRate }) => {
+        trainer.addSample(audio, label, { id, sampleRate });
+    });
+
+    if (cancelled) {
+        self.postMessage({ type: 'cancelled' });
+        return;
+    }
+
+    const history = await trainer.train(epochs, batchSize, {
+        onEpochEnd: (epoch, logs) => {
+            self.postMessage({ type: 'epoch', epoch, logs });
+        }
+    }, options);
+
+    if (cancelled) {
+        self.postMessage({ type: 'cancelled' });
+        return;
+    }
+
+    let artifacts = null;
+    await trainer.saveModel(tf.io.withSaveHandler(async result => {
+        artifacts = result;
+        return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+    }));
+
+    self.postMessage({
+        type: 'done',
+        artifacts,
+        history: { epoch: history.epoch, history: history.history },
+        evaluation: trainer.lastEvaluation,
+        summary: trainer.lastTrainingSummary
+    }, [artifacts.weightData]);
+}
+
+// 释放上一次训练的模型和骨干网络
+function disposeTrainer() {
+    if (!trainer) {
+        return;
+    }
+    if (trainer.model) {
+        trainer.model.dispose();
+    }
+    if (trainer.backbone) {
+        trainer.backbone.dispose();
+    }
+    trainer = null;
+}
@@ -0,0 +1,16 @@
+import { defineConfig } from 'vite';
+
+// 库构建: npm run build:lib
+export default defineConfig({
+    build: {
+        outDir: 'dist/lib',
+        lib: {
+            entry: 'index.js',
+            formats: ['es'],
+            fileName: 'blow-detector'
+        },
+        rollupOptions: {
+            external: ['@tensorflow/tfjs', 'meyda']
+        }
+    }
+});
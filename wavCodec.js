@@ -0,0 +1,155 @@
+/**
+ * WAV 编解码模块 - 16-bit PCM / 32-bit float 读写
+ */
+
+/**
+ * 将单声道 Float32 音频编码为 16-bit PCM WAV
+ * 返回: Uint8Array
+ */
+export function encodeWav(audioData, sampleRate) {
+    const numSamples = audioData.length;
+    const bytesPerSample = 2;
+    const dataSize = numSamples * bytesPerSample;
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(view, 8, 'WAVE');
+
+    // fmt chunk
+    writeString(view, 12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, 1, true); // 单声道
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * bytesPerSample, true);
+    view.setUint16(32, bytesPerSample, true);
+    view.setUint16(34, 16, true);
+
+    // data chunk
+    writeString(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    let offset = 44;
+    for (let i = 0; i < numSamples; i++) {
+        const s = Math.max(-1, Math.min(1, audioData[i]));
+        view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+        offset += bytesPerSample;
+    }
+
+    return new Uint8Array(buffer);
+}
+
+/**
+ * 解码 WAV 文件 (PCM 8/16/24/32-bit 或 32-bit float)
+ * 多声道会被混合为单声道
+ * 返回: { audioData: Float32Array, sampleRate }
+ */
+export function decodeWav(bytes) {
+    const data = bytes instanceof ArrayBuffer ? new Uint8Array(bytes) : bytes;
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+    if (readString(view, 0, 4) !== 'RIFF' || readString(view, 8, 4) !== 'WAVE') {
+        throw new Error('Invalid WAV file: missing RIFF/WAVE header');
+    }
+
+    let format = null;
+    let offset = 12;
+
+    while (offset + 8 <= view.byteLength) {
+        const chunkId = readString(view, offset, 4);
+        const chunkSize = view.getUint32(offset + 4, true);
+        const chunkStart = offset + 8;
+
+        if (chunkId === 'fmt ') {
+            let audioFormat = view.getUint16(chunkStart, true);
+            // WAVE_FORMAT_EXTENSIBLE: 真实格式在 SubFormat GUID 的前两个字节
+            if (audioFormat === 0xfffe && chunkSize >= 26) {
+                audioFormat = view.getUint16(chunkStart + 24, true);
+            }
+            format = {
+                audioFormat,
+                numChannels: view.getUint16(chunkStart + 2, true),
+                sampleRate: view.getUint32(chunkStart + 4, true),
+                bitsPerSample: view.getUint16(chunkStart + 14, true)
+            };
+        } else if (chunkId === 'data') {
+            if (!format) {
+                throw new Error('Invalid WAV file: data chunk before fmt chunk');
+            }
+            const size = Math.min(chunkSize, view.byteLength - chunkStart);
+            return {
+                audioData: readSamples(view, chunkStart, size, format),
+                sampleRate: format.sampleRate
+            };
+        }
+
+        // chunk 按偶数字节对齐
+        offset = chunkStart + chunkSize + (chunkSize % 2);
+    }
+
+    throw new Error('Invalid WAV file: no data chunk found');
+}
+
+function readSamples(view, start, size, format) {
+    const { audioFormat, numChannels, bitsPerSample } = format;
+    const bytesPerSample = bitsPerSample / 8;
+    const numFrames = Math.floor(size / (bytesPerSample * numChannels));
+    const result = new Float32Array(numFrames);
+
+    // 1 = PCM, 3 = IEEE float
+    if (audioFormat !== 1 && audioFormat !== 3) {
+        throw new Error(`Unsupported WAV format: ${audioFormat}`);
+    }
+    const isFloat = audioFormat === 3;
+
+    let offset = start;
+    for (let i = 0; i < numFrames; i++) {
+        let sum = 0;
+        for (let c = 0; c < numChannels; c++) {
+            sum += readSample(view, offset, bitsPerSample, isFloat);
+            offset += bytesPerSample;
+        }
+        result[i] = sum / numChannels;
+    }
+
+    return result;
+}
+
+function readSample(view, offset, bitsPerSample, isFloat) {
+    if (isFloat) {
+        return bitsPerSample === 64 ? view.getFloat64(offset, true) : view.getFloat32(offset, true);
+    }
+
+    switch (bitsPerSample) {
+        case 8:
+            return (view.getUint8(offset) - 128) / 128;
+        case 16:
+            return view.getInt16(offset, true) / 0x8000;
+        case 24: {
+            const value = view.getUint8(offset) |
+                (view.getUint8(offset + 1) << 8) |
+                (view.getInt8(offset + 2) << 16);
+            return value / 0x800000;
+        }
+        case 32:
+            return view.getInt32(offset, true) / 0x80000000;
+        default:
+            throw new Error(`Unsupported WAV bit depth: ${bitsPerSample}`);
+    }
+}
+
+function writeString(view, offset, str) {
+    for (let i = 0; i < str.length; i++) {
+        view.setUint8(offset + i, str.charCodeAt(i));
+    }
+}
+
+function readString(view, offset, length) {
+    let str = '';
+    for (let i = 0; i < length; i++) {
+        str += String.fromCharCode(view.getUint8(offset + i));
+    }
+    return str;
+}
@@ -0,0 +1,168 @@
+/**
+ * ZIP 打包模块 - 仅支持 STORE (不压缩) 方式
+ * WAV 数据几乎无法被 deflate 压缩, 因此不引入额外依赖
+ */
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+
+let crcTable = null;
+
+function getCrcTable() {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    return crcTable;
+}
+
+/**
+ * CRC-32 校验
+ */
+export function crc32(bytes) {
+    const table = getCrcTable();
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 创建 ZIP 文件
+ * entries: [{ name: string, data: Uint8Array }]
+ * 返回: Uint8Array
+ */
+export function createZip(entries) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    entries.forEach(entry => {
+        const nameBytes = encoder.encode(entry.name);
+        const data = entry.data;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, LOCAL_FILE_HEADER, true);
+        local.setUint16(4, 20, true); // version needed
+        local.setUint16(6, UTF8_FLAG, true);
+        local.setUint16(8, 0, true); // STORE
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+        central.setUint16(4, 20, true); // version made by
+        central.setUint16(6, 20, true); // version needed
+        central.setUint16(8, UTF8_FLAG, true);
+        central.setUint16(10, 0, true); // STORE
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+
+        localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return concatBytes([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+}
+
+/**
+ * 读取 ZIP 文件
+ * 返回: Map<name, Uint8Array>
+ */
+export function readZip(bytes) {
+    const data = bytes instanceof ArrayBuffer ? new Uint8Array(bytes) : bytes;
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const decoder = new TextDecoder();
+
+    // 从尾部查找 End of Central Directory (注释最长 65535 字节)
+    let endOffset = -1;
+    const minOffset = Math.max(0, data.length - 22 - 0xffff);
+    for (let i = data.length - 22; i >= minOffset; i--) {
+        if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+            endOffset = i;
+            break;
+        }
+    }
+
+    if (endOffset < 0) {
+        throw new Error('Invalid ZIP file: end of central directory not found');
+    }
+
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+    const files = new Map();
+
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+            throw new Error('Invalid ZIP file: corrupt central directory');
+        }
+
+        const method = view.getUint16(offset + 10, true);
+        const crc = view.getUint32(offset + 16, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(data.subarray(offset + 46, offset + 46 + nameLength));
+
+        if (method !== 0) {
+            throw new Error(`Unsupported ZIP compression method ${method} for "${name}"`);
+        }
+
+        const localNameLength = view.getUint16(localOffset + 26, true);
+        const localExtraLength = view.getUint16(localOffset + 28, true);
+        const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+        const fileData = data.subarray(dataStart, dataStart + compressedSize);
+
+        if (crc32(fileData) !== crc) {
+            throw new Error(`CRC mismatch for "${name}"`);
+        }
+
+        if (!name.endsWith('/')) {
+            files.set(name, fileData);
+        }
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return files;
+}
+
+function concatBytes(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}